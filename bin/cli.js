@@ -9,12 +9,19 @@
  * Usage:
  *   npx create-threejs-game
  *   npx create-threejs-game my-game
+ *   npx create-threejs-game my-game --yes --description="..." --assets=./pack
+ *
+ * Every prompt can be answered with a flag (see --help). With --yes, any
+ * prompt without a flag takes its default, and the CLI exits with
+ * EXIT_MISSING_ANSWER when a required answer has no default.
  */
 
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { execSync, spawn } = require('child_process');
+const { PROVIDERS } = require('../template/scripts/llm-provider');
+const { DEFAULT_THREE_VERSION, normalizeVersion, threeRevision, vendorThree } = require('../template/scripts/vendor-three');
 
 // Sharp for image processing (optional, for combining previews)
 let sharp;
@@ -39,6 +46,101 @@ const colors = {
 
 const c = (color, text) => `${colors[color]}${text}${colors.reset}`;
 
+// Exit codes
+const EXIT_ABORTED = 1;
+const EXIT_MISSING_ANSWER = 2;
+
+// Parse command line flags
+function parseArgs(argv) {
+  const args = {
+    projectName: undefined,
+    description: undefined,
+    assets: undefined,
+    noAssets: false,
+    googleApiKey: undefined,
+    anthropicApiKey: undefined,
+    openaiApiKey: undefined,
+    provider: undefined,
+    model: undefined,
+    baseUrl: undefined,
+    threeVersion: undefined,
+    force: undefined,
+    open: undefined,
+    yes: false,
+    help: false
+  };
+
+  // Value options take --flag=value or --flag value
+  const valueFlags = {
+    '--name': 'projectName',
+    '--description': 'description',
+    '--assets': 'assets',
+    '--google-api-key': 'googleApiKey',
+    '--anthropic-api-key': 'anthropicApiKey',
+    '--openai-api-key': 'openaiApiKey',
+    '--provider': 'provider',
+    '--model': 'model',
+    '--base-url': 'baseUrl',
+    '--three-version': 'threeVersion'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, ...value] = arg.split('=');
+    if (valueFlags[flag]) {
+      if (value.length > 0) args[valueFlags[flag]] = value.join('=');
+      else if (i + 1 < argv.length) args[valueFlags[flag]] = argv[++i];
+      else args.missingValue = flag;
+    } else if (arg === '--yes' || arg === '-y') args.yes = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg === '--no-assets') args.noAssets = true;
+    else if (arg === '--force') args.force = true;
+    else if (arg === '--no-force') args.force = false;
+    else if (arg === '--open') args.open = true;
+    else if (arg === '--no-open') args.open = false;
+    else if (arg.startsWith('-')) args.unknown = arg;
+    else if (args.projectName === undefined) args.projectName = arg;
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+Usage:
+  npx create-threejs-game [project-name] [options]
+
+Options:
+  --name=NAME                Project name (same as the positional argument)
+  --description=TEXT         Game description (1-3 sentences)
+  --assets=PATH              Path to the 3D assets folder to copy
+  --no-assets                Create the project without copying assets
+  --google-api-key=KEY       Google AI Studio API key
+  --provider=NAME            LLM provider for PRD/TDD/plan generation:
+                             ${Object.keys(PROVIDERS).join(', ')}
+  --model=MODEL              LLM model (default depends on the provider)
+  --base-url=URL             Server URL for the openai-compatible provider
+  --anthropic-api-key=KEY    Anthropic API key
+  --openai-api-key=KEY       OpenAI API key
+  --three-version=VERSION    three.js version to vendor into public/vendor
+                             (default: ${DEFAULT_THREE_VERSION})
+  --force                    Overwrite the project directory if it exists
+  --open / --no-open         Open (or don't) the project directory when done
+  -y, --yes                  Non-interactive: accept defaults for every prompt
+                             not answered by a flag
+  -h, --help                 Show this help
+
+Options that take a value accept --flag=value or --flag value.
+
+Exit codes:
+  0  Project created
+  ${EXIT_ABORTED}  Aborted or failed
+  ${EXIT_MISSING_ANSWER}  A required answer was missing in --yes mode
+`);
+}
+
+const options = parseArgs(process.argv.slice(2));
+
 // Banner
 function showBanner() {
   console.log('');
@@ -49,11 +151,12 @@ function showBanner() {
   console.log('');
 }
 
-// Readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Readline interface (created on first prompt so --yes never touches stdin)
+let rl = null;
+
+function closePrompts() {
+  if (rl) rl.close();
+}
 
 // Promisified question
 function ask(question, defaultValue = '') {
@@ -61,6 +164,13 @@ function ask(question, defaultValue = '') {
     ? `${question} ${c('dim', `(${defaultValue})`)}: `
     : `${question}: `;
   
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  
   return new Promise((resolve) => {
     rl.question(prompt, (answer) => {
       resolve(answer.trim() || defaultValue);
@@ -77,6 +187,28 @@ async function confirm(question, defaultYes = true) {
   return answer.toLowerCase().startsWith('y');
 }
 
+// Answer a question from its flag, the --yes default, or the user
+async function resolveAnswer(flagValue, question, defaultValue = '') {
+  if (flagValue !== undefined) return flagValue;
+  if (options.yes) return defaultValue;
+  return ask(question, defaultValue);
+}
+
+// Answer a yes/no question from its flag, the --yes default, or the user
+async function resolveConfirm(flagValue, question, defaultYes = true) {
+  if (flagValue !== undefined) return flagValue;
+  if (options.yes) return defaultYes;
+  return confirm(question, defaultYes);
+}
+
+// Exit when a required answer is missing in non-interactive mode
+function failMissingAnswer(message, hint) {
+  console.error(c('red', `\nError: ${message}`));
+  if (hint) console.error(c('dim', hint));
+  closePrompts();
+  process.exit(EXIT_MISSING_ANSWER);
+}
+
 // Copy directory recursively
 function copyDir(src, dest, exclude = []) {
   if (!fs.existsSync(dest)) {
@@ -248,15 +380,32 @@ function runScript(scriptPath, args = [], cwd) {
 
 // Main CLI
 async function main() {
-  showBanner();
+  if (options.help) {
+    printHelp();
+    process.exit(0);
+  }
   
-  // Get project name from args or prompt
-  let projectName = process.argv[2];
+  if (options.missingValue) {
+    console.error(c('red', `Option ${options.missingValue} needs a value`));
+    printHelp();
+    process.exit(EXIT_MISSING_ANSWER);
+  }
   
-  if (!projectName) {
-    projectName = await ask(c('bright', 'Project name'), 'my-threejs-game');
+  if (options.unknown) {
+    console.error(c('red', `Unknown option: ${options.unknown}`));
+    printHelp();
+    process.exit(EXIT_MISSING_ANSWER);
   }
   
+  showBanner();
+  
+  // Get project name from args or prompt
+  let projectName = await resolveAnswer(
+    options.projectName,
+    c('bright', 'Project name'),
+    'my-threejs-game'
+  );
+  
   // Sanitize project name
   projectName = projectName.toLowerCase().replace(/[^a-z0-9-_]/g, '-');
   
@@ -264,14 +413,21 @@ async function main() {
   
   // Check if directory exists
   if (fs.existsSync(projectPath)) {
-    const overwrite = await confirm(
+    const overwrite = await resolveConfirm(
+      options.force,
       c('yellow', `Directory "${projectName}" already exists. Overwrite?`),
       false
     );
     if (!overwrite) {
+      if (options.yes && options.force === undefined) {
+        failMissingAnswer(
+          `Directory "${projectName}" already exists.`,
+          'Pass --force to overwrite it, or choose another project name.'
+        );
+      }
       console.log(c('red', '\nAborted.'));
-      rl.close();
-      process.exit(1);
+      closePrompts();
+      process.exit(EXIT_ABORTED);
     }
     fs.rmSync(projectPath, { recursive: true });
   }
@@ -284,49 +440,79 @@ async function main() {
   // Get game details
   console.log(c('bright', '📝 Game Details'));
   console.log(c('dim', '─'.repeat(50)));
-  console.log(c('dim', 'Describe your game in 1-3 sentences. Be specific about:'));
-  console.log(c('dim', '  - Game type (RTS, tower defense, puzzle, etc.)'));
-  console.log(c('dim', '  - Setting/theme'));
-  console.log(c('dim', '  - Core mechanics'));
-  console.log('');
+  if (options.description === undefined && !options.yes) {
+    console.log(c('dim', 'Describe your game in 1-3 sentences. Be specific about:'));
+    console.log(c('dim', '  - Game type (RTS, tower defense, puzzle, etc.)'));
+    console.log(c('dim', '  - Setting/theme'));
+    console.log(c('dim', '  - Core mechanics'));
+    console.log('');
+  }
   
-  const gameDescription = await ask(c('bright', 'Game description'));
+  const gameDescription = (await resolveAnswer(options.description, c('bright', 'Game description'))).trim();
   
   if (!gameDescription) {
+    if (options.yes) {
+      failMissingAnswer('No game description provided.', 'Pass --description="..." (1-3 sentences about the game).');
+    }
     console.log(c('yellow', '\nWarning: No description provided. You can edit config.json later.'));
   }
   
   console.log('');
   
-  // API Keys - check env vars first
-  let googleApiKey = process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_STUDIO_API_KEY || '';
-  let anthropicApiKey = process.env.OPENAI_API_KEY || '';
+  // LLM provider - explicit flag, else whichever key is available
+  const anthropicKeyGiven = options.anthropicApiKey || process.env.ANTHROPIC_API_KEY;
+  const openaiKeyGiven = options.openaiApiKey || process.env.OPENAI_API_KEY;
+  const llmProvider = options.provider ||
+    (!anthropicKeyGiven && openaiKeyGiven ? 'openai' : 'anthropic');
+  const llmSpec = PROVIDERS[llmProvider];
+  
+  if (!llmSpec) {
+    failMissingAnswer(
+      `Unknown provider "${llmProvider}".`,
+      `Options: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+  
+  // API Keys - flags first, then env vars
+  let googleApiKey = options.googleApiKey || process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_STUDIO_API_KEY || '';
+  const llmKeyFlag = llmProvider === 'anthropic' ? options.anthropicApiKey : options.openaiApiKey;
+  let llmApiKey = llmKeyFlag || process.env[llmSpec.envKey] || '';
   
   const hasGoogleEnv = googleApiKey && googleApiKey.length > 10;
-  const hasAnthropicEnv = anthropicApiKey && anthropicApiKey.length > 10;
+  const hasLlmEnv = !llmSpec.requiresKey || (llmApiKey && llmApiKey.length > 10);
   
-  if (hasGoogleEnv && hasAnthropicEnv) {
+  const describeKey = (flagValue, label, envName) =>
+    flagValue ? `${label} key provided` : `${envName} found in environment`;
+  const llmKeyStatus = llmSpec.requiresKey
+    ? describeKey(llmKeyFlag, llmSpec.label, llmSpec.envKey)
+    : `${llmSpec.label} needs no API key`;
+  
+  if (hasGoogleEnv && hasLlmEnv) {
     console.log(c('bright', '🔑 API Keys'));
     console.log(c('dim', '─'.repeat(50)));
-    console.log(c('green', '  ✓ ') + 'GOOGLE_API_KEY found in environment');
-    console.log(c('green', '  ✓ ') + 'OPENAI_API_KEY found in environment');
+    console.log(c('green', '  ✓ ') + describeKey(options.googleApiKey, 'Google AI Studio', 'GOOGLE_API_KEY'));
+    console.log(c('green', '  ✓ ') + llmKeyStatus);
     console.log('');
   } else {
     console.log(c('bright', '🔑 API Keys (optional - can configure later)'));
     console.log(c('dim', '─'.repeat(50)));
     
     if (hasGoogleEnv) {
-      console.log(c('green', '  ✓ ') + 'GOOGLE_API_KEY found in environment');
+      console.log(c('green', '  ✓ ') + describeKey(options.googleApiKey, 'Google AI Studio', 'GOOGLE_API_KEY'));
     } else {
-      console.log(c('dim', 'Google AI Studio enables automated mockup generation.'));
-      googleApiKey = await ask('Google AI Studio API key');
+      if (!options.yes) console.log(c('dim', 'Google AI Studio enables automated mockup generation.'));
+      googleApiKey = await resolveAnswer(undefined, 'Google AI Studio API key');
     }
     
-    if (hasAnthropicEnv) {
-      console.log(c('green', '  ✓ ') + 'OPENAI_API_KEY found in environment');
+    if (hasLlmEnv) {
+      console.log(c('green', '  ✓ ') + llmKeyStatus);
     } else {
-      console.log(c('dim', 'Anthropic enables automated PRD/TDD/plan generation.'));
-      anthropicApiKey = await ask('Anthropic API key');
+      if (!options.yes) console.log(c('dim', `${llmSpec.label} enables automated PRD/TDD/plan generation.`));
+      llmApiKey = await resolveAnswer(undefined, `${llmSpec.label} API key`);
+    }
+    
+    if (options.yes && (!googleApiKey || !llmApiKey)) {
+      console.log(c('dim', '  Missing keys can be added to scripts/config.json later.'));
     }
     
     console.log('');
@@ -335,16 +521,35 @@ async function main() {
   // Ask for assets location (required for automation)
   console.log(c('bright', '📁 3D Assets (Required)'));
   console.log(c('dim', '─'.repeat(50)));
-  console.log(c('dim', 'The automation pipeline needs 3D assets to generate mockups and docs.'));
-  console.log(c('dim', 'Download a GLTF asset pack from itch.io, Kenney.nl, etc. first.\n'));
+  if (options.assets === undefined && !options.yes && !options.noAssets) {
+    console.log(c('dim', 'The automation pipeline needs 3D assets to generate mockups and docs.'));
+    console.log(c('dim', 'Download a GLTF asset pack from itch.io, Kenney.nl, etc. first.\n'));
+  }
   
   let assetsSourcePath = '';
   
+  // A flag answer is used once; if it is invalid we fail instead of re-asking
+  let assetsFlag = options.assets;
+  const nonInteractiveAssets = options.yes || options.assets !== undefined || options.noAssets;
+  
   while (!assetsSourcePath) {
-    let inputPath = await ask(c('bright', 'Path to assets folder'));
+    let inputPath;
+    if (options.noAssets) {
+      inputPath = '';
+    } else if (assetsFlag !== undefined) {
+      inputPath = assetsFlag;
+      assetsFlag = undefined;
+    } else if (options.yes) {
+      failMissingAnswer(
+        'No assets folder given.',
+        'Pass --assets=PATH, or --no-assets to create the project without assets.'
+      );
+    } else {
+      inputPath = await ask(c('bright', 'Path to assets folder'));
+    }
     
     if (!inputPath) {
-      const skipAnyway = await confirm(
+      const skipAnyway = options.noAssets || await confirm(
         c('yellow', 'Without assets, the automation pipeline cannot run. Skip anyway?'),
         false
       );
@@ -368,6 +573,7 @@ async function main() {
     // Validate path
     if (!fs.existsSync(inputPath)) {
       console.log(c('red', `  ✗ Path not found: ${inputPath}`));
+      if (nonInteractiveAssets) failMissingAnswer('Assets folder not found.', 'Check the --assets path.');
       console.log(c('dim', '  Please check the path and try again.\n'));
       continue;
     }
@@ -375,6 +581,7 @@ async function main() {
     const stat = fs.statSync(inputPath);
     if (!stat.isDirectory()) {
       console.log(c('red', '  ✗ Path is not a directory.'));
+      if (nonInteractiveAssets) failMissingAnswer('Assets path is not a directory.', 'Pass a folder to --assets.');
       console.log(c('dim', '  Please provide a folder path.\n'));
       continue;
     }
@@ -385,8 +592,12 @@ async function main() {
     
     if (!hasModels) {
       console.log(c('yellow', '  ⚠ No .gltf or .glb files found in this folder.'));
-      const useAnyway = await confirm('Use this folder anyway?', false);
-      if (!useAnyway) continue;
+      // Passing the folder explicitly with --assets counts as "use it anyway"
+      const useAnyway = options.assets !== undefined || await resolveConfirm(undefined, 'Use this folder anyway?', false);
+      if (!useAnyway) {
+        if (options.yes) failMissingAnswer('Assets folder contains no .gltf or .glb files.');
+        continue;
+      }
     }
     
     assetsSourcePath = inputPath;
@@ -404,7 +615,7 @@ async function main() {
   const sourceDir = fs.existsSync(templateDir) ? templateDir : fallbackTemplateDir;
   
   // Files/folders to copy
-  const itemsToCopy = ['.claude', '.codex', 'docs', 'plans', 'prompts', 'public', 'scripts', 'README.md'];
+  const itemsToCopy = ['.claude', '.codex', 'docs', 'plans', 'prompts', 'public', 'scenarios', 'scripts', 'README.md', 'package.json'];
   
   fs.mkdirSync(projectPath, { recursive: true });
   
@@ -427,12 +638,20 @@ async function main() {
     google_ai_studio: {
       api_key: googleApiKey || 'YOUR_GOOGLE_AI_STUDIO_API_KEY'
     },
-    anthropic: {
-      api_key: anthropicApiKey || 'YOUR_OPENAI_API_KEY'
+    llm: {
+      provider: llmProvider,
+      model: options.model || llmSpec.defaultModel,
+      ...(llmProvider === 'openai-compatible' ? { base_url: options.baseUrl || llmSpec.baseUrl } : {})
+    },
+    [llmSpec.configKey]: {
+      api_key: llmApiKey || `YOUR_${llmSpec.configKey.toUpperCase()}_API_KEY`
     },
     game: {
       name: gameName,
       description: gameDescription || 'YOUR_GAME_DESCRIPTION'
+    },
+    three: {
+      version: normalizeVersion(options.threeVersion || DEFAULT_THREE_VERSION)
     }
   };
   
@@ -440,6 +659,21 @@ async function main() {
   fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
   console.log(c('green', '  ✓ ') + 'scripts/config.json');
   
+  // Vendor three.js so the game never needs a CDN
+  const threeLabel = `three ${threeRevision(config.three.version)}`;
+  console.log(c('dim', `  Vendoring ${threeLabel}...`));
+  try {
+    const vendored = vendorThree({
+      projectRoot: projectPath,
+      version: config.three.version,
+      searchRoots: [path.join(__dirname, '..'), process.cwd()]
+    });
+    console.log(c('green', '  ✓ ') + `public/vendor/three/ (${threeLabel}, ${vendored.files.length} files)`);
+  } catch (err) {
+    console.log(c('yellow', `  ⚠ Could not vendor ${threeLabel}: ${err.message.split('\n')[0]}`));
+    console.log(c('dim', '    Run node scripts/vendor-three.js once you are online.'));
+  }
+  
   // Create assets directory
   const assetsDir = path.join(projectPath, 'public', 'assets', gameName);
   fs.mkdirSync(assetsDir, { recursive: true });
@@ -500,7 +734,7 @@ async function main() {
   
   // Check if we can run automation
   const hasGoogleKey = googleApiKey && !googleApiKey.includes('YOUR_');
-  const hasAnthropicKey = anthropicApiKey && !anthropicApiKey.includes('YOUR_');
+  const hasLlmKey = !llmSpec.requiresKey || (llmApiKey && !llmApiKey.includes('YOUR_'));
   const hasDescription = gameDescription && gameDescription.length > 10;
   
   // Next steps
@@ -541,10 +775,10 @@ async function main() {
   }
   
   // Step: API keys
-  if (!hasGoogleKey || !hasAnthropicKey) {
+  if (!hasGoogleKey || !hasLlmKey) {
     const missing = [];
     if (!hasGoogleKey) missing.push('Google AI Studio');
-    if (!hasAnthropicKey) missing.push('Anthropic');
+    if (!hasLlmKey) missing.push(llmSpec.label);
     
     steps.push({
       num: stepNum++,
@@ -599,9 +833,10 @@ async function main() {
   console.log('');
   
   // Offer to open directory
-  const openDir = await confirm('Open project directory?', true);
+  // In --yes mode the default is to not open anything
+  const openDir = await resolveConfirm(options.open, 'Open project directory?', !options.yes);
   
-  rl.close();
+  closePrompts();
   
   if (openDir) {
     try {
@@ -625,6 +860,6 @@ async function main() {
 // Run
 main().catch((err) => {
   console.error(c('red', '\nError: ') + err.message);
-  rl.close();
-  process.exit(1);
+  closePrompts();
+  process.exit(EXIT_ABORTED);
 });
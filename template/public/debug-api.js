@@ -0,0 +1,161 @@
+/**
+ * Game Debug API (window.__GAME__)
+ *
+ * The contract between a generated game and the test harness
+ * (scripts/test-game.js, scenarios and replays). Import it from the game's
+ * module script, register the game's objects once, and route the frame
+ * delta through it:
+ *
+ *   import { createDebugApi } from './debug-api.js';
+ *
+ *   const debug = createDebugApi({
+ *     scene, camera, renderer,
+ *     getState: () => ({ state: game.state, score: game.score, health: player.health }),
+ *     getPlayer: () => player.mesh,
+ *     getEntities: () => enemies.map(e => ({ id: e.id, type: 'enemy', position: e.mesh.position }))
+ *   });
+ *
+ *   function animate() {
+ *     requestAnimationFrame(animate);
+ *     const delta = debug.frameDelta(clock.getDelta());
+ *     game.update(delta);
+ *     renderer.render(scene, camera);
+ *   }
+ *
+ * window.__GAME__ then exposes:
+ *   apiVersion              Contract version (1)
+ *   scene, camera, renderer The three.js objects
+ *   getTestState()          Plain JSON snapshot:
+ *                             { state, score, health, playerPosition,
+ *                               cameraPosition, entities, entityCount,
+ *                               paused, timeScale, frame, ...getState() }
+ *   pause() / resume()      Freeze / unfreeze game time (rendering continues)
+ *   step(frames = 1)        While paused, advance exactly N fixed frames;
+ *                           resolves once they have run
+ *   setTimeScale(scale)     Slow motion / fast forward (1 = normal)
+ *   isPaused()
+ */
+
+export const DEBUG_API_VERSION = 1;
+
+// Members the harness checks for (see scripts/test-game.js)
+export const DEBUG_API_MEMBERS = ['getTestState', 'pause', 'resume', 'step', 'setTimeScale', 'scene', 'camera', 'renderer'];
+
+const STEP_DELTA = 1 / 60;
+
+function toVector(v) {
+  if (!v || typeof v.x !== 'number' || typeof v.y !== 'number') return null;
+  return { x: v.x, y: v.y, z: typeof v.z === 'number' ? v.z : 0 };
+}
+
+// Plain JSON copy, so the harness never touches live three.js objects
+function toPlain(value, depth = 0) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return typeof value === 'function' ? undefined : value;
+  if (value.isVector2 || value.isVector3) return toVector(value);
+  if (depth > 4) return null;
+  if (Array.isArray(value)) return value.map(v => toPlain(v, depth + 1));
+  const out = {};
+  for (const key of Object.keys(value)) {
+    if (key === 'parent' || key === 'children') continue;
+    const plain = toPlain(value[key], depth + 1);
+    if (plain !== undefined) out[key] = plain;
+  }
+  return out;
+}
+
+/**
+ * Create the debug API and install it as window.__GAME__.
+ *
+ * options:
+ *   scene, camera, renderer  three.js objects
+ *   getState()     Game-specific fields; `state`, `score` and `health` are
+ *                  surfaced at the top level of getTestState()
+ *   getPlayer()    Object with a `position` (e.g. the player's Object3D)
+ *   getEntities()  [{ id, type, position, ... }] for enemies, units, pickups...
+ *
+ * Returns the API object; use api.frameDelta(delta) in the game loop.
+ */
+export function createDebugApi({ scene = null, camera = null, renderer = null, getState, getPlayer, getEntities } = {}) {
+  let paused = false;
+  let timeScale = 1;
+  let frame = 0;
+  let pendingSteps = 0;
+  let stepWaiters = [];
+
+  const api = {
+    apiVersion: DEBUG_API_VERSION,
+    scene,
+    camera,
+    renderer,
+
+    getTestState() {
+      const custom = toPlain(getState ? getState() : {}) || {};
+      const player = getPlayer ? getPlayer() : null;
+      const entities = getEntities ? toPlain(getEntities()) || [] : [];
+
+      return {
+        ...custom,
+        state: custom.state ?? null,
+        score: custom.score ?? null,
+        health: custom.health ?? null,
+        playerPosition: toVector(player?.position),
+        cameraPosition: toVector(api.camera?.position),
+        entities,
+        entityCount: entities.length,
+        paused,
+        timeScale,
+        frame
+      };
+    },
+
+    pause() {
+      paused = true;
+    },
+
+    resume() {
+      paused = false;
+      pendingSteps = 0;
+      stepWaiters.forEach(waiter => waiter.resolve(frame));
+      stepWaiters = [];
+    },
+
+    isPaused() {
+      return paused;
+    },
+
+    step(frames = 1) {
+      if (!paused) api.pause();
+      pendingSteps += Math.max(1, Math.floor(frames));
+      const target = frame + pendingSteps;
+      return new Promise(resolve => stepWaiters.push({ target, resolve }));
+    },
+
+    setTimeScale(scale) {
+      timeScale = Math.max(0, Number(scale) || 0);
+    },
+
+    /**
+     * Game-loop hook: returns the delta (seconds) the game should simulate
+     * this frame. 0 while paused, a fixed 1/60 s per pending step, and the
+     * scaled real delta otherwise.
+     */
+    frameDelta(delta) {
+      if (paused) {
+        if (pendingSteps === 0) return 0;
+        pendingSteps -= 1;
+        frame += 1;
+        const done = stepWaiters.filter(waiter => waiter.target <= frame);
+        stepWaiters = stepWaiters.filter(waiter => waiter.target > frame);
+        // Resolve after this frame's update has run
+        if (done.length > 0) queueMicrotask(() => done.forEach(waiter => waiter.resolve(frame)));
+        return STEP_DELTA;
+      }
+      frame += 1;
+      return delta * timeScale;
+    }
+  };
+
+  window.__GAME__ = api;
+  return api;
+}
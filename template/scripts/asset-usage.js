@@ -0,0 +1,185 @@
+/**
+ * Asset Usage
+ *
+ * Records the responses a game receives while test-game.js runs it and
+ * cross-references them with public/assets/<game>/assets.json:
+ *
+ *   loaded      Indexed models the game actually fetched
+ *   notLoaded   Indexed models it never requested
+ *   failed      Asset requests that 404'd or errored
+ *   unindexed   Models, images or audio under the asset folder that were
+ *               loaded but are missing from assets.json (re-run
+ *               generate-assets-json.js)
+ *   packs       Requests and bytes downloaded per asset pack
+ *
+ * Files assets.json does not index (.bin buffers, assets.json itself...)
+ * count towards the byte totals only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Extensions generate-assets-json.js indexes
+const INDEXED_EXTENSIONS = ['.gltf', '.glb', '.obj', '.fbx', '.png', '.jpg', '.jpeg', '.webp', '.gif', '.mp3', '.wav', '.ogg'];
+const MODEL_EXTENSIONS = ['.gltf', '.glb', '.obj', '.fbx'];
+
+/**
+ * Find the game's assets.json: config.game.name first, else the only
+ * folder in public/assets/. Returns { gameName, assetsJsonPath, index } or
+ * null when there is none.
+ */
+function loadAssetIndex(projectRoot) {
+  const assetsRoot = path.join(projectRoot, 'public', 'assets');
+  let gameName = null;
+
+  const configPath = path.join(projectRoot, 'scripts', 'config.json');
+  if (fs.existsSync(configPath)) {
+    try {
+      gameName = JSON.parse(fs.readFileSync(configPath, 'utf-8')).game?.name || null;
+    } catch (err) {
+      gameName = null;
+    }
+  }
+  if (!gameName && fs.existsSync(assetsRoot)) {
+    const dirs = fs.readdirSync(assetsRoot, { withFileTypes: true })
+      .filter(item => item.isDirectory() && !item.name.startsWith('.'));
+    if (dirs.length === 1) gameName = dirs[0].name;
+  }
+  if (!gameName) return null;
+
+  const assetsJsonPath = path.join(assetsRoot, gameName, 'assets.json');
+  if (!fs.existsSync(assetsJsonPath)) return null;
+
+  return {
+    gameName,
+    assetsJsonPath,
+    index: JSON.parse(fs.readFileSync(assetsJsonPath, 'utf-8'))
+  };
+}
+
+/**
+ * Record every response (and failed request) of a page.
+ * Returns { entries() } resolving to [{ url, status, bytes, error }].
+ */
+function trackResponses(page) {
+  const pending = [];
+
+  page.on('response', (response) => {
+    pending.push((async () => {
+      let bytes = null;
+      try {
+        const sizes = await response.request().sizes();
+        bytes = sizes.responseBodySize;
+      } catch (err) {
+        const length = Number(response.headers()['content-length']);
+        bytes = Number.isFinite(length) ? length : null;
+      }
+      return { url: response.url(), status: response.status(), bytes, error: null };
+    })());
+  });
+
+  page.on('requestfailed', (request) => {
+    pending.push(Promise.resolve({
+      url: request.url(),
+      status: null,
+      bytes: 0,
+      error: request.failure() ? request.failure().errorText : 'unknown'
+    }));
+  });
+
+  return {
+    entries: () => Promise.all(pending)
+  };
+}
+
+// URL -> path relative to the asset folder, or null when outside it
+function assetPathOf(url, baseUrl, gameName) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (err) {
+    return null;
+  }
+  const base = new URL(baseUrl);
+  if (target.origin !== base.origin) return null;
+
+  const basePath = base.pathname.replace(/[^/]*$/, '');
+  let pathname;
+  try {
+    pathname = decodeURIComponent(target.pathname);
+  } catch (err) {
+    pathname = target.pathname;
+  }
+  if (!pathname.startsWith(basePath)) return null;
+
+  const prefix = `assets/${gameName}/`;
+  const relative = pathname.slice(basePath.length);
+  return relative.startsWith(prefix) ? relative.slice(prefix.length) : null;
+}
+
+/**
+ * Cross-reference recorded responses with assets.json.
+ * Reloads (scenarios) fetch files again; bytes are counted once per file.
+ */
+function analyzeAssetUsage(assetIndex, entries, baseUrl) {
+  const { gameName, index } = assetIndex;
+  const indexed = new Map((index.assets || []).map(asset => [asset.relativePath, asset]));
+  const models = (index.assets || []).filter(asset => MODEL_EXTENSIONS.includes(asset.extension));
+
+  const files = new Map();
+  for (const entry of entries) {
+    const relativePath = assetPathOf(entry.url, baseUrl, gameName);
+    if (relativePath === null) continue;
+
+    const file = files.get(relativePath) || { path: relativePath, requests: 0, bytes: 0, status: null, error: null };
+    file.requests += 1;
+    file.bytes = Math.max(file.bytes, entry.bytes || 0);
+    // A later successful load wins over an earlier failure
+    if (file.status === null || (entry.status >= 200 && entry.status < 400)) {
+      file.status = entry.status;
+      file.error = entry.error;
+    }
+    files.set(relativePath, file);
+  }
+
+  const ok = file => file.status !== null && file.status >= 200 && file.status < 400;
+  const loadedFiles = [...files.values()].filter(ok);
+
+  const loaded = models.filter(model => ok(files.get(model.relativePath) || {})).map(model => model.relativePath);
+  const notLoaded = models.filter(model => !files.has(model.relativePath)).map(model => model.relativePath);
+
+  const failed = [...files.values()]
+    .filter(file => !ok(file))
+    .map(file => ({
+      path: file.path,
+      status: file.status,
+      error: file.error,
+      indexed: indexed.has(file.path)
+    }));
+
+  const unindexed = loadedFiles
+    .filter(file => !indexed.has(file.path) && INDEXED_EXTENSIONS.includes(path.extname(file.path).toLowerCase()))
+    .map(file => ({ path: file.path, bytes: file.bytes }));
+
+  // Bytes per pack (the asset's pack, else its first folder)
+  const packs = {};
+  for (const file of loadedFiles) {
+    const pack = indexed.get(file.path)?.pack || (file.path.includes('/') ? file.path.split('/')[0] : '(root)');
+    packs[pack] = packs[pack] || { files: 0, bytes: 0 };
+    packs[pack].files += 1;
+    packs[pack].bytes += file.bytes;
+  }
+
+  return {
+    game: gameName,
+    indexedModels: models.length,
+    loaded,
+    notLoaded,
+    failed,
+    unindexed,
+    packs,
+    totalBytes: loadedFiles.reduce((sum, file) => sum + file.bytes, 0)
+  };
+}
+
+module.exports = { loadAssetIndex, trackResponses, analyzeAssetUsage };
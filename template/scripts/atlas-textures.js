@@ -0,0 +1,705 @@
+#!/usr/bin/env node
+
+/**
+ * Texture Atlas Builder
+ *
+ * Low-poly packs often give every colour swatch its own tiny texture, which
+ * costs a texture bind (and usually a draw call) each. This packs the base
+ * colour textures of the selected models into shared atlases (sharp),
+ * remaps their TEXCOORD accessors into the atlas, merges materials that
+ * became identical, and writes atlased copies next to the originals:
+ *
+ *   glTF/Tree.gltf  ->  glTF/Tree.atlas.gltf + glTF/Tree.atlas.bin
+ *   atlases/<name>-0.png, atlases/<name>-1.png ...
+ *
+ * The atlas manifest (regions, per-model material/texture counts) is added
+ * to assets.json `atlases`. Re-running with the same --name rebuilds that
+ * atlas with the models of the earlier run added to the selection, since
+ * their copies point at the same atlas images.
+ *
+ * A material is atlased only when its sole texture is baseColorTexture,
+ * without KHR_texture_transform, and all its UVs are within 0..1 (tiling
+ * textures can't share an atlas). Everything else is kept as it was.
+ *
+ * Usage:
+ *   node atlas-textures.js <game_name> [model or folder ...] [options]
+ *   node atlas-textures.js medieval glTF/Buildings --name=buildings
+ *   node atlas-textures.js medieval glTF/Tree.gltf glTF/Rock.glb --max-size=1024
+ *
+ * With no model arguments, every .gltf/.glb in the asset folder is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readGltf } = require('./gltf-utils');
+
+// Sharp for image processing
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (e) {
+  // Reported in main()
+}
+
+const FLOAT = 5126;
+const COMPONENT_READERS = {
+  5121: { size: 1, read: (view, offset) => view.getUint8(offset) / 255 },
+  5123: { size: 2, read: (view, offset) => view.getUint16(offset, true) / 65535 },
+  5126: { size: 4, read: (view, offset) => view.getFloat32(offset, true) }
+};
+const CLAMP_TO_EDGE = 33071;
+const LINEAR = 9729;
+const LINEAR_MIPMAP_LINEAR = 9987;
+const UV_EPSILON = 1e-4;
+// Material extensions that don't add textures
+const SAFE_MATERIAL_EXTENSIONS = ['KHR_materials_unlit', 'KHR_materials_emissive_strength'];
+const OTHER_TEXTURES = ['normalTexture', 'occlusionTexture', 'emissiveTexture'];
+
+function parseArgs(argv) {
+  const args = {
+    gameName: null,
+    models: [],
+    name: 'atlas',
+    maxSize: 2048,
+    padding: 2
+  };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--name=')) args.name = arg.split('=').slice(1).join('=');
+    else if (arg.startsWith('--max-size=')) args.maxSize = Number(arg.split('=').slice(1).join('='));
+    else if (arg.startsWith('--padding=')) args.padding = Number(arg.split('=').slice(1).join('='));
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!arg.startsWith('--')) {
+      if (args.gameName === null) args.gameName = arg;
+      else args.models.push(arg);
+    }
+  }
+
+  // Atlas sides are powers of two, so the limit has to be one as well
+  args.invalid = [];
+  if (!Number.isInteger(args.maxSize) || args.maxSize < 1 || nextPowerOfTwo(args.maxSize) !== args.maxSize) {
+    args.invalid.push('--max-size must be a power of two (e.g. 1024, 2048, 4096)');
+  }
+  if (!Number.isInteger(args.padding) || args.padding < 0) {
+    args.invalid.push('--padding must be a whole number of pixels, 0 or more');
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+Texture Atlas Builder
+
+Usage:
+  node scripts/atlas-textures.js <game_name> [model or folder ...] [options]
+
+Models and folders are relative to public/assets/<game_name>/ (default: all).
+
+Options:
+  --name=NAME        Atlas name: atlases/NAME-0.png... (default: atlas);
+                     reusing a name rebuilds it with its earlier models
+  --max-size=PX      Largest atlas side, a power of two (default: 2048)
+  --padding=PX       Edge pixels repeated around each texture (default: 2)
+`);
+}
+
+function toPosix(p) {
+  return p.replace(/\\/g, '/');
+}
+
+function nextPowerOfTwo(value) {
+  return 2 ** Math.ceil(Math.log2(Math.max(1, value)));
+}
+
+function findModels(dir) {
+  const models = [];
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (item.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) models.push(...findModels(fullPath));
+    else if (/\.(gltf|glb)$/i.test(item.name) && !/\.atlas\.gltf$/i.test(item.name)) models.push(fullPath);
+  }
+  return models;
+}
+
+// Buffers of a model as Buffers (external files, data: URIs or the GLB chunk)
+function loadBuffers(modelPath, json, bin) {
+  return (json.buffers || []).map((buffer, index) => {
+    if (buffer.uri === undefined) {
+      if (index === 0 && bin) return bin;
+      throw new Error(`buffer ${index} has no data`);
+    }
+    if (buffer.uri.startsWith('data:')) {
+      return Buffer.from(buffer.uri.slice(buffer.uri.indexOf(',') + 1), 'base64');
+    }
+    return fs.readFileSync(path.join(path.dirname(modelPath), decodeURIComponent(buffer.uri)));
+  });
+}
+
+function readUvs(json, buffers, accessorIndex) {
+  const accessor = json.accessors[accessorIndex];
+  if (accessor.sparse) throw new Error('sparse accessor');
+  const component = COMPONENT_READERS[accessor.componentType];
+  if (!component || accessor.type !== 'VEC2') throw new Error('unsupported TEXCOORD format');
+  if (accessor.componentType !== FLOAT && !accessor.normalized) throw new Error('unnormalized integer TEXCOORD');
+
+  const bufferView = json.bufferViews[accessor.bufferView];
+  const buffer = buffers[bufferView.buffer];
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const stride = bufferView.byteStride || component.size * 2;
+  const base = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+
+  const uvs = new Float32Array(accessor.count * 2);
+  for (let i = 0; i < accessor.count; i++) {
+    uvs[i * 2] = component.read(view, base + i * stride);
+    uvs[i * 2 + 1] = component.read(view, base + i * stride + component.size);
+  }
+  return uvs;
+}
+
+// Image bytes and a key that identifies the image across models
+function imageSource(modelPath, json, buffers, imageIndex) {
+  const image = json.images[imageIndex];
+  if (typeof image.uri === 'string') {
+    if (image.uri.startsWith('data:')) {
+      return { key: `${modelPath}#image${imageIndex}`, data: Buffer.from(image.uri.slice(image.uri.indexOf(',') + 1), 'base64') };
+    }
+    const filePath = path.resolve(path.dirname(modelPath), decodeURIComponent(image.uri));
+    return { key: filePath, data: fs.readFileSync(filePath) };
+  }
+  const bufferView = json.bufferViews[image.bufferView];
+  const buffer = buffers[bufferView.buffer];
+  const start = bufferView.byteOffset || 0;
+  return { key: `${modelPath}#image${imageIndex}`, data: buffer.subarray(start, start + bufferView.byteLength) };
+}
+
+/**
+ * Find the materials of a model that can move into an atlas.
+ * Returns { json, buffers, candidates: Map<material, { imageKey, texCoord }>,
+ * images: Map<imageKey, data>, skipped: [reason] }.
+ */
+function analyzeModel(modelPath) {
+  const { json, bin } = readGltf(modelPath);
+  const buffers = loadBuffers(modelPath, json, bin);
+  const candidates = new Map();
+  const images = new Map();
+  const skipped = [];
+
+  const primitivesByMaterial = new Map();
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      if (primitive.material === undefined) continue;
+      if (!primitivesByMaterial.has(primitive.material)) primitivesByMaterial.set(primitive.material, []);
+      primitivesByMaterial.get(primitive.material).push(primitive);
+    }
+  }
+
+  (json.materials || []).forEach((material, index) => {
+    const label = material.name || `material ${index}`;
+    const info = material.pbrMetallicRoughness?.baseColorTexture;
+    if (!info) return;
+
+    const otherTextures = OTHER_TEXTURES.some(key => material[key]) || material.pbrMetallicRoughness.metallicRoughnessTexture;
+    const unsafeExtensions = Object.keys(material.extensions || {}).filter(key => !SAFE_MATERIAL_EXTENSIONS.includes(key));
+    if (otherTextures || unsafeExtensions.length > 0) {
+      skipped.push(`${label}: uses textures besides baseColorTexture`);
+      return;
+    }
+    if (info.extensions?.KHR_texture_transform) {
+      skipped.push(`${label}: uses KHR_texture_transform`);
+      return;
+    }
+
+    const texture = json.textures[info.index];
+    const imageIndex = texture.source ?? texture.extensions?.EXT_texture_webp?.source;
+    if (imageIndex === undefined) {
+      skipped.push(`${label}: texture has no image`);
+      return;
+    }
+
+    const texCoord = info.texCoord || 0;
+    try {
+      for (const primitive of primitivesByMaterial.get(index) || []) {
+        const accessor = primitive.attributes[`TEXCOORD_${texCoord}`];
+        if (accessor === undefined) throw new Error(`a primitive has no TEXCOORD_${texCoord}`);
+        const uvs = readUvs(json, buffers, accessor);
+        if (uvs.some(value => value < -UV_EPSILON || value > 1 + UV_EPSILON)) throw new Error('UVs outside 0..1 (tiling)');
+      }
+      const source = imageSource(modelPath, json, buffers, imageIndex);
+      images.set(source.key, source.data);
+      candidates.set(index, { imageKey: source.key, texCoord });
+    } catch (err) {
+      skipped.push(`${label}: ${err.message}`);
+    }
+  });
+
+  return { json, buffers, candidates, images, skipped };
+}
+
+/**
+ * Shelf-pack rectangles ({ key, width, height }, padding included) into
+ * power-of-two atlases no larger than maxSize (itself a power of two).
+ * Returns [{ width, height, placements: [{ key, x, y, width, height }] }];
+ * rects that fit nowhere are left out.
+ */
+function packRects(rects, maxSize) {
+  const remaining = [...rects].sort((a, b) => b.height - a.height || b.width - a.width);
+  const atlases = [];
+
+  while (remaining.length > 0) {
+    let best = null;
+    // Try each width; keep the layout that places the most rects (ties: least area)
+    for (let width = nextPowerOfTwo(remaining[0].width); width <= maxSize; width *= 2) {
+      const placements = [];
+      let x = 0;
+      let y = 0;
+      let shelfHeight = 0;
+      for (const rect of remaining) {
+        if (rect.width > width) continue;
+        if (x + rect.width > width) {
+          y += shelfHeight;
+          x = 0;
+          shelfHeight = 0;
+        }
+        if (y + rect.height > maxSize) continue;
+        placements.push({ key: rect.key, x, y, width: rect.width, height: rect.height });
+        x += rect.width;
+        shelfHeight = Math.max(shelfHeight, rect.height);
+      }
+      const height = nextPowerOfTwo(Math.max(...placements.map(p => p.y + p.height), 1));
+      const candidate = { width, height, placements };
+      if (!best || placements.length > best.placements.length ||
+        (placements.length === best.placements.length && width * height < best.width * best.height)) {
+        best = candidate;
+      }
+    }
+
+    if (!best || best.placements.length === 0) break;
+    atlases.push(best);
+    const placed = new Set(best.placements.map(p => p.key));
+    remaining.splice(0, remaining.length, ...remaining.filter(rect => !placed.has(rect.key)));
+  }
+
+  return atlases;
+}
+
+// Append data to a Buffer list, 4-byte aligned; returns its offset
+function appendAligned(chunks, data, state) {
+  const padding = (4 - (state.length % 4)) % 4;
+  if (padding) chunks.push(Buffer.alloc(padding));
+  const offset = state.length + padding;
+  chunks.push(data);
+  state.length = offset + data.length;
+  return offset;
+}
+
+// Material identity once its texture points at the atlas
+function materialKey(material) {
+  const { name, extras, ...rest } = material;
+  return JSON.stringify(rest);
+}
+
+// Texture infos ({ index, ... }) anywhere in a material, extensions included
+function textureInfos(value, infos = []) {
+  if (!value || typeof value !== 'object') return infos;
+  for (const [key, child] of Object.entries(value)) {
+    if (/Texture$/.test(key) && child && typeof child.index === 'number') infos.push(child);
+    else textureInfos(child, infos);
+  }
+  return infos;
+}
+
+// Drop the textures, images and samplers no material uses any more
+function pruneTextures(json) {
+  const infos = textureInfos(json.materials || []);
+  const textureMap = new Map();
+  json.textures = json.textures.filter((texture, index) => {
+    if (!infos.some(info => info.index === index)) return false;
+    textureMap.set(index, textureMap.size);
+    return true;
+  });
+  infos.forEach(info => { info.index = textureMap.get(info.index); });
+
+  const sources = json.textures.flatMap(texture => [texture, ...Object.values(texture.extensions || {})])
+    .filter(owner => owner.source !== undefined);
+  const imageMap = new Map();
+  json.images = json.images.filter((image, index) => {
+    if (!sources.some(owner => owner.source === index)) return false;
+    imageMap.set(index, imageMap.size);
+    return true;
+  });
+  sources.forEach(owner => { owner.source = imageMap.get(owner.source); });
+
+  const samplerMap = new Map();
+  json.samplers = json.samplers.filter((sampler, index) => {
+    if (!json.textures.some(texture => texture.sampler === index)) return false;
+    samplerMap.set(index, samplerMap.size);
+    return true;
+  });
+  json.textures.forEach((texture) => {
+    if (texture.sampler !== undefined) texture.sampler = samplerMap.get(texture.sampler);
+  });
+
+  for (const key of ['textures', 'images', 'samplers']) {
+    if (json[key].length === 0) delete json[key];
+  }
+}
+
+/**
+ * Write the atlased copy of one model.
+ * regions: Map<imageKey, { atlas, x, y, width, height }>; atlasImages:
+ * [{ path (absolute), width, height }]. Returns per-model stats.
+ */
+function writeAtlasedModel(modelPath, analysis, regions, atlasImages) {
+  const { json, buffers, candidates } = analysis;
+  const baseName = path.basename(modelPath).replace(/\.(gltf|glb)$/i, '');
+  const outputPath = path.join(path.dirname(modelPath), `${baseName}.atlas.gltf`);
+  const binName = `${baseName}.atlas.bin`;
+
+  const materialsBefore = (json.materials || []).length;
+  const texturesBefore = new Set((json.materials || [])
+    .map(material => material.pbrMetallicRoughness?.baseColorTexture?.index)
+    .filter(index => index !== undefined)).size;
+
+  // One buffer: the original buffers back to back, then the new UVs
+  const chunks = [];
+  const state = { length: 0 };
+  const bufferOffsets = buffers.map(buffer => appendAligned(chunks, buffer, state));
+  for (const bufferView of json.bufferViews || []) {
+    bufferView.byteOffset = (bufferView.byteOffset || 0) + bufferOffsets[bufferView.buffer];
+    bufferView.buffer = 0;
+  }
+
+  // Atlas images, sampler and textures
+  json.images = json.images || [];
+  json.textures = json.textures || [];
+  json.samplers = json.samplers || [];
+  const sampler = json.samplers.push({ magFilter: LINEAR, minFilter: LINEAR_MIPMAP_LINEAR, wrapS: CLAMP_TO_EDGE, wrapT: CLAMP_TO_EDGE }) - 1;
+  const atlasTextures = new Map();
+  const atlasTexture = (atlasIndex) => {
+    if (!atlasTextures.has(atlasIndex)) {
+      const uri = encodeURI(toPosix(path.relative(path.dirname(modelPath), atlasImages[atlasIndex].path)));
+      const image = json.images.push({ uri, mimeType: 'image/png' }) - 1;
+      atlasTextures.set(atlasIndex, json.textures.push({ source: image, sampler }) - 1);
+    }
+    return atlasTextures.get(atlasIndex);
+  };
+
+  // Remap UVs; the same accessor can feed several primitives
+  const remapped = new Map();
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      const candidate = candidates.get(primitive.material);
+      const region = candidate && regions.get(candidate.imageKey);
+      if (!region) continue;
+
+      const attribute = `TEXCOORD_${candidate.texCoord}`;
+      const cacheKey = `${primitive.attributes[attribute]}:${candidate.imageKey}`;
+      if (!remapped.has(cacheKey)) {
+        const uvs = readUvs(json, buffers, primitive.attributes[attribute]);
+        const atlas = atlasImages[region.atlas];
+        for (let i = 0; i < uvs.length; i += 2) {
+          uvs[i] = (region.x + uvs[i] * region.width) / atlas.width;
+          uvs[i + 1] = (region.y + uvs[i + 1] * region.height) / atlas.height;
+        }
+        const data = Buffer.from(uvs.buffer);
+        const byteOffset = appendAligned(chunks, data, state);
+        const bufferView = json.bufferViews.push({ buffer: 0, byteOffset, byteLength: data.length }) - 1;
+        let min = [Infinity, Infinity];
+        let max = [-Infinity, -Infinity];
+        for (let i = 0; i < uvs.length; i += 2) {
+          min = [Math.min(min[0], uvs[i]), Math.min(min[1], uvs[i + 1])];
+          max = [Math.max(max[0], uvs[i]), Math.max(max[1], uvs[i + 1])];
+        }
+        remapped.set(cacheKey, json.accessors.push({
+          bufferView,
+          componentType: FLOAT,
+          count: uvs.length / 2,
+          type: 'VEC2',
+          min,
+          max
+        }) - 1);
+      }
+      primitive.attributes[attribute] = remapped.get(cacheKey);
+    }
+  }
+
+  for (const [materialIndex, candidate] of candidates) {
+    const region = regions.get(candidate.imageKey);
+    if (!region) continue;
+    const info = json.materials[materialIndex].pbrMetallicRoughness.baseColorTexture;
+    info.index = atlasTexture(region.atlas);
+  }
+
+  // Merge materials that are now identical
+  const kept = [];
+  const keyToIndex = new Map();
+  const indexMap = (json.materials || []).map((material) => {
+    const key = materialKey(material);
+    if (!keyToIndex.has(key)) {
+      keyToIndex.set(key, kept.length);
+      kept.push(material);
+    }
+    return keyToIndex.get(key);
+  });
+  if (json.materials) json.materials = kept;
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      if (primitive.material !== undefined) primitive.material = indexMap[primitive.material];
+    }
+  }
+
+  pruneTextures(json);
+
+  const bin = Buffer.concat(chunks);
+  json.buffers = [{ uri: encodeURI(binName), byteLength: bin.length }];
+  fs.writeFileSync(path.join(path.dirname(modelPath), binName), bin);
+  fs.writeFileSync(outputPath, JSON.stringify(json, null, 2));
+
+  const texturesAfter = new Set(kept
+    .map(material => material.pbrMetallicRoughness?.baseColorTexture?.index)
+    .filter(index => index !== undefined)).size;
+
+  return {
+    outputPath,
+    materials: { before: materialsBefore, after: kept.length },
+    textures: { before: texturesBefore, after: texturesAfter }
+  };
+}
+
+/**
+ * Build atlases for a set of models.
+ * Returns the manifest entry stored in assets.json `atlases`.
+ */
+async function buildAtlases({ assetsDir, models, name = 'atlas', maxSize = 2048, padding = 2 }) {
+  const analyses = new Map();
+  const images = new Map();
+  const skipped = [];
+
+  for (const modelPath of models) {
+    const relativePath = toPosix(path.relative(assetsDir, modelPath));
+    try {
+      const analysis = analyzeModel(modelPath);
+      analyses.set(modelPath, analysis);
+      analysis.images.forEach((data, key) => images.set(key, data));
+      analysis.skipped.forEach(reason => skipped.push(`${relativePath}: ${reason}`));
+    } catch (err) {
+      skipped.push(`${relativePath}: ${err.message}`);
+    }
+  }
+
+  // Measure every image (with padding on each side)
+  const rects = [];
+  for (const [key, data] of images) {
+    const { width, height } = await sharp(data).metadata();
+    if (width + padding * 2 > maxSize || height + padding * 2 > maxSize) {
+      skipped.push(`${toPosix(path.relative(assetsDir, key))}: larger than --max-size`);
+      continue;
+    }
+    rects.push({ key, width: width + padding * 2, height: height + padding * 2 });
+  }
+
+  const layouts = packRects(rects, maxSize);
+  const packed = new Set(layouts.flatMap(layout => layout.placements.map(placement => placement.key)));
+  for (const rect of rects) {
+    if (!packed.has(rect.key)) skipped.push(`${toPosix(path.relative(assetsDir, rect.key))}: did not fit in an atlas`);
+  }
+
+  const atlasDir = path.join(assetsDir, 'atlases');
+  fs.mkdirSync(atlasDir, { recursive: true });
+
+  const regions = new Map();
+  const atlasImages = [];
+  for (const [atlasIndex, layout] of layouts.entries()) {
+    const composites = [];
+    for (const placement of layout.placements) {
+      const input = await sharp(images.get(placement.key))
+        .ensureAlpha()
+        .extend({ top: padding, bottom: padding, left: padding, right: padding, extendWith: 'copy' })
+        .png()
+        .toBuffer();
+      composites.push({ input, left: placement.x, top: placement.y });
+      regions.set(placement.key, {
+        atlas: atlasIndex,
+        x: placement.x + padding,
+        y: placement.y + padding,
+        width: placement.width - padding * 2,
+        height: placement.height - padding * 2
+      });
+    }
+
+    const atlasPath = path.join(atlasDir, `${name}-${atlasIndex}.png`);
+    await sharp({ create: { width: layout.width, height: layout.height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+      .composite(composites)
+      .png({ compressionLevel: 9 })
+      .toFile(atlasPath);
+    atlasImages.push({ path: atlasPath, width: layout.width, height: layout.height });
+  }
+
+  // An earlier run with this name may have needed more atlases
+  for (const file of fs.readdirSync(atlasDir)) {
+    const index = file.startsWith(`${name}-`) && /^(\d+)\.png$/.exec(file.slice(name.length + 1));
+    if (index && Number(index[1]) >= layouts.length) fs.rmSync(path.join(atlasDir, file));
+  }
+
+  const modelStats = [];
+  for (const [modelPath, analysis] of analyses) {
+    const usesAtlas = [...analysis.candidates.values()].some(candidate => regions.has(candidate.imageKey));
+    if (!usesAtlas) continue;
+    const stats = writeAtlasedModel(modelPath, analysis, regions, atlasImages);
+    modelStats.push({
+      source: toPosix(path.relative(assetsDir, modelPath)),
+      output: toPosix(path.relative(assetsDir, stats.outputPath)),
+      materials: stats.materials,
+      textures: stats.textures
+    });
+  }
+
+  return {
+    name,
+    createdAt: new Date().toISOString(),
+    maxSize,
+    padding,
+    images: atlasImages.map(image => ({
+      path: toPosix(path.relative(assetsDir, image.path)),
+      width: image.width,
+      height: image.height
+    })),
+    models: modelStats,
+    // Embedded images are listed as "<model>#image<N>"
+    regions: [...regions].map(([key, region]) => ({ source: toPosix(path.relative(assetsDir, key)), ...region })),
+    skipped
+  };
+}
+
+// The assets.json `atlases` entry with this name, or null
+function findAtlas(assetsJsonPath, name) {
+  if (!fs.existsSync(assetsJsonPath)) return null;
+  const assetsJson = JSON.parse(fs.readFileSync(assetsJsonPath, 'utf-8'));
+  return (assetsJson.atlases || []).find(existing => existing.name === name) || null;
+}
+
+// Record the atlas in assets.json, replacing an older one with the same name
+// (atlas null just removes it)
+function recordAtlas(assetsJsonPath, name, atlas) {
+  const assetsJson = JSON.parse(fs.readFileSync(assetsJsonPath, 'utf-8'));
+  assetsJson.atlases = [...(assetsJson.atlases || []).filter(existing => existing.name !== name), ...(atlas ? [atlas] : [])];
+  fs.writeFileSync(assetsJsonPath, JSON.stringify(assetsJson, null, 2));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  if (args.invalid.length > 0) {
+    for (const message of args.invalid) console.error(`Error: ${message}`);
+  }
+  if (!args.gameName || args.invalid.length > 0) {
+    console.log('Usage: node atlas-textures.js <game_name> [model or folder ...] [options]');
+    process.exit(1);
+  }
+  if (!sharp) {
+    console.error('Error: sharp is not installed.');
+    console.error('Run: npm install');
+    process.exit(1);
+  }
+
+  const projectRoot = path.join(__dirname, '..');
+  const assetsDir = path.join(projectRoot, 'public', 'assets', args.gameName);
+  if (!fs.existsSync(assetsDir)) {
+    console.error(`Error: Assets directory not found: ${assetsDir}`);
+    process.exit(1);
+  }
+
+  const selections = args.models.length > 0 ? args.models : ['.'];
+  const models = [];
+  for (const selection of selections) {
+    const fullPath = path.resolve(assetsDir, selection);
+    if (!fs.existsSync(fullPath)) {
+      console.error(`Error: not found: ${selection}`);
+      process.exit(1);
+    }
+    models.push(...(fs.statSync(fullPath).isDirectory() ? findModels(fullPath) : [fullPath]));
+  }
+  if (models.length === 0) {
+    console.error('Error: no .gltf/.glb models selected');
+    process.exit(1);
+  }
+
+  // The earlier run's copies use the atlas images this run rewrites
+  const assetsJsonPath = path.join(assetsDir, 'assets.json');
+  const previous = findAtlas(assetsJsonPath, args.name);
+  if (previous) {
+    const earlier = previous.models
+      .map(model => path.join(assetsDir, model.source))
+      .filter(modelPath => fs.existsSync(modelPath) && !models.includes(modelPath));
+    if (earlier.length > 0) {
+      console.log(`Including ${earlier.length} model(s) from the earlier "${args.name}" atlas (use --name=NAME for a separate one)`);
+      models.push(...earlier);
+    }
+  }
+
+  const selected = [...new Set(models)];
+  console.log(`🧩 Building "${args.name}" atlas from ${selected.length} model(s)...\n`);
+  const atlas = await buildAtlases({
+    assetsDir,
+    models: selected,
+    name: args.name,
+    maxSize: args.maxSize,
+    padding: args.padding
+  });
+
+  for (const image of atlas.images) console.log(`  ✓ ${image.path} (${image.width}x${image.height})`);
+  console.log(`  ${atlas.regions.length} texture(s) packed\n`);
+  for (const model of atlas.models) {
+    console.log(`  ✓ ${model.output}  materials ${model.materials.before} → ${model.materials.after}, textures ${model.textures.before} → ${model.textures.after}`);
+  }
+  if (atlas.skipped.length > 0) {
+    console.log('\nKept as they were:');
+    atlas.skipped.forEach(reason => console.log(`  ⚠ ${reason}`));
+  }
+
+  // Copies from the earlier run that no longer point at a valid atlas
+  for (const model of previous?.models || []) {
+    if (atlas.models.some(current => current.output === model.output)) continue;
+    const outputPath = path.join(assetsDir, model.output);
+    fs.rmSync(outputPath, { force: true });
+    fs.rmSync(outputPath.replace(/\.gltf$/i, '.bin'), { force: true });
+    console.log(`  ⚠ Removed ${model.output} (no longer uses the atlas)`);
+  }
+
+  if (atlas.models.length === 0) {
+    console.log('\nNo model could use the atlas.');
+    if (previous) recordAtlas(assetsJsonPath, args.name, null);
+    return;
+  }
+
+  if (fs.existsSync(assetsJsonPath)) {
+    recordAtlas(assetsJsonPath, args.name, atlas);
+    // Index the new files; generate-assets-json.js keeps `atlases`
+    try {
+      execFileSync(process.execPath, [path.join(__dirname, 'generate-assets-json.js'), args.gameName], { stdio: 'pipe' });
+      console.log('\n✓ assets.json updated (atlases)');
+    } catch (err) {
+      console.log(`\n⚠ Atlas recorded, but re-indexing failed; run node scripts/generate-assets-json.js ${args.gameName}`);
+    }
+  } else {
+    console.log(`\n⚠ No assets.json yet; run node scripts/generate-assets-json.js ${args.gameName} and re-run to record the atlas`);
+  }
+}
+
+// Export for use as module
+module.exports = { packRects, analyzeModel, buildAtlases };
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
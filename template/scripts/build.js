@@ -0,0 +1,721 @@
+#!/usr/bin/env node
+
+/**
+ * Production Build
+ *
+ * Packages public/index.html and only the files it actually uses into
+ * dist/web/, plus a zip ready for itch.io-style uploads.
+ *
+ * Usage:
+ *   node scripts/build.js
+ *   node scripts/build.js --single-file       # one self-contained index.html
+ *   node scripts/build.js --inline=32         # inline assets up to 32 KB
+ *   node scripts/build.js --runtime           # also keep what the game loads at runtime
+ *   node scripts/build.js --include=assets/my_game/Audio
+ *
+ * What gets included:
+ *   - Modules and scripts reachable from index.html (import map, relative
+ *     and bare imports, <script src>, stylesheets)
+ *   - Asset paths written as string literals in that code (and CSS url()),
+ *     with the buffers and textures of the glTF files among them
+ *   - --runtime: every local file the game requests while running headless
+ *     (Playwright), for paths built at runtime like `assets/${name}.glb`
+ *   - --include: files or folders under public/ to add explicitly
+ *
+ * Inlined assets (--inline, --single-file) are served to the game by a small
+ * script that answers fetch(), XMLHttpRequest and image/audio `src` from
+ * data: URIs, so loader code needs no changes. --single-file also embeds
+ * modules as data: URIs in the import map.
+ *
+ * JS is minified with terser when it is installed; CSS always.
+ *
+ * Output:
+ *   dist/web/             The build
+ *   dist/<game>.zip       Zip of dist/web/
+ *   dist/size-report.json Size of every file, before and after
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readGltf } = require('./gltf-utils');
+const { createZip } = require('./zip');
+const { contentTypeFor } = require('./serve');
+
+// Terser for JS minification (optional)
+let terser = null;
+try {
+  terser = require('terser');
+} catch (e) {
+  // Terser not available - JS is copied unminified
+}
+
+const ASSET_EXTENSIONS = [
+  '.gltf', '.glb', '.bin', '.obj', '.fbx', '.mtl',
+  '.png', '.jpg', '.jpeg', '.webp', '.avif', '.gif', '.svg', '.ico', '.ktx2', '.basis', '.hdr', '.exr',
+  '.mp3', '.wav', '.ogg', '.m4a', '.mp4', '.webm',
+  '.json', '.txt', '.csv', '.wasm', '.woff', '.woff2', '.ttf'
+];
+const JS_EXTENSIONS = ['.js', '.mjs'];
+const DRACO_DECODER = 'draco_decoder.js';
+const BUILD_PREFIX = '@build/';
+
+function parseArgs(argv) {
+  const args = {
+    outDir: null,
+    singleFile: false,
+    inlineKb: 0,
+    minify: true,
+    zip: true,
+    runtime: false,
+    runtimeMs: 5000,
+    includes: []
+  };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--out-dir=')) args.outDir = arg.split('=').slice(1).join('=');
+    else if (arg === '--single-file') args.singleFile = true;
+    else if (arg.startsWith('--inline=')) args.inlineKb = Number(arg.split('=').slice(1).join('='));
+    else if (arg === '--no-minify') args.minify = false;
+    else if (arg === '--no-zip') args.zip = false;
+    else if (arg === '--runtime') args.runtime = true;
+    else if (arg.startsWith('--runtime=')) {
+      args.runtime = true;
+      args.runtimeMs = Number(arg.split('=').slice(1).join('='));
+    } else if (arg.startsWith('--include=')) args.includes.push(arg.split('=').slice(1).join('='));
+    else if (arg === '--help' || arg === '-h') args.help = true;
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+Production Build
+
+Usage:
+  node scripts/build.js [options]
+
+Options:
+  --out-dir=DIR      Output directory (default: dist)
+  --single-file      Embed everything into one self-contained index.html
+  --inline=KB        Inline assets up to KB kilobytes as data: URIs
+  --runtime[=MS]     Also include every file the game loads while running
+                     headless for MS milliseconds (default: 5000; needs Playwright)
+  --include=PATH     File or folder under public/ to include (repeatable)
+  --no-minify        Don't minify JS/CSS
+  --no-zip           Don't write the zip
+`);
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function toPosix(p) {
+  return p.replace(/\\/g, '/');
+}
+
+function dataUri(filePath, data) {
+  return `data:${contentTypeFor(filePath).split(';')[0]};base64,${data.toString('base64')}`;
+}
+
+function isFile(filePath) {
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+}
+
+/**
+ * Resolve a reference (relative to fromDir, both posix and relative to the
+ * public root) to a path inside the root. Returns null for remote URLs,
+ * data: URIs and paths outside the root.
+ */
+function resolveLocal(ref, fromDir) {
+  if (!ref || /^[a-z][a-z0-9+.-]*:/i.test(ref) || ref.startsWith('//') || ref.startsWith('#')) return null;
+  let clean = ref.split(/[?#]/)[0];
+  try {
+    clean = decodeURIComponent(clean);
+  } catch (err) {
+    // Keep the raw reference
+  }
+  const joined = clean.startsWith('/') ? clean.slice(1) : path.posix.join(fromDir, clean);
+  const normalized = path.posix.normalize(joined);
+  if (normalized.startsWith('..') || normalized === '.') return null;
+  return normalized.replace(/^\.\//, '');
+}
+
+// Matches static imports/exports and string dynamic imports; group 3 is the specifier
+const SPECIFIER_PATTERN = /(\bimport\s*(?:[\w*{}\s,$]+?\s*from\s*)?|\bexport\s*[\w*{}\s,$]*?\s*from\s*|\bimport\s*\(\s*)(['"])([^'"\n]+)\2/g;
+
+function moduleSpecifiers(source) {
+  const specifiers = [];
+  source.replace(SPECIFIER_PATTERN, (match, prefix, quote, specifier) => {
+    specifiers.push(specifier);
+    return match;
+  });
+  return specifiers;
+}
+
+function rewriteSpecifiers(source, rewrite) {
+  return source.replace(SPECIFIER_PATTERN, (match, prefix, quote, specifier) => {
+    const replacement = rewrite(specifier);
+    return replacement ? `${prefix}${quote}${replacement}${quote}` : match;
+  });
+}
+
+/**
+ * Resolve a module specifier imported from `fromPath` using the page's
+ * import map. Returns { path } for local modules, { remote } otherwise.
+ */
+function resolveSpecifier(specifier, fromPath, imports) {
+  if (/^(\.{1,2})?\//.test(specifier)) {
+    return { path: resolveLocal(specifier, path.posix.dirname(fromPath)) };
+  }
+
+  let target = null;
+  if (imports[specifier]) {
+    target = imports[specifier];
+  } else {
+    const prefix = Object.keys(imports)
+      .filter(key => key.endsWith('/') && specifier.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    if (prefix) target = imports[prefix] + specifier.slice(prefix.length);
+  }
+
+  if (target === null) return { remote: specifier };
+  const local = resolveLocal(target, '');
+  return local ? { path: local } : { remote: target };
+}
+
+function attr(attrs, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*(["'])([^"']*)\\1`, 'i').exec(attrs);
+  return match ? match[2] : null;
+}
+
+const SCRIPT_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+const STYLESHEET_PATTERN = /<link\b([^>]*\brel\s*=\s*["']stylesheet["'][^>]*)>/gi;
+
+// Scripts and stylesheets of the page
+function parsePage(html) {
+  const scripts = [];
+  let imports = {};
+
+  for (const match of html.matchAll(SCRIPT_PATTERN)) {
+    const attrs = match[1];
+    const type = (attr(attrs, 'type') || '').toLowerCase();
+    if (type === 'importmap') {
+      try {
+        imports = JSON.parse(match[2]).imports || {};
+      } catch (err) {
+        throw new Error(`Invalid import map in index.html: ${err.message}`);
+      }
+      continue;
+    }
+    if (type && type !== 'module' && type !== 'text/javascript') continue;
+    scripts.push({ module: type === 'module', src: attr(attrs, 'src'), code: match[2] });
+  }
+
+  const stylesheets = [...html.matchAll(STYLESHEET_PATTERN)].map(match => attr(match[1], 'href'));
+  return { scripts, stylesheets, imports };
+}
+
+// Quoted string literals that look like file paths
+function stringLiterals(source) {
+  const literals = [];
+  for (const match of source.matchAll(/(['"`])([^'"`\n]{1,300}?)\1/g)) {
+    literals.push(match[2]);
+  }
+  return literals;
+}
+
+function cssUrls(css) {
+  return [...css.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)].map(match => match[2]);
+}
+
+// External buffers and images of a glTF file (paths relative to the root)
+function gltfDependencies(relativePath, rootDir) {
+  const { json } = readGltf(path.join(rootDir, relativePath));
+  const dir = path.posix.dirname(relativePath);
+  return [...(json.buffers || []), ...(json.images || [])]
+    .map(item => item.uri)
+    .filter(uri => typeof uri === 'string')
+    .map(uri => resolveLocal(uri, dir))
+    .filter(Boolean);
+}
+
+function walkFiles(dir) {
+  const files = [];
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (item.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) files.push(...walkFiles(fullPath));
+    else files.push(fullPath);
+  }
+  return files;
+}
+
+/**
+ * Load the page headless and list the local files it requests.
+ */
+async function runtimeRequests(rootDir, waitMs) {
+  let playwright;
+  try {
+    playwright = require('playwright');
+  } catch (err) {
+    throw new Error('--runtime needs Playwright (npm install)');
+  }
+  const { startServer } = require('./serve');
+  const { trackResponses } = require('./asset-usage');
+
+  const server = await startServer(rootDir);
+  const browser = await playwright.chromium.launch({ args: ['--enable-webgl', '--use-gl=swiftshader'] });
+  try {
+    const page = await browser.newPage();
+    const responses = trackResponses(page);
+    await page.goto(server.url, { waitUntil: 'load', timeout: 30_000 });
+    await page.waitForTimeout(waitMs);
+    const entries = await responses.entries();
+    return entries
+      .filter(entry => entry.status >= 200 && entry.status < 400 && entry.url.startsWith(server.url))
+      .map(entry => resolveLocal(entry.url.slice(server.url.length), ''))
+      .filter(Boolean);
+  } finally {
+    await browser.close().catch(() => {});
+    await server.close();
+  }
+}
+
+/**
+ * Collect everything the page needs.
+ * Returns { page, modules, scripts, styles, assets, remote, dynamic } where
+ * modules/scripts/styles map paths to sources and assets maps paths to the
+ * reason they were included.
+ */
+async function collect(rootDir, { includes = [], runtime = false, runtimeMs = 5000 } = {}) {
+  const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf-8');
+  const page = parsePage(html);
+  const modules = new Map();
+  const scripts = new Map();
+  const styles = new Map();
+  const assets = new Map();
+  const remote = new Set();
+  const dynamic = new Set();
+
+  const addModule = (modulePath) => {
+    if (modules.has(modulePath)) return;
+    if (!isFile(path.join(rootDir, modulePath))) {
+      remote.add(`${modulePath} (missing)`);
+      return;
+    }
+    const source = fs.readFileSync(path.join(rootDir, modulePath), 'utf-8');
+    modules.set(modulePath, source);
+    followImports(source, modulePath);
+  };
+
+  const followImports = (source, fromPath) => {
+    for (const specifier of moduleSpecifiers(source)) {
+      const resolved = resolveSpecifier(specifier, fromPath, page.imports);
+      if (resolved.path) addModule(resolved.path);
+      else if (resolved.remote) remote.add(resolved.remote);
+    }
+  };
+
+  for (const script of page.scripts) {
+    if (script.src) {
+      const local = resolveLocal(script.src, '');
+      if (!local) remote.add(script.src);
+      else if (script.module) addModule(local);
+      else if (isFile(path.join(rootDir, local))) scripts.set(local, fs.readFileSync(path.join(rootDir, local), 'utf-8'));
+    } else if (script.module) {
+      followImports(script.code, 'index.html');
+    }
+  }
+
+  for (const href of page.stylesheets) {
+    const local = resolveLocal(href, '');
+    if (local && isFile(path.join(rootDir, local))) styles.set(local, fs.readFileSync(path.join(rootDir, local), 'utf-8'));
+    else if (href) remote.add(href);
+  }
+
+  const addAsset = (assetPath, reason) => {
+    if (!assetPath || assets.has(assetPath) || modules.has(assetPath) || assetPath === 'index.html') return;
+    if (!isFile(path.join(rootDir, assetPath))) return;
+    assets.set(assetPath, reason);
+    if (['.gltf', '.glb'].includes(path.extname(assetPath).toLowerCase())) {
+      try {
+        gltfDependencies(assetPath, rootDir).forEach(dep => addAsset(dep, `used by ${assetPath}`));
+      } catch (err) {
+        // Unreadable model - copied as-is
+      }
+    }
+  };
+
+  // Asset paths are resolved against the page (what loaders do), then the file
+  const scanLiterals = (source, fromDir) => {
+    for (const literal of stringLiterals(source)) {
+      if (literal.includes('${')) {
+        if (ASSET_EXTENSIONS.includes(path.extname(literal).toLowerCase()) || literal.includes('assets/')) dynamic.add(literal);
+        continue;
+      }
+      const candidates = [resolveLocal(literal, ''), resolveLocal(literal, fromDir)].filter(Boolean);
+
+      // DRACOLoader.setDecoderPath('.../draco/gltf/')
+      const decoderDir = candidates.find(candidate => isFile(path.join(rootDir, candidate, DRACO_DECODER)));
+      if (decoderDir) {
+        for (const name of fs.readdirSync(path.join(rootDir, decoderDir))) {
+          if (/^draco_(decoder|wasm_wrapper)\.(js|wasm)$/.test(name)) addAsset(path.posix.join(decoderDir, name), 'DRACO decoder');
+        }
+        continue;
+      }
+
+      if (!ASSET_EXTENSIONS.includes(path.extname(literal.split(/[?#]/)[0]).toLowerCase())) continue;
+      const found = candidates.find(candidate => isFile(path.join(rootDir, candidate)));
+      if (found) addAsset(found, 'referenced');
+    }
+  };
+
+  scanLiterals(html, '');
+  for (const [modulePath, source] of [...modules, ...scripts]) scanLiterals(source, path.posix.dirname(modulePath));
+  for (const [stylePath, css] of styles) {
+    cssUrls(css).forEach(url => addAsset(resolveLocal(url, path.posix.dirname(stylePath)), 'referenced'));
+  }
+  for (const match of html.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)) {
+    cssUrls(match[1]).forEach(url => addAsset(resolveLocal(url, ''), 'referenced'));
+  }
+
+  for (const include of includes) {
+    const local = resolveLocal(toPosix(include).replace(/^public\//, ''), '');
+    const fullPath = local ? path.join(rootDir, local) : null;
+    if (!fullPath || !fs.existsSync(fullPath)) throw new Error(`--include not found under public/: ${include}`);
+    const files = fs.statSync(fullPath).isDirectory() ? walkFiles(fullPath) : [fullPath];
+    files.forEach(file => addAsset(toPosix(path.relative(rootDir, file)), 'included'));
+  }
+
+  if (runtime) {
+    for (const requested of await runtimeRequests(rootDir, runtimeMs)) {
+      if (!modules.has(requested) && !scripts.has(requested) && !styles.has(requested)) addAsset(requested, 'loaded at runtime');
+    }
+  }
+
+  return { html, page, modules, scripts, styles, assets, remote: [...remote], dynamic: [...dynamic] };
+}
+
+async function minifyJs(code, { module = true } = {}) {
+  if (!terser) return code;
+  const result = await terser.minify(code, { module, compress: true, mangle: true });
+  return result.code;
+}
+
+function minifyCss(css) {
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([{}:;,>])\s*/g, '$1')
+    .replace(/;}/g, '}')
+    .trim();
+}
+
+// Keep "</script>" inside inlined code from closing the tag
+function escapeScript(code) {
+  return code.replace(/<\/script/gi, '<\\/script');
+}
+
+/**
+ * Runs first in the page: answers requests for inlined assets from data:
+ * URIs. Paths are relative to the page, e.g. "assets/my_game/Tree.glb".
+ */
+function assetShim(inlined) {
+  return `(() => {
+  const assets = ${JSON.stringify(inlined)};
+  const base = new URL('.', document.baseURI).href;
+  const lookup = (url) => {
+    let href;
+    try {
+      href = new URL(String(url), document.baseURI).href;
+    } catch (err) {
+      return null;
+    }
+    if (!href.startsWith(base)) return null;
+    const key = decodeURIComponent(href.slice(base.length).split(/[?#]/)[0]);
+    return assets[key] || null;
+  };
+
+  const realFetch = window.fetch.bind(window);
+  window.fetch = (input, init) => {
+    const data = lookup(input instanceof Request ? input.url : input);
+    return data ? realFetch(data) : realFetch(input, init);
+  };
+
+  const open = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    return open.call(this, method, lookup(url) || url, ...rest);
+  };
+
+  for (const proto of [HTMLImageElement.prototype, HTMLMediaElement.prototype, HTMLSourceElement.prototype]) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, 'src');
+    Object.defineProperty(proto, 'src', {
+      ...descriptor,
+      set(url) {
+        descriptor.set.call(this, lookup(url) || url);
+      }
+    });
+  }
+})();`;
+}
+
+/**
+ * Build the game.
+ *
+ * options: projectRoot, outDir, singleFile, inlineKb, minify, zip,
+ * includes, runtime, runtimeMs, gameName
+ * Returns the size report.
+ */
+async function build(options) {
+  const { projectRoot, outDir, singleFile = false, inlineKb = 0, minify = true, includes = [], runtime = false, runtimeMs = 5000 } = options;
+  const rootDir = path.join(projectRoot, 'public');
+  const webDir = path.join(outDir, 'web');
+
+  if (!isFile(path.join(rootDir, 'index.html'))) {
+    throw new Error('public/index.html not found');
+  }
+
+  const found = await collect(rootDir, { includes, runtime, runtimeMs });
+  const files = [];
+  const output = new Map(); // dist/web path -> Buffer
+  const inlined = {};
+
+  const js = source => (minify ? minifyJs(source) : source);
+  const css = source => (minify ? minifyCss(source) : source);
+
+  // Assets: inlined (data: URIs) or copied
+  for (const [assetPath, reason] of found.assets) {
+    const data = fs.readFileSync(path.join(rootDir, assetPath));
+    const inline = singleFile || (inlineKb > 0 && data.length <= inlineKb * 1024);
+    if (inline) {
+      inlined[assetPath] = dataUri(assetPath, data);
+      files.push({ path: assetPath, kind: 'asset', reason, bytes: data.length, outputBytes: inlined[assetPath].length, mode: 'inlined' });
+    } else {
+      output.set(assetPath, data);
+      files.push({ path: assetPath, kind: 'asset', reason, bytes: data.length, outputBytes: data.length, mode: 'file' });
+    }
+  }
+
+  let html = found.html;
+  const modulePaths = [...found.modules.keys()];
+
+  if (singleFile) {
+    // Every local import becomes a bare "@build/<path>" specifier mapped to a data: URI
+    const toBuildSpecifier = fromPath => (specifier) => {
+      const resolved = resolveSpecifier(specifier, fromPath, found.page.imports);
+      return resolved.path && found.modules.has(resolved.path) ? BUILD_PREFIX + resolved.path : null;
+    };
+
+    const imports = {};
+    for (const modulePath of modulePaths) {
+      const source = found.modules.get(modulePath);
+      const code = await js(rewriteSpecifiers(source, toBuildSpecifier(modulePath)));
+      imports[BUILD_PREFIX + modulePath] = dataUri(modulePath, Buffer.from(code));
+      files.push({ path: modulePath, kind: 'module', reason: 'imported', bytes: Buffer.byteLength(source), outputBytes: imports[BUILD_PREFIX + modulePath].length, mode: 'inlined' });
+    }
+    // Bare names from the original map still work for dynamic imports
+    for (const key of Object.keys(found.page.imports)) {
+      const resolved = resolveSpecifier(key, 'index.html', found.page.imports);
+      if (!key.endsWith('/') && resolved.path && imports[BUILD_PREFIX + resolved.path]) imports[key] = imports[BUILD_PREFIX + resolved.path];
+    }
+
+    const scriptReplacements = [];
+    for (const match of html.matchAll(SCRIPT_PATTERN)) {
+      const attrs = match[1];
+      const type = (attr(attrs, 'type') || '').toLowerCase();
+      const src = attr(attrs, 'src');
+      const local = src ? resolveLocal(src, '') : null;
+      let replacement = null;
+
+      if (type === 'importmap') {
+        replacement = `<script type="importmap">${JSON.stringify({ imports })}</script>`;
+      } else if (type === 'module') {
+        const code = src
+          ? (local && found.modules.has(local) ? `import '${BUILD_PREFIX}${local}';` : null)
+          : await js(rewriteSpecifiers(match[2], toBuildSpecifier('index.html')));
+        if (code !== null) replacement = `<script type="module">${escapeScript(code)}</script>`;
+      } else if (!type || type === 'text/javascript') {
+        if (local && found.scripts.has(local)) {
+          const source = found.scripts.get(local);
+          const code = minify ? await minifyJs(source, { module: false }) : source;
+          files.push({ path: local, kind: 'script', reason: 'script', bytes: Buffer.byteLength(source), outputBytes: Buffer.byteLength(code), mode: 'inlined' });
+          replacement = `<script>${escapeScript(code)}</script>`;
+        } else if (!src && minify) {
+          replacement = `<script>${escapeScript(await minifyJs(match[2], { module: false }))}</script>`;
+        }
+      }
+      if (replacement !== null) scriptReplacements.push([match[0], replacement]);
+    }
+    if (!/<script\b[^>]*type\s*=\s*["']importmap["']/i.test(html) && modulePaths.length > 0) {
+      html = html.replace(/<head\b[^>]*>/i, tag => `${tag}\n<script type="importmap">${JSON.stringify({ imports })}</script>`);
+    }
+    for (const [original, replacement] of scriptReplacements) html = html.replace(original, () => replacement);
+
+    html = html.replace(STYLESHEET_PATTERN, (tag, attrs) => {
+      const local = resolveLocal(attr(attrs, 'href'), '');
+      if (!local || !found.styles.has(local)) return tag;
+      const source = found.styles.get(local);
+      const styleDir = path.posix.dirname(local);
+      const code = css(source).replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+        const asset = resolveLocal(url, styleDir);
+        return asset && inlined[asset] ? `url("${inlined[asset]}")` : match;
+      });
+      files.push({ path: local, kind: 'style', reason: 'stylesheet', bytes: Buffer.byteLength(source), outputBytes: Buffer.byteLength(code), mode: 'inlined' });
+      return `<style>${code}</style>`;
+    });
+  } else {
+    for (const modulePath of modulePaths) {
+      const source = found.modules.get(modulePath);
+      const code = Buffer.from(await js(source));
+      output.set(modulePath, code);
+      files.push({ path: modulePath, kind: 'module', reason: 'imported', bytes: Buffer.byteLength(source), outputBytes: code.length, mode: 'file' });
+    }
+    for (const [scriptPath, source] of found.scripts) {
+      const code = Buffer.from(minify ? await minifyJs(source, { module: false }) : source);
+      output.set(scriptPath, code);
+      files.push({ path: scriptPath, kind: 'script', reason: 'script', bytes: Buffer.byteLength(source), outputBytes: code.length, mode: 'file' });
+    }
+    for (const [stylePath, source] of found.styles) {
+      const code = Buffer.from(css(source));
+      output.set(stylePath, code);
+      files.push({ path: stylePath, kind: 'style', reason: 'stylesheet', bytes: Buffer.byteLength(source), outputBytes: code.length, mode: 'file' });
+    }
+
+    if (minify) {
+      const replacements = [];
+      for (const match of html.matchAll(SCRIPT_PATTERN)) {
+        const type = (attr(match[1], 'type') || '').toLowerCase();
+        if (attr(match[1], 'src') || !match[2].trim()) continue;
+        if (type !== 'module' && type !== '' && type !== 'text/javascript') continue;
+        const code = await minifyJs(match[2], { module: type === 'module' });
+        replacements.push([match[0], `<script${match[1]}>${escapeScript(code)}</script>`]);
+      }
+      for (const [original, replacement] of replacements) html = html.replace(original, () => replacement);
+    }
+  }
+
+  // Inline <style> blocks, and HTML attributes pointing at inlined assets
+  html = html.replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, open, source, close) => {
+    const code = css(source).replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (urlMatch, quote, url) => {
+      const asset = resolveLocal(url, '');
+      return asset && inlined[asset] ? `url("${inlined[asset]}")` : urlMatch;
+    });
+    return open + code + close;
+  });
+  html = html.replace(/\b(src|href|poster)\s*=\s*(["'])([^"']+)\2/gi, (match, name, quote, value) => {
+    const asset = resolveLocal(value, '');
+    return asset && inlined[asset] ? `${name}=${quote}${inlined[asset]}${quote}` : match;
+  });
+
+  if (Object.keys(inlined).length > 0) {
+    const shim = `<script>${escapeScript(assetShim(inlined))}</script>`;
+    html = /<head\b[^>]*>/i.test(html)
+      ? html.replace(/<head\b[^>]*>/i, tag => `${tag}\n${shim}`)
+      : shim + html;
+  }
+
+  const htmlBuffer = Buffer.from(html);
+  output.set('index.html', htmlBuffer);
+
+  // Write dist/web and the zip
+  fs.rmSync(webDir, { recursive: true, force: true });
+  for (const [outputPath, data] of output) {
+    const destPath = path.join(webDir, outputPath);
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.writeFileSync(destPath, data);
+  }
+
+  let zipPath = null;
+  let zipBytes = null;
+  if (options.zip !== false) {
+    zipPath = path.join(outDir, `${options.gameName || 'game'}.zip`);
+    const zip = createZip([...output].sort(([a], [b]) => a.localeCompare(b)).map(([name, data]) => ({ name, data })));
+    fs.writeFileSync(zipPath, zip);
+    zipBytes = zip.length;
+  }
+
+  const report = {
+    builtAt: new Date().toISOString(),
+    mode: singleFile ? 'single-file' : 'files',
+    minified: { js: minify && Boolean(terser), css: minify },
+    html: { path: path.join(webDir, 'index.html'), bytes: htmlBuffer.length },
+    totalBytes: [...output.values()].reduce((sum, data) => sum + data.length, 0),
+    zip: zipPath ? { path: zipPath, bytes: zipBytes } : null,
+    files: files.sort((a, b) => b.outputBytes - a.outputBytes),
+    remote: found.remote,
+    dynamic: found.dynamic
+  };
+
+  fs.writeFileSync(path.join(outDir, 'size-report.json'), JSON.stringify(report, null, 2));
+  return report;
+}
+
+function printReport(report, projectRoot) {
+  console.log('\nSize report:');
+  const width = Math.min(60, Math.max(...report.files.map(file => file.path.length), 10));
+  for (const file of report.files) {
+    const change = file.outputBytes === file.bytes ? '' : ` (from ${formatBytes(file.bytes)})`;
+    console.log(`  ${file.path.padEnd(width)}  ${formatBytes(file.outputBytes).padStart(9)}  ${file.mode.padEnd(7)}  ${file.reason}${change}`);
+  }
+  console.log(`\n  index.html: ${formatBytes(report.html.bytes)}`);
+  console.log(`  Total:      ${formatBytes(report.totalBytes)}`);
+  if (report.zip) console.log(`  Zip:        ${formatBytes(report.zip.bytes)} (${path.relative(projectRoot, report.zip.path)})`);
+
+  if (report.remote.length > 0) {
+    console.log('\n⚠ Loaded from the network (not bundled):');
+    report.remote.forEach(url => console.log(`    ${url}`));
+  }
+  if (report.dynamic.length > 0) {
+    console.log('\n⚠ Asset paths built at runtime (use --runtime or --include to bundle them):');
+    report.dynamic.forEach(literal => console.log(`    ${literal}`));
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  const projectRoot = path.join(__dirname, '..');
+  const configPath = path.join(__dirname, 'config.json');
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf-8')) : {};
+  const outDir = args.outDir ? path.resolve(process.cwd(), args.outDir) : path.join(projectRoot, 'dist');
+
+  console.log(`📦 Building${args.singleFile ? ' single-file' : ''} game...`);
+  if (args.minify && !terser) console.log('⚠ terser not installed - JS is not minified (npm install)');
+  if (args.runtime) console.log(`Loading the game headless for ${args.runtimeMs}ms to find runtime assets...`);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const report = await build({
+    projectRoot,
+    outDir,
+    singleFile: args.singleFile,
+    inlineKb: args.inlineKb,
+    minify: args.minify,
+    zip: args.zip,
+    includes: args.includes,
+    runtime: args.runtime,
+    runtimeMs: args.runtimeMs,
+    gameName: config.game?.name
+  });
+
+  printReport(report, projectRoot);
+  console.log(`\n✓ Build written to ${path.relative(process.cwd(), path.join(outDir, 'web')) || '.'}`);
+}
+
+// Export for use as module
+module.exports = { build, collect, moduleSpecifiers, resolveSpecifier, assetShim };
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
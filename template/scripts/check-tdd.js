@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+
+/**
+ * TDD Code Checker
+ *
+ * The TDD prompt asks for complete, runnable code, and the implementation
+ * is built from those snippets. This extracts every fenced javascript, html
+ * and css block from docs/tdd.md and checks it:
+ *
+ *   - JavaScript (and inline <script> in html) is parsed with acorn; syntax
+ *     errors are reported with the tdd.md line and section
+ *   - THREE.X references and imports from 'three' / 'three/addons/...' are
+ *     checked against the API symbol list of the pinned three version
+ *     (scripts/data/three-r160-symbols.json); CDN imports and addons that
+ *     aren't vendored (config.three.addons) are flagged
+ *   - import maps are parsed as JSON, CSS braces are checked for balance
+ *
+ * With --write-src the blocks that parse are written out as starter files
+ * under src/ (named after the file comment on their first line, else their
+ * first exported class or function, else their section).
+ *
+ * Usage:
+ *   node scripts/check-tdd.js [docs/tdd.md] [--write-src[=dir]] [--force]
+ *   node scripts/check-tdd.js --build-symbols=node_modules/three
+ *
+ *   --write-src[=dir]    Write the valid blocks to dir (default: src/)
+ *   --force              Overwrite existing files in the --write-src folder
+ *   --build-symbols=DIR  Regenerate data/three-rNNN-symbols.json from an
+ *                        unpacked three package
+ *
+ * Output:
+ *   docs/tdd-check.json
+ *
+ * Exits with 1 when a block has a syntax error or uses an unknown three API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveThreeConfig, threeRevision } = require('./vendor-three');
+
+// acorn parses the snippets
+let acorn = null;
+try {
+  acorn = require('acorn');
+} catch (e) {
+  // Reported by checkTdd()
+}
+
+const LANGUAGES = {
+  js: 'javascript',
+  javascript: 'javascript',
+  mjs: 'javascript',
+  html: 'html',
+  css: 'css'
+};
+const DATA_DIR = path.join(__dirname, 'data');
+const THREE_NAMESPACE = 'THREE';
+const FILE_COMMENT = /^\s*(?:\/\/|\/\*+|<!--)\s*(?:file:\s*)?((?:[\w.-]+\/)*[\w.-]+\.(?:js|mjs|html|css))\b/i;
+
+function parseArgs(argv) {
+  const args = {
+    tddPath: null,
+    writeSrc: null,
+    force: false,
+    buildSymbols: null
+  };
+
+  for (const arg of argv) {
+    if (arg === '--write-src') args.writeSrc = 'src';
+    else if (arg.startsWith('--write-src=')) args.writeSrc = arg.split('=').slice(1).join('=');
+    else if (arg === '--force') args.force = true;
+    else if (arg.startsWith('--build-symbols=')) args.buildSymbols = arg.split('=').slice(1).join('=');
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!arg.startsWith('--')) args.tddPath = arg;
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+TDD Code Checker
+
+Usage:
+  node scripts/check-tdd.js [docs/tdd.md] [options]
+
+Options:
+  --write-src[=DIR]    Write blocks that parse to DIR (default: src/)
+  --force              Overwrite existing files when writing
+  --build-symbols=DIR  Rebuild data/three-rNNN-symbols.json from a three package
+`);
+}
+
+/**
+ * Fenced code blocks of a markdown document.
+ * Returns [{ index, lang, code, line (of the first code line), section }]
+ * for javascript, html and css blocks; other languages are skipped.
+ */
+function extractBlocks(markdown) {
+  const blocks = [];
+  const headings = [];
+  let fence = null;
+
+  markdown.split('\n').forEach((line, lineIndex) => {
+    if (fence) {
+      if (line.trim().startsWith(fence.marker) && line.trim().replace(/[`~]/g, '') === '') {
+        if (fence.lang) {
+          blocks.push({
+            index: blocks.length,
+            lang: fence.lang,
+            code: fence.lines.join('\n'),
+            line: fence.line,
+            section: headings.filter(Boolean).join(' › ')
+          });
+        }
+        fence = null;
+      } else {
+        fence.lines.push(line);
+      }
+      return;
+    }
+
+    const open = /^\s*(`{3,}|~{3,})\s*([\w-]*)/.exec(line);
+    if (open) {
+      fence = { marker: open[1], lang: LANGUAGES[open[2].toLowerCase()] || null, lines: [], line: lineIndex + 2 };
+      return;
+    }
+
+    const heading = /^(#{2,3})\s+(.+?)\s*#*$/.exec(line);
+    if (heading) {
+      const level = heading[1].length - 2;
+      headings.length = level;
+      headings[level] = heading[2];
+    }
+  });
+
+  return blocks;
+}
+
+// Section number of "3. Core Engine Systems › Renderer" -> 3
+function sectionNumber(section) {
+  const match = /^(\d+)/.exec(section);
+  return match ? Number(match[1]) : null;
+}
+
+function parseJs(code, sourceType = 'module') {
+  try {
+    return { ast: acorn.parse(code, { ecmaVersion: 'latest', sourceType, locations: true, allowHashBang: true }) };
+  } catch (err) {
+    return {
+      error: {
+        message: err.message.replace(/\s*\(\d+:\d+\)$/, ''),
+        line: err.loc ? err.loc.line : 1,
+        column: err.loc ? err.loc.column + 1 : 1
+      }
+    };
+  }
+}
+
+// Visit every node of an ESTree AST
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc') continue;
+    const child = node[key];
+    if (Array.isArray(child)) child.forEach(item => walk(item, visit));
+    else if (child && typeof child === 'object') walk(child, visit);
+  }
+}
+
+/**
+ * Three API problems in a parsed block.
+ * symbols is the loaded symbol list (or null); vendoredAddons the
+ * examples/jsm paths copied to public/vendor/three.
+ * Returns [{ severity, message, line }].
+ */
+function checkThreeApi(ast, { symbols, vendoredAddons }) {
+  const issues = [];
+  const namespaces = new Set([THREE_NAMESPACE]);
+  const exportSet = symbols ? new Set(symbols.exports) : null;
+
+  const checkImport = (source, specifiers, line) => {
+    if (/^https?:\/\//.test(source) && /three/i.test(source)) {
+      issues.push({ severity: 'warning', message: `Loads three from a CDN (${source}); import 'three' through the import map`, line });
+      return;
+    }
+
+    if (source === 'three') {
+      for (const specifier of specifiers) {
+        if (specifier.type === 'ImportNamespaceSpecifier') namespaces.add(specifier.local.name);
+        else if (specifier.type === 'ImportSpecifier' && exportSet && !exportSet.has(specifier.imported.name)) {
+          issues.push({ severity: 'error', message: `'${specifier.imported.name}' is not exported by three ${symbols.revision}`, line });
+        }
+      }
+      return;
+    }
+
+    const addon = /^three\/(addons|examples\/jsm)\/(.+)$/.exec(source);
+    if (!addon) return;
+    if (addon[1] === 'examples/jsm') {
+      issues.push({ severity: 'warning', message: `Use 'three/addons/${addon[2]}' instead of '${source}'`, line });
+    }
+    if (symbols && !symbols.addons[addon[2]]) {
+      issues.push({ severity: 'error', message: `three ${symbols.revision} has no addon ${addon[2]}`, line });
+      return;
+    }
+    if (vendoredAddons && !vendoredAddons.includes(addon[2])) {
+      issues.push({ severity: 'warning', message: `${addon[2]} is not vendored; add it to config.json three.addons`, line });
+    }
+    if (symbols) {
+      for (const specifier of specifiers) {
+        const name = specifier.type === 'ImportDefaultSpecifier' ? 'default' : specifier.imported?.name;
+        if (name && !symbols.addons[addon[2]].includes(name)) {
+          issues.push({ severity: 'error', message: `'${name}' is not exported by three/addons/${addon[2]}`, line });
+        }
+      }
+    }
+  };
+
+  walk(ast, (node) => {
+    if (node.type === 'ImportDeclaration') {
+      checkImport(node.source.value, node.specifiers, node.loc.start.line);
+    } else if (node.type === 'ImportExpression' && node.source.type === 'Literal') {
+      checkImport(node.source.value, [], node.loc.start.line);
+    }
+  });
+
+  if (exportSet) {
+    const reported = new Set();
+    walk(ast, (node) => {
+      if (node.type !== 'MemberExpression' || node.computed) return;
+      if (node.object.type !== 'Identifier' || !namespaces.has(node.object.name)) return;
+      const name = node.property.name;
+      if (exportSet.has(name) || reported.has(name)) return;
+      reported.add(name);
+      issues.push({ severity: 'error', message: `${node.object.name}.${name} does not exist in three ${symbols.revision}`, line: node.loc.start.line });
+    });
+  }
+
+  return issues;
+}
+
+// Unbalanced braces in CSS (comments and strings ignored)
+function checkCss(code) {
+  const stripped = code
+    .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+    .replace(/"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g, match => match.replace(/./g, ' '));
+  const open = [];
+  const lines = stripped.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    for (const char of lines[i]) {
+      if (char === '{') open.push(i + 1);
+      else if (char === '}' && open.pop() === undefined) {
+        return { message: "Unexpected '}'", line: i + 1, column: 1 };
+      }
+    }
+  }
+  if (/\/\*/.test(stripped)) return { message: 'Unterminated comment', line: lines.length, column: 1 };
+  return open.length > 0 ? { message: "Unclosed '{'", line: open[open.length - 1], column: 1 } : null;
+}
+
+// Inline <script> and <style> elements of an html block, with their line offsets
+function htmlParts(code) {
+  const parts = [];
+  const pattern = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    const contentStart = match.index + match[0].indexOf('>') + 1;
+    const type = /\btype\s*=\s*["']?([\w/-]+)/i.exec(match[2])?.[1].toLowerCase() || '';
+    parts.push({
+      tag: match[1].toLowerCase(),
+      type,
+      src: /\bsrc\s*=/.test(match[2]),
+      code: match[3],
+      lineOffset: code.slice(0, contentStart).split('\n').length - 1
+    });
+  }
+  return parts;
+}
+
+/**
+ * Check one block. Returns { errors, warnings, exports } where errors and
+ * warnings are [{ message, line }] with lines relative to the block.
+ */
+function checkBlock(block, options) {
+  const errors = [];
+  const warnings = [];
+  const exports = [];
+
+  const checkScript = (code, lineOffset, sourceType) => {
+    const parsed = parseJs(code, sourceType);
+    if (parsed.error) {
+      errors.push({ message: `Syntax error: ${parsed.error.message}`, line: parsed.error.line + lineOffset, column: parsed.error.column });
+      return;
+    }
+    for (const issue of checkThreeApi(parsed.ast, options)) {
+      (issue.severity === 'error' ? errors : warnings).push({ message: issue.message, line: issue.line + lineOffset });
+    }
+    for (const node of parsed.ast.body) {
+      if (node.type === 'ExportNamedDeclaration' && node.declaration?.id) exports.push(node.declaration.id.name);
+      if (node.type === 'ExportDefaultDeclaration' && node.declaration?.id) exports.push(node.declaration.id.name);
+    }
+  };
+
+  if (block.lang === 'javascript') {
+    checkScript(block.code, 0, 'module');
+  } else if (block.lang === 'css') {
+    const error = checkCss(block.code);
+    if (error) errors.push({ message: `CSS: ${error.message}`, line: error.line });
+  } else if (block.lang === 'html') {
+    for (const part of htmlParts(block.code)) {
+      if (part.tag === 'style') {
+        const error = checkCss(part.code);
+        if (error) errors.push({ message: `CSS: ${error.message}`, line: error.line + part.lineOffset });
+      } else if (part.type === 'importmap') {
+        try {
+          JSON.parse(part.code);
+        } catch (err) {
+          errors.push({ message: `Import map is not valid JSON: ${err.message}`, line: part.lineOffset + 1 });
+        }
+      } else if (!part.src && ['', 'module', 'text/javascript', 'application/javascript'].includes(part.type)) {
+        checkScript(part.code, part.lineOffset, part.type === 'module' ? 'module' : 'script');
+      }
+    }
+  }
+
+  return { errors, warnings, exports };
+}
+
+// Symbol list for a three version, or null when none is bundled
+function loadSymbols(version) {
+  const symbolsPath = path.join(DATA_DIR, `three-${threeRevision(version)}-symbols.json`);
+  if (!fs.existsSync(symbolsPath)) return null;
+  return { ...JSON.parse(fs.readFileSync(symbolsPath, 'utf-8')), path: symbolsPath };
+}
+
+/**
+ * Check the code blocks of a TDD.
+ * options: version (three), vendoredAddons
+ * Returns { revision, symbols (path or null), blocks: [{ index, lang, line,
+ * section, errors, warnings, exports }], summary }.
+ */
+function checkTdd(markdown, { version, vendoredAddons = null } = {}) {
+  if (!acorn) {
+    throw new Error('acorn is not installed. Run: npm install');
+  }
+
+  const symbols = loadSymbols(version);
+  const blocks = extractBlocks(markdown).map((block) => {
+    const result = checkBlock(block, { symbols, vendoredAddons });
+    return { ...block, ...result };
+  });
+
+  return {
+    revision: threeRevision(version),
+    symbols: symbols ? path.relative(path.join(__dirname, '..'), symbols.path).replace(/\\/g, '/') : null,
+    blocks,
+    summary: {
+      blocks: blocks.length,
+      javascript: blocks.filter(b => b.lang === 'javascript').length,
+      html: blocks.filter(b => b.lang === 'html').length,
+      css: blocks.filter(b => b.lang === 'css').length,
+      failed: blocks.filter(b => b.errors.length > 0).length,
+      errors: blocks.reduce((sum, b) => sum + b.errors.length, 0),
+      warnings: blocks.reduce((sum, b) => sum + b.warnings.length, 0)
+    }
+  };
+}
+
+// File name for a block written by --write-src
+function blockFileName(block, counters) {
+  const firstLine = block.code.split('\n').find(line => line.trim()) || '';
+  const named = FILE_COMMENT.exec(firstLine);
+  if (named) {
+    // The name comes from the model: drop "." and ".." so it stays in outDir
+    const segments = named[1].split('/').filter(segment => segment !== '.' && segment !== '..');
+    return segments.join('/').replace(/^(src|public)\//, '');
+  }
+
+  const ext = block.lang === 'javascript' ? 'js' : block.lang;
+  if (block.lang === 'javascript' && block.exports.length > 0) return `${block.exports[0]}.${ext}`;
+  if (block.lang === 'html' && /<!doctype html|<html[\s>]/i.test(block.code)) return 'index.html';
+
+  const number = sectionNumber(block.section);
+  const key = `${number ?? 'misc'}.${ext}`;
+  counters[key] = (counters[key] || 0) + 1;
+  return `section-${number ?? 'misc'}-${counters[key]}.${ext}`;
+}
+
+/**
+ * Write the blocks without errors to outDir. Existing files are kept unless
+ * force is set. Returns { written: [path], skipped: [{ path?, line, reason }] }.
+ */
+function writeSourceFiles(result, outDir, { force = false, source = 'docs/tdd.md' } = {}) {
+  const written = [];
+  const skipped = [];
+  const counters = {};
+  const used = new Set();
+
+  for (const block of result.blocks) {
+    if (block.errors.length > 0) {
+      skipped.push({ line: block.line, reason: 'has errors' });
+      continue;
+    }
+
+    let fileName = blockFileName(block, counters);
+    // Two blocks for the same file: keep both
+    for (let n = 2; used.has(fileName); n++) {
+      fileName = fileName.replace(/(-\d+)?(\.\w+)$/, `-${n}$2`);
+    }
+    used.add(fileName);
+
+    const filePath = path.resolve(outDir, fileName);
+    const relativePath = path.relative(path.resolve(outDir), filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      skipped.push({ path: fileName, line: block.line, reason: 'outside the output folder' });
+      continue;
+    }
+    if (fs.existsSync(filePath) && !force) {
+      skipped.push({ path: fileName, line: block.line, reason: 'exists (use --force)' });
+      continue;
+    }
+
+    const header = block.lang === 'html'
+      ? ''
+      : `/* Starter code from ${source}:${block.line} (${block.section || 'no section'}); review before use */\n\n`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, header + block.code.replace(/\s*$/, '\n'));
+    written.push(filePath);
+  }
+
+  return { written, skipped };
+}
+
+// Names exported by a module file, following `export * from` re-exports
+function moduleExports(filePath, seen = new Set()) {
+  if (seen.has(filePath) || !fs.existsSync(filePath)) return [];
+  seen.add(filePath);
+
+  const parsed = parseJs(fs.readFileSync(filePath, 'utf-8'));
+  if (parsed.error) return [];
+
+  const names = [];
+  for (const node of parsed.ast.body) {
+    if (node.type === 'ExportDefaultDeclaration') names.push('default');
+    else if (node.type === 'ExportAllDeclaration') {
+      if (node.exported) names.push(node.exported.name || node.exported.value);
+      else names.push(...moduleExports(path.resolve(path.dirname(filePath), node.source.value), seen).filter(n => n !== 'default'));
+    } else if (node.type === 'ExportNamedDeclaration') {
+      node.specifiers.forEach(s => names.push(s.exported.name || s.exported.value));
+      if (node.declaration?.id) names.push(node.declaration.id.name);
+      (node.declaration?.declarations || []).forEach((d) => {
+        if (d.id.type === 'Identifier') names.push(d.id.name);
+      });
+    }
+  }
+  return [...new Set(names)].sort();
+}
+
+function listModules(dir, base = dir) {
+  const files = [];
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) files.push(...listModules(fullPath, base));
+    else if (item.name.endsWith('.js')) files.push(path.relative(base, fullPath).replace(/\\/g, '/'));
+  }
+  return files.sort();
+}
+
+/**
+ * Build the symbol list of an unpacked three package (build/three.module.js
+ * exports and the exports of every examples/jsm module) and write it to
+ * data/three-rNNN-symbols.json. Returns the file path.
+ */
+function buildSymbols(packageDir) {
+  if (!acorn) {
+    throw new Error('acorn is not installed. Run: npm install');
+  }
+  const { version } = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf-8'));
+  const addonsDir = path.join(packageDir, 'examples', 'jsm');
+
+  const addons = {};
+  for (const file of listModules(addonsDir)) {
+    addons[file] = moduleExports(path.join(addonsDir, file));
+  }
+
+  const symbols = {
+    version,
+    revision: threeRevision(version),
+    exports: moduleExports(path.join(packageDir, 'build', 'three.module.js')),
+    addons
+  };
+
+  // One addon per line keeps the file diffable
+  const addonLines = Object.entries(addons).map(([file, names]) => `    ${JSON.stringify(file)}: ${JSON.stringify(names)}`);
+  const text = [
+    '{',
+    `  "version": ${JSON.stringify(symbols.version)},`,
+    `  "revision": ${JSON.stringify(symbols.revision)},`,
+    `  "exports": ${JSON.stringify(symbols.exports)},`,
+    '  "addons": {',
+    addonLines.join(',\n'),
+    '  }',
+    '}',
+    ''
+  ].join('\n');
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const outputPath = path.join(DATA_DIR, `three-${symbols.revision}-symbols.json`);
+  fs.writeFileSync(outputPath, text);
+  return outputPath;
+}
+
+/**
+ * Check docs/tdd.md (or tddPath) with the project's three settings and write
+ * docs/tdd-check.json. Returns the result of checkTdd() plus reportPath.
+ */
+function checkTddFile({ projectRoot, tddPath, config = {} }) {
+  const three = resolveThreeConfig(config);
+  const result = checkTdd(fs.readFileSync(tddPath, 'utf-8'), {
+    version: three.version,
+    vendoredAddons: three.addons
+  });
+
+  const reportPath = path.join(path.dirname(tddPath), 'tdd-check.json');
+  fs.writeFileSync(reportPath, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    document: path.relative(projectRoot, tddPath).replace(/\\/g, '/'),
+    threeVersion: three.version,
+    symbols: result.symbols,
+    summary: result.summary,
+    blocks: result.blocks.map(({ code, exports, ...block }) => block)
+  }, null, 2));
+
+  return { ...result, reportPath };
+}
+
+function printResult(result, source) {
+  const { summary } = result;
+  console.log(`${summary.blocks} code block(s): ${summary.javascript} javascript, ${summary.html} html, ${summary.css} css`);
+  if (!result.symbols) {
+    console.log(`⚠ No API symbol list for three ${result.revision}; API references not checked`);
+  }
+
+  for (const block of result.blocks) {
+    if (block.errors.length === 0 && block.warnings.length === 0) continue;
+    const where = block.section ? ` (${block.section})` : '';
+    console.log(`\n${block.errors.length > 0 ? '✗' : '⚠'} ${block.lang} block at ${source}:${block.line}${where}`);
+    block.errors.forEach(issue => console.log(`    ✗ ${source}:${block.line + issue.line - 1}  ${issue.message}`));
+    block.warnings.forEach(issue => console.log(`    ⚠ ${source}:${block.line + issue.line - 1}  ${issue.message}`));
+  }
+
+  if (summary.failed === 0) {
+    console.log(`\n✓ All blocks parse${result.symbols ? ` and use ${result.revision} APIs` : ''} (${summary.warnings} warning(s))`);
+  } else {
+    console.log(`\n✗ ${summary.failed} of ${summary.blocks} block(s) have errors (${summary.errors} error(s), ${summary.warnings} warning(s))`);
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  const projectRoot = path.join(__dirname, '..');
+
+  if (args.buildSymbols) {
+    const outputPath = buildSymbols(path.resolve(args.buildSymbols));
+    console.log(`✓ Wrote ${path.relative(process.cwd(), outputPath)}`);
+    return;
+  }
+
+  const configPath = path.join(__dirname, 'config.json');
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf-8')) : {};
+  const tddPath = path.resolve(args.tddPath || path.join(projectRoot, 'docs', 'tdd.md'));
+  if (!fs.existsSync(tddPath)) {
+    console.error(`Error: ${tddPath} not found (run generate-tdd.js first)`);
+    process.exit(1);
+  }
+
+  const source = path.relative(process.cwd(), tddPath) || tddPath;
+  console.log(`🔍 Checking code in ${source}...\n`);
+  const result = checkTddFile({ projectRoot, tddPath, config });
+  printResult(result, source);
+  console.log(`\nReport: ${path.relative(process.cwd(), result.reportPath)}`);
+
+  if (args.writeSrc) {
+    const outDir = path.resolve(projectRoot, args.writeSrc);
+    const { written, skipped } = writeSourceFiles(result, outDir, {
+      force: args.force,
+      source: path.relative(projectRoot, tddPath).replace(/\\/g, '/')
+    });
+    console.log(`\n📝 Wrote ${written.length} file(s) to ${path.relative(process.cwd(), outDir) || '.'}/`);
+    written.forEach(filePath => console.log(`  ✓ ${path.relative(outDir, filePath)}`));
+    skipped.forEach(item => console.log(`  ⚠ ${item.path || `block at line ${item.line}`}: ${item.reason}`));
+  }
+
+  if (result.summary.failed > 0) process.exit(1);
+}
+
+// Export for use as module
+module.exports = {
+  extractBlocks,
+  checkBlock,
+  checkTdd,
+  checkTddFile,
+  loadSymbols,
+  buildSymbols,
+  writeSourceFiles,
+  printResult
+};
+
+// Run if called directly
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Deterministic Mode
+ *
+ * Init script for test-game.js --deterministic. Installed before any page
+ * script runs, it replaces the page's sources of non-determinism:
+ *
+ *   performance.now()        Virtual clock, starts at 0
+ *   Date.now() / new Date()  Fixed epoch + virtual clock
+ *   requestAnimationFrame    Callbacks only run when the test advances frames
+ *   Math.random()            Seeded PRNG (mulberry32)
+ *
+ * The test side drives time through window.__DETERMINISTIC__:
+ *   advance(frames)   Run N frames of frameMs each; returns callbacks run
+ *   now(), frame      Current virtual time / frame count
+ *   realRequestAnimationFrame
+ *                     The browser's own rAF, for harness code that needs a
+ *                     real paint
+ *
+ * setTimeout/setInterval keep real time, so games should drive gameplay
+ * from the animation loop.
+ */
+
+const DEFAULT_SEED = 1;
+const DEFAULT_FRAME_MS = 1000 / 60;
+const DEFAULT_EPOCH = Date.UTC(2024, 0, 1);
+
+/**
+ * Runs in the page (passed to context.addInitScript), so it must not
+ * reference anything outside its own body.
+ */
+function deterministicInitScript({ seed, frameMs, epoch }) {
+  const RealDate = Date;
+  const realRequestAnimationFrame = window.requestAnimationFrame.bind(window);
+  const realCancelAnimationFrame = window.cancelAnimationFrame.bind(window);
+
+  let now = 0;
+  let frame = 0;
+  let nextHandle = 1;
+  let callbacks = new Map();
+
+  // mulberry32
+  let state = seed >>> 0;
+  Math.random = function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  performance.now = () => now;
+
+  class VirtualDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(epoch + now);
+      else super(...args);
+    }
+
+    static now() {
+      return Math.floor(epoch + now);
+    }
+  }
+  window.Date = VirtualDate;
+
+  window.requestAnimationFrame = (callback) => {
+    const handle = nextHandle++;
+    callbacks.set(handle, callback);
+    return handle;
+  };
+  window.cancelAnimationFrame = (handle) => {
+    callbacks.delete(handle);
+  };
+
+  window.__DETERMINISTIC__ = {
+    seed,
+    frameMs,
+    get frame() {
+      return frame;
+    },
+    now: () => now,
+    realRequestAnimationFrame,
+    realCancelAnimationFrame,
+
+    advance(frames = 1) {
+      let ran = 0;
+      for (let i = 0; i < frames; i++) {
+        now += frameMs;
+        frame += 1;
+        // Callbacks registered during this frame run on the next one
+        const due = callbacks;
+        callbacks = new Map();
+        for (const callback of due.values()) {
+          try {
+            callback(now);
+          } catch (err) {
+            setTimeout(() => { throw err; });
+          }
+          ran += 1;
+        }
+      }
+      return ran;
+    }
+  };
+}
+
+/**
+ * Install deterministic mode on a Playwright context.
+ * Returns the settings used, for results.json.
+ */
+async function installDeterministic(context, { seed = DEFAULT_SEED, frameMs = DEFAULT_FRAME_MS, epoch = DEFAULT_EPOCH } = {}) {
+  const settings = { seed, frameMs, epoch };
+  await context.addInitScript(deterministicInitScript, settings);
+  return { ...settings, epoch: new Date(epoch).toISOString() };
+}
+
+/**
+ * Build the wait(ms) function used by the harness: a real timeout
+ * normally, or the equivalent number of virtual frames (followed by one
+ * real paint so screenshots see the result) in deterministic mode.
+ */
+function createWaiter(page, deterministic) {
+  if (!deterministic) return (ms) => page.waitForTimeout(ms);
+
+  return async (ms) => {
+    const frames = Math.max(1, Math.round(ms / deterministic.frameMs));
+    await page.evaluate((frames) => {
+      globalThis.__DETERMINISTIC__.advance(frames);
+      return new Promise(resolve => globalThis.__DETERMINISTIC__.realRequestAnimationFrame(() => resolve()));
+    }, frames);
+  };
+}
+
+module.exports = {
+  DEFAULT_SEED,
+  DEFAULT_FRAME_MS,
+  installDeterministic,
+  createWaiter
+};
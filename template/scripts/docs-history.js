@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Design Document History
+ *
+ * Lists, diffs and restores the versions of docs/prd.md, docs/tdd.md and
+ * plans/*.md that generate-*.js and revise.js record in docs/history/ (see
+ * history-store.js). Each version keeps the model that wrote it, the hashes
+ * of its inputs and the full prompt.
+ *
+ * Usage:
+ *   node scripts/docs-history.js list [prd|tdd|plan]
+ *   node scripts/docs-history.js diff <doc> [from] [to]
+ *   node scripts/docs-history.js show <doc> <version> [--prompt | --meta]
+ *   node scripts/docs-history.js restore <doc> <version>
+ *
+ * <doc> is prd, tdd or plan (the newest plan, or --plan=NAME). A version is
+ * its number in `list`, its id, or a unique id prefix; "current" is the file
+ * on disk. diff defaults to the version before the current file vs the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { unifiedDiff, diffStats, colorDiff } = require('./text-diff');
+const { documentPath, listVersions, findVersion, readPrompt, restoreVersion } = require('./history-store');
+const { hashText } = require('./pipeline-state');
+
+const projectRoot = path.join(__dirname, '..');
+const DOCS = ['prd', 'tdd', 'plan'];
+
+function parseArgs(argv) {
+  const args = { command: null, doc: null, refs: [], plan: null, prompt: false, meta: false };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--plan=')) args.plan = arg.split('=').slice(1).join('=');
+    else if (arg === '--prompt') args.prompt = true;
+    else if (arg === '--meta') args.meta = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!arg.startsWith('--')) {
+      if (args.command === null) args.command = arg;
+      else if (args.doc === null) args.doc = arg;
+      else args.refs.push(arg);
+    }
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+Design Document History
+
+Usage:
+  node scripts/docs-history.js list [prd|tdd|plan]
+  node scripts/docs-history.js diff <doc> [from] [to]
+  node scripts/docs-history.js show <doc> <version> [--prompt | --meta]
+  node scripts/docs-history.js restore <doc> <version>
+
+Options:
+  --plan=NAME   Plan to use for "plan" (default: most recent in plans/)
+  --prompt      show: print the prompt the version was generated from
+  --meta        show: print the version's metadata (model, input hashes...)
+
+Versions: list number, id or id prefix; "current" is the file on disk.
+`);
+}
+
+function resolveDocument(doc, planName) {
+  if (!DOCS.includes(doc)) {
+    throw new Error(`Unknown document "${doc || ''}". Options: ${DOCS.join(', ')}`);
+  }
+  const docPath = documentPath(projectRoot, doc, planName);
+  if (!docPath) throw new Error('No plan found in plans/');
+  return docPath;
+}
+
+function readCurrent(docPath) {
+  return fs.existsSync(docPath) ? fs.readFileSync(docPath, 'utf-8') : null;
+}
+
+// Index of the version matching the file on disk, or -1 (edited or missing)
+function currentIndex(versions, current) {
+  if (current === null) return -1;
+  return versions.map(v => v.meta.hash).lastIndexOf(hashText(current));
+}
+
+// One-line description of where a version came from
+function describe(meta) {
+  const parts = [meta.source || 'unknown'];
+  if (meta.model) parts.push(`${meta.provider ? `${meta.provider}/` : ''}${meta.model}`);
+  if (meta.feedback) parts.push(`"${meta.feedback.length > 50 ? `${meta.feedback.slice(0, 47)}...` : meta.feedback}"`);
+  if (meta.restoredFrom) parts.push(`from ${meta.restoredFrom}`);
+  return parts.join('  ');
+}
+
+function listDocument(docPath) {
+  const relativePath = path.relative(projectRoot, docPath).replace(/\\/g, '/');
+  const versions = listVersions(projectRoot, docPath);
+  const current = readCurrent(docPath);
+  const currentAt = currentIndex(versions, current);
+
+  console.log(`\n📄 ${relativePath} (${versions.length} version(s))`);
+  if (versions.length === 0) {
+    console.log('  No history yet');
+    return;
+  }
+
+  let previous = '';
+  versions.forEach((version, index) => {
+    const text = fs.readFileSync(version.path, 'utf-8');
+    const stats = diffStats(previous, text);
+    previous = text;
+    const marker = index === currentAt ? '  ← current' : '';
+    console.log(`  #${String(index + 1).padEnd(3)} ${version.id}  ${describe(version.meta)}  +${stats.added} -${stats.removed}${marker}`);
+  });
+
+  if (current === null) console.log('  ⚠ The file itself is missing');
+  else if (currentAt === -1) console.log('  ⚠ The file has been edited since the last version');
+}
+
+function list(args) {
+  if (args.doc) {
+    listDocument(resolveDocument(args.doc, args.plan));
+    return;
+  }
+
+  // Every document with history, plus prd/tdd
+  const historyRoot = path.join(projectRoot, 'docs', 'history');
+  const docPaths = new Set(['prd', 'tdd'].map(doc => documentPath(projectRoot, doc)));
+  if (fs.existsSync(historyRoot)) {
+    for (const dir of fs.readdirSync(historyRoot).sort()) {
+      // docs/<key>.md maps back to docs/history/<key>/ whatever the real path
+      const versions = listVersions(projectRoot, path.join(projectRoot, 'docs', `${dir}.md`));
+      const recorded = versions.length > 0 ? versions[0].meta.document : null;
+      if (recorded) docPaths.add(path.join(projectRoot, recorded));
+    }
+  }
+  [...docPaths].forEach(listDocument);
+}
+
+// Text and label of a version reference ("current" = the file on disk)
+function resolveRef(docPath, versions, ref) {
+  if (ref === 'current') {
+    const current = readCurrent(docPath);
+    if (current === null) throw new Error(`${path.relative(projectRoot, docPath)} does not exist`);
+    return { text: current, label: 'current' };
+  }
+  const version = findVersion(versions, ref);
+  return { text: fs.readFileSync(version.path, 'utf-8'), label: version.id };
+}
+
+function diff(args) {
+  const docPath = resolveDocument(args.doc, args.plan);
+  const relativePath = path.relative(projectRoot, docPath).replace(/\\/g, '/');
+  const versions = listVersions(projectRoot, docPath);
+
+  let [fromRef, toRef = 'current'] = args.refs;
+  if (!fromRef) {
+    const at = currentIndex(versions, readCurrent(docPath));
+    const previous = at === -1 ? versions[versions.length - 1] : versions[at - 1];
+    if (!previous) {
+      console.log(`No earlier version of ${relativePath} to compare with`);
+      return;
+    }
+    fromRef = previous.id;
+  }
+
+  const from = resolveRef(docPath, versions, fromRef);
+  const to = resolveRef(docPath, versions, toRef);
+  const output = unifiedDiff(from.text, to.text, {
+    fromFile: `${relativePath}@${from.label}`,
+    toFile: `${relativePath}@${to.label}`
+  });
+
+  if (!output) {
+    console.log(`${from.label} and ${to.label} are identical`);
+    return;
+  }
+  const stats = diffStats(from.text, to.text);
+  console.log(colorDiff(output));
+  console.log(`+${stats.added} -${stats.removed} lines`);
+}
+
+function show(args) {
+  const docPath = resolveDocument(args.doc, args.plan);
+  if (args.refs.length === 0) throw new Error('show needs a version (see list)');
+  const version = findVersion(listVersions(projectRoot, docPath), args.refs[0]);
+
+  if (args.meta) {
+    console.log(JSON.stringify(version.meta, null, 2));
+  } else if (args.prompt) {
+    const prompt = readPrompt(version);
+    if (prompt === null) throw new Error(`Version ${version.id} has no recorded prompt (${version.meta.source || 'unknown'})`);
+    process.stdout.write(prompt.endsWith('\n') ? prompt : `${prompt}\n`);
+  } else {
+    process.stdout.write(fs.readFileSync(version.path, 'utf-8'));
+  }
+}
+
+function restore(args) {
+  const docPath = resolveDocument(args.doc, args.plan);
+  if (args.refs.length === 0) throw new Error('restore needs a version (see list)');
+  const relativePath = path.relative(projectRoot, docPath).replace(/\\/g, '/');
+  const version = findVersion(listVersions(projectRoot, docPath), args.refs[0]);
+
+  const current = readCurrent(docPath) || '';
+  const stats = diffStats(current, fs.readFileSync(version.path, 'utf-8'));
+  const restored = restoreVersion(projectRoot, docPath, version.id);
+  console.log(`✓ Restored ${relativePath} to ${version.id} (${describe(version.meta)}; +${stats.added} -${stats.removed} lines)`);
+  console.log(`  Recorded as version ${restored.id}; the replaced text is kept in the history too`);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.command) {
+    printHelp();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const commands = { list, diff, show, restore };
+  if (!commands[args.command]) {
+    console.error(`Error: unknown command "${args.command}". Options: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+  if (args.command !== 'list' && !args.doc) {
+    console.error(`Error: ${args.command} needs a document (${DOCS.join(', ')})`);
+    process.exit(1);
+  }
+
+  commands[args.command](args);
+}
+
+// Run if called directly
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Provider Fixtures (offline / replay mode)
+ *
+ * Lets the pipeline run without Google or LLM endpoints. The mode comes from
+ * a CLI flag or config.providers.mode:
+ *
+ *   live    Call the real APIs (default)
+ *   record  Call the real APIs and save every response to the fixtures dir
+ *   replay  Never touch the network: return recorded responses, or canned
+ *           placeholders when nothing has been recorded yet
+ *
+ * Flags: --mock / --replay (replay), --record, --live
+ *
+ * Fixtures live in fixtures/ at the project root (config.providers.fixtures_dir
+ * overrides it):
+ *   fixtures/prd.json, tdd.json, plan.json   Recorded LLM responses
+ *   fixtures/prd-repair-N.json               Re-requested PRD sections
+ *   fixtures/revise-prd.json (tdd, plan)     revise.js responses (without
+ *                                            one, the document comes back
+ *                                            unchanged)
+ *   fixtures/mockup.png|jpg                  Recorded concept image
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['live', 'record', 'replay'];
+
+/**
+ * Resolve the provider mode. Flags win over config.providers.mode.
+ */
+function resolveProviderMode(config, argv = []) {
+  if (argv.includes('--mock') || argv.includes('--replay')) return 'replay';
+  if (argv.includes('--record')) return 'record';
+  if (argv.includes('--live')) return 'live';
+
+  const mode = config.providers?.mode || 'live';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid providers.mode "${mode}". Options: ${MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Flags that select the provider mode, so callers can forward them
+function providerModeArgs(argv = []) {
+  return argv.filter(a => ['--mock', '--replay', '--record', '--live'].includes(a));
+}
+
+function resolveFixturesDir(config, projectRoot) {
+  return path.resolve(projectRoot, config.providers?.fixtures_dir || 'fixtures');
+}
+
+// Recorded LLM response for a step, or null
+function readTextFixture(fixturesDir, name) {
+  const fixturePath = path.join(fixturesDir, `${name}.json`);
+  if (!fs.existsSync(fixturePath)) return null;
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+}
+
+function writeTextFixture(fixturesDir, name, fixture) {
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  const fixturePath = path.join(fixturesDir, `${name}.json`);
+  fs.writeFileSync(fixturePath, JSON.stringify({
+    name,
+    recordedAt: new Date().toISOString(),
+    ...fixture
+  }, null, 2));
+  return fixturePath;
+}
+
+// Recorded image for a step ({ path, mimeType }), or null
+function findImageFixture(fixturesDir, name) {
+  for (const ext of ['png', 'jpg', 'jpeg']) {
+    const fixturePath = path.join(fixturesDir, `${name}.${ext}`);
+    if (fs.existsSync(fixturePath)) {
+      return { path: fixturePath, mimeType: ext === 'png' ? 'image/png' : 'image/jpeg' };
+    }
+  }
+  return null;
+}
+
+function writeImageFixture(fixturesDir, name, imageBuffer, mimeType) {
+  fs.mkdirSync(fixturesDir, { recursive: true });
+
+  // Only one image per step, whatever its format
+  for (const ext of ['png', 'jpg', 'jpeg']) {
+    fs.rmSync(path.join(fixturesDir, `${name}.${ext}`), { force: true });
+  }
+
+  const ext = mimeType.includes('png') ? 'png' : 'jpg';
+  const fixturePath = path.join(fixturesDir, `${name}.${ext}`);
+  fs.writeFileSync(fixturePath, imageBuffer);
+  return fixturePath;
+}
+
+/**
+ * Canned document for a step that has no recording. Reuses the headings
+ * the prompt asks for (everything after its "---" separator), so downstream
+ * steps see a document with the expected structure.
+ */
+function cannedText(name, prompt) {
+  const outline = prompt.includes('\n---\n') ? prompt.split('\n---\n').pop() : prompt;
+  const headings = outline
+    .split('\n')
+    .filter(line => /^#{1,3} \S/.test(line));
+
+  const lines = [`<!-- Mock ${name} generated offline (providers.mode = replay) -->`, ''];
+  for (const heading of headings) {
+    lines.push(heading, '', `_Placeholder content for "${heading.replace(/^#+\s*/, '')}"._`, '');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  MODES,
+  resolveProviderMode,
+  providerModeArgs,
+  resolveFixturesDir,
+  readTextFixture,
+  writeTextFixture,
+  findImageFixture,
+  writeImageFixture,
+  cannedText
+};
@@ -6,22 +6,36 @@
  * Generates an assets.json file that indexes all assets in a game's asset folder.
  * 
  * Usage:
- *   node generate-assets-json.js <game_name>
+ *   node generate-assets-json.js <game_name> [--strict]
  * 
  * Example:
  *   node generate-assets-json.js medieval
  * 
  * This will scan public/assets/medieval/ and create public/assets/medieval/assets.json
+ * 
+ * Each .gltf/.glb entry gets a `model` object with mesh/primitive counts,
+ * triangle and vertex counts, material names, texture references, animation
+ * clips (name + duration in seconds), skin count, node hierarchy depth and
+ * the model-space bounding box (see gltf-utils.js).
+ * 
+ * Broken buffer/image references inside the models (missing files, case
+ * mismatches, absolute or out-of-tree paths) are listed in
+ * `metadata.issues` (see validate-assets.js). With --strict, the script
+ * exits with code 1 when any of them is an error.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { readGltf, inspectGltf } = require('./gltf-utils');
+const { validateModel, printIssues } = require('./validate-assets');
 
 // Get game name from command line argument
-const gameName = process.argv[2];
+const args = process.argv.slice(2);
+const gameName = args.find(a => !a.startsWith('--'));
+const strict = args.includes('--strict');
 
 if (!gameName) {
-  console.error('Usage: node generate-assets-json.js <game_name>');
+  console.error('Usage: node generate-assets-json.js <game_name> [--strict]');
   console.error('Example: node generate-assets-json.js medieval');
   process.exit(1);
 }
@@ -118,6 +132,16 @@ function getPackName(filePath, packDirs, rootDir) {
   return null;
 }
 
+// Parse a model and summarize it; a broken file is reported, not fatal
+function inspectModel(filePath) {
+  try {
+    return inspectGltf(readGltf(filePath).json);
+  } catch (err) {
+    console.warn(`  ⚠ Could not inspect ${path.relative(assetsDir, filePath)}: ${err.message}`);
+    return { error: err.message };
+  }
+}
+
 // Recursively scan directory for assets
 function scanDirectory(dir, relativeTo, packDirs = []) {
   const assets = [];
@@ -168,6 +192,10 @@ function scanDirectory(dir, relativeTo, packDirs = []) {
         asset.pack = pack;
       }
       
+      if (asset.focusGlTF) {
+        asset.model = inspectModel(fullPath);
+      }
+      
       assets.push(asset);
     }
   }
@@ -214,10 +242,29 @@ for (const asset of assets) {
 
 // Count glTF assets
 const glTFCount = assets.filter(a => a.focusGlTF).length;
+const animatedCount = assets.filter(a => a.model?.animations?.length > 0).length;
+const totalTriangles = assets.reduce((sum, a) => sum + (a.model?.triangles || 0), 0);
+
+// Validate external references of every model
+const issues = assets
+  .filter(a => a.focusGlTF)
+  .flatMap(a => validateModel(path.join(assetsDir, a.relativePath), assetsDir));
+const issueErrors = issues.filter(i => i.severity === 'error').length;
 
 // Get unique packs
 const packs = [...new Set(assets.map(a => a.pack).filter(Boolean))];
 
+// Atlases are written by atlas-textures.js; keep those whose images still exist
+let atlases = [];
+if (fs.existsSync(outputPath)) {
+  try {
+    atlases = (JSON.parse(fs.readFileSync(outputPath, 'utf-8')).atlases || [])
+      .filter(atlas => atlas.images.every(image => fs.existsSync(path.join(assetsDir, image.path))));
+  } catch (err) {
+    // Unreadable assets.json - it is rewritten below
+  }
+}
+
 // Build output
 const output = {
   metadata: {
@@ -225,11 +272,15 @@ const output = {
     root: `public/assets/${gameName}`,
     totalAssets: assets.length,
     glTFAssetCount: glTFCount,
+    animatedModelCount: animatedCount,
+    totalTriangles: totalTriangles,
     categories: categoryCounts,
     packs: packs.length > 0 ? packs : undefined,
-    packCounts: packs.length > 0 ? packCounts : undefined
+    packCounts: packs.length > 0 ? packCounts : undefined,
+    issues: issues
   },
-  assets: assets
+  assets: assets,
+  atlases: atlases.length > 0 ? atlases : undefined
 };
 
 // Write output
@@ -238,8 +289,17 @@ fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
 console.log(`\nGenerated: ${outputPath}`);
 console.log(`\nSummary:`);
 console.log(`  Total assets: ${assets.length}`);
-console.log(`  glTF/GLB models: ${glTFCount}`);
+console.log(`  glTF/GLB models: ${glTFCount} (${animatedCount} animated, ${totalTriangles} triangles total)`);
 console.log(`  Categories:`, categoryCounts);
 if (packs.length > 0) {
   console.log(`  Packs (${packs.length}):`, packCounts);
 }
+
+if (issues.length > 0) {
+  console.log(`\nReference issues (${issueErrors} error(s), ${issues.length - issueErrors} warning(s)):`);
+  printIssues(issues);
+  if (strict && issueErrors > 0) {
+    console.error('\nStrict mode: failing because of broken model references');
+    process.exit(1);
+  }
+}
@@ -7,7 +7,11 @@
  * based on the asset preview and description.
  * 
  * Usage:
- *   node generate-mockup.js
+ *   node generate-mockup.js [--mock | --record]
+ * 
+ *   --mock     Use the recorded mockup from fixtures/, or a placeholder
+ *              (a copy of Preview.jpg) when none was recorded; no network
+ *   --record   Save the generated image to fixtures/ for later replay
  * 
  * Requires:
  *   - config.json with google_ai_studio.api_key and game settings
@@ -18,6 +22,13 @@
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
+const {
+  resolveProviderMode,
+  resolveFixturesDir,
+  findImageFixture,
+  writeImageFixture
+} = require('./fixtures');
+const { loadPrompt, gameVars, describeTemplate } = require('./prompt-templates');
 
 // Load config
 const scriptDir = __dirname;
@@ -33,20 +44,26 @@ if (!fs.existsSync(configPath)) {
 const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
 const { google_ai_studio, game } = config;
 
+let mode;
+try {
+  mode = resolveProviderMode(config, process.argv.slice(2));
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
+const fixturesDir = resolveFixturesDir(config, projectRoot);
+
 // Check config first, then env vars
 const apiKey = (google_ai_studio?.api_key && !google_ai_studio.api_key.includes('YOUR_'))
   ? google_ai_studio.api_key
   : process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_STUDIO_API_KEY;
 
-if (!apiKey) {
+if (!apiKey && mode !== 'replay') {
   console.error('Error: Google AI Studio API key not found');
   console.error('Set GOOGLE_API_KEY env var or configure scripts/config.json');
   process.exit(1);
 }
 
-// Use resolved key
-google_ai_studio.api_key = apiKey;
-
 // Paths
 const assetsDir = path.join(projectRoot, 'public', 'assets', game.name);
 const previewPath = path.join(assetsDir, 'Preview.jpg');
@@ -76,131 +93,157 @@ const assetNames = assetsJson.assets
   .map(a => a.name.replace('.gltf', ''))
   .join(', ');
 
-// Build prompt
-const prompt = `You are a game concept artist. Based on the attached preview image showing available 3D assets and the following game description, create a detailed mockup image showing how this game would look during gameplay.
-
-GAME DESCRIPTION:
-${game.description}
-
-AVAILABLE ASSETS (3D models):
-${assetNames}
-
-The mockup should show:
-1. An actual gameplay scene (not a title screen)
-2. Multiple game elements arranged naturally (buildings, units, terrain, resources)
-3. Appropriate UI elements for this game type (health bars, resource counters, minimap, etc.)
-4. The camera perspective that best suits this game type
-5. The visual style matching the provided assets
-
-Create a polished, professional game screenshot mockup that shows the core gameplay loop in action.`;
-
-console.log('Generating mockup with Google AI Studio...');
-console.log('Game:', game.name);
-console.log('Description:', game.description);
-
-// Gemini API request
-const requestBody = JSON.stringify({
-  contents: [{
-    parts: [
-      {
-        text: prompt
-      },
-      {
-        inline_data: {
-          mime_type: 'image/jpeg',
-          data: previewBase64
+// Build prompt (prompts/01-mockup-generation.md, see prompt-templates.js)
+let prompt;
+let promptTemplate;
+try {
+  ({ prompt, template: promptTemplate } = loadPrompt('mockup', {
+    game: gameVars(game),
+    assetNames
+  }, { projectRoot, config }));
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
+
+// Gemini API request, resolves with { imageData (base64), mimeType }
+function requestMockup() {
+  const requestBody = JSON.stringify({
+    contents: [{
+      parts: [
+        {
+          text: prompt
+        },
+        {
+          inline_data: {
+            mime_type: 'image/jpeg',
+            data: previewBase64
+          }
         }
+      ]
+    }],
+    generationConfig: {
+      imageConfig: {
+        aspectRatio: '16:9'
       }
-    ]
-  }],
-  generationConfig: {
-    imageConfig: {
-      aspectRatio: '16:9'
     }
-  }
-});
-
-const options = {
-  hostname: 'generativelanguage.googleapis.com',
-  port: 443,
-  path: `/v1beta/models/gemini-3-pro-image-preview:generateContent?key=${google_ai_studio.api_key}`,
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'Content-Length': Buffer.byteLength(requestBody)
-  }
-};
-
-const req = https.request(options, (res) => {
-  let data = '';
-  
-  res.on('data', (chunk) => {
-    data += chunk;
   });
   
-  res.on('end', () => {
-    try {
-      const response = JSON.parse(data);
-      
-      if (response.error) {
-        console.error('API Error:', response.error.message);
-        process.exit(1);
-      }
+  const options = {
+    hostname: 'generativelanguage.googleapis.com',
+    port: 443,
+    path: `/v1beta/models/gemini-3-pro-image-preview:generateContent?key=${apiKey}`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(requestBody)
+    }
+  };
+  
+  return new Promise((resolve, reject) => {
+    const req = https.request(options, (res) => {
+      let data = '';
       
-      // Find image in response (handle both camelCase and snake_case)
-      const candidates = response.candidates || [];
-      let imageData = null;
-      let mimeType = 'image/png';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
       
-      for (const candidate of candidates) {
-        const parts = candidate.content?.parts || [];
-        for (const part of parts) {
-          // Gemini 3 uses camelCase (inlineData), older APIs use snake_case (inline_data)
-          const inlineData = part.inlineData || part.inline_data;
-          const partMimeType = inlineData?.mimeType || inlineData?.mime_type;
-          if (inlineData && partMimeType?.startsWith('image/')) {
-            imageData = inlineData.data;
-            mimeType = partMimeType;
-            break;
+      res.on('end', () => {
+        let response;
+        try {
+          response = JSON.parse(data);
+        } catch (err) {
+          reject(new Error(`Error parsing response: ${err.message}\nRaw response: ${data.substring(0, 500)}`));
+          return;
+        }
+        
+        if (response.error) {
+          reject(new Error(`API Error: ${response.error.message}`));
+          return;
+        }
+        
+        // Find image in response (handle both camelCase and snake_case)
+        const candidates = response.candidates || [];
+        let imageData = null;
+        let mimeType = 'image/png';
+        
+        for (const candidate of candidates) {
+          const parts = candidate.content?.parts || [];
+          for (const part of parts) {
+            // Gemini 3 uses camelCase (inlineData), older APIs use snake_case (inline_data)
+            const inlineData = part.inlineData || part.inline_data;
+            const partMimeType = inlineData?.mimeType || inlineData?.mime_type;
+            if (inlineData && partMimeType?.startsWith('image/')) {
+              imageData = inlineData.data;
+              mimeType = partMimeType;
+              break;
+            }
           }
+          if (imageData) break;
         }
-        if (imageData) break;
-      }
-      
-      if (!imageData) {
-        console.error('No image generated in response');
-        console.error('Response:', JSON.stringify(response, null, 2));
-        process.exit(1);
-      }
-      
-      // Ensure output directory exists
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
-      
-      // Determine file extension from mime type
-      const ext = mimeType.includes('png') ? 'png' : 'jpg';
-      const outputPath = path.join(outputDir, `concept.${ext}`);
-      
-      // Save image
-      const imageBuffer = Buffer.from(imageData, 'base64');
-      fs.writeFileSync(outputPath, imageBuffer);
-      
-      console.log('\nMockup generated successfully!');
-      console.log('Output:', outputPath);
-      
-    } catch (err) {
-      console.error('Error parsing response:', err.message);
-      console.error('Raw response:', data.substring(0, 500));
-      process.exit(1);
-    }
+        
+        if (!imageData) {
+          reject(new Error(`No image generated in response\nResponse: ${JSON.stringify(response, null, 2)}`));
+          return;
+        }
+        
+        resolve({ imageData, mimeType });
+      });
+    });
+    
+    req.on('error', (err) => reject(new Error(`Request error: ${err.message}`)));
+    req.write(requestBody);
+    req.end();
   });
-});
+}
+
+// Recorded mockup, or the asset preview standing in as a placeholder concept
+function replayMockup() {
+  const fixture = findImageFixture(fixturesDir, 'mockup');
+  if (fixture) {
+    console.log('Using recorded mockup:', fixture.path);
+    return { imageData: fs.readFileSync(fixture.path).toString('base64'), mimeType: fixture.mimeType };
+  }
+  console.log('No recorded mockup found, using Preview.jpg as a placeholder concept');
+  return { imageData: previewBase64, mimeType: 'image/jpeg' };
+}
 
-req.on('error', (err) => {
-  console.error('Request error:', err.message);
+async function main() {
+  console.log(mode === 'replay' ? 'Generating mockup (replay, offline)...' : 'Generating mockup with Google AI Studio...');
+  console.log('Game:', game.name);
+  console.log('Description:', game.description);
+  console.log('Prompt:', describeTemplate(promptTemplate, projectRoot));
+  
+  const { imageData, mimeType } = mode === 'replay' ? replayMockup() : await requestMockup();
+  
+  // Ensure output directory exists
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  
+  // Determine file extension from mime type
+  const ext = mimeType.includes('png') ? 'png' : 'jpg';
+  const outputPath = path.join(outputDir, `concept.${ext}`);
+  
+  // Remove a concept image of the other format so downstream steps pick this one
+  for (const stale of ['concept.jpg', 'concept.png', 'concept.jpeg']) {
+    const stalePath = path.join(outputDir, stale);
+    if (stalePath !== outputPath) fs.rmSync(stalePath, { force: true });
+  }
+  
+  // Save image
+  const imageBuffer = Buffer.from(imageData, 'base64');
+  fs.writeFileSync(outputPath, imageBuffer);
+  
+  if (mode === 'record') {
+    console.log('Recorded fixture:', writeImageFixture(fixturesDir, 'mockup', imageBuffer, mimeType));
+  }
+  
+  console.log('\nMockup generated successfully!');
+  console.log('Output:', outputPath);
+}
+
+main().catch((err) => {
+  console.error(err.message);
   process.exit(1);
 });
-
-req.write(requestBody);
-req.end();
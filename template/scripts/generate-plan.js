@@ -3,17 +3,24 @@
 /**
  * Execution Plan Generation Script
  * 
- * Uses OpenAI API (GPT-4o) to generate an implementation plan
- * based on the PRD and TDD.
+ * Uses the configured LLM provider (see llm-provider.js) to generate an
+ * implementation plan based on the PRD and TDD.
+ *
+ * Plans are recorded in docs/history/ with the model, input hashes and
+ * prompt of each version, so re-running with the same plan name doesn't
+ * lose the previous one (see history-store.js, docs-history.js).
  * 
  * Usage:
- *   node generate-plan.js [plan-name]
+ *   node generate-plan.js [plan-name] [--mock | --record]
+ * 
+ *   --mock     Replay recorded/canned responses, no network (see fixtures.js)
+ *   --record   Save the live response to fixtures/ for later replay
  * 
  * Example:
  *   node generate-plan.js initial-implementation
  * 
  * Requires:
- *   - config.json with openai.api_key and game settings
+ *   - config.json with an LLM API key (config.llm) and game settings
  *   - docs/prd.md
  *   - docs/tdd.md
  *   - public/assets/{game_name}/assets.json
@@ -21,7 +28,12 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createProvider } = require('./llm-provider');
+const { resolveProviderMode, resolveFixturesDir } = require('./fixtures');
+const { importMapSnippet, resolveThreeConfig, threeRevision } = require('./vendor-three');
+const { hashFile } = require('./pipeline-state');
+const { writeVersioned } = require('./history-store');
+const { loadPrompt, gameVars, describeTemplate } = require('./prompt-templates');
 
 // Generate random plan name if not provided
 function generatePlanName() {
@@ -47,21 +59,23 @@ if (!fs.existsSync(configPath)) {
 }
 
 const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-const { openai, game } = config;
-
-// Check config first, then env vars
-const apiKey = (openai?.api_key && !openai.api_key.includes('YOUR_'))
-  ? openai.api_key
-  : process.env.OPENAI_API_KEY;
-
-if (!apiKey) {
-  console.error('Error: OpenAI API key not found');
-  console.error('Set OPENAI_API_KEY env var or configure scripts/config.json');
+const { game } = config;
+const threeRev = threeRevision(resolveThreeConfig(config).version);
+
+// Resolve the LLM provider (config.llm, falling back to whichever key is set)
+let llm;
+try {
+  llm = createProvider(config, {
+    mode: resolveProviderMode(config, process.argv.slice(2)),
+    fixturesDir: resolveFixturesDir(config, projectRoot)
+  });
+} catch (err) {
+  console.error('Error:', err.message);
   process.exit(1);
 }
 
 // Plan name from args or generate
-const planName = process.argv[2] || generatePlanName();
+const planName = process.argv.slice(2).find(a => !a.startsWith('--')) || generatePlanName();
 
 // Paths
 const prdPath = path.join(projectRoot, 'docs', 'prd.md');
@@ -87,142 +101,77 @@ const prdContent = fs.readFileSync(prdPath, 'utf-8');
 const tddContent = fs.readFileSync(tddPath, 'utf-8');
 const assetsJson = fs.readFileSync(assetsJsonPath, 'utf-8');
 
-// Build prompt
-const prompt = `You are creating an execution plan for implementing a Three.js game.
-
-Analyze the PRD and TDD below, then create a phased implementation plan based ONLY on what these documents specify. Do NOT assume any features not mentioned in the documents.
-
-## PRD (Product Requirements Document):
-${prdContent}
-
-## TDD (Technical Design Document):
-${tddContent.substring(0, 80000)}
-
-## Available Assets (assets.json):
-\`\`\`json
-${assetsJson}
-\`\`\`
-
----
-
-Create a concise, actionable execution plan. Structure it as follows:
-
-# ${game.name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase())} - Implementation Plan
-
-## Overview
-- Target file: \`public/index.html\` (single HTML file with inline CSS/JS)
-- Brief summary of the game type and core mechanics (from PRD)
-- Asset path format: \`assets/${game.name}/glTF/<FILENAME>.gltf\`
-
-## Implementation Phases
-
-Analyze the TDD and create phases based on what's ACTUALLY in the documents. Each phase should:
-1. Have a clear name describing what it implements
-2. Be marked as (Critical), (Important), or (Polish)
-3. List specific items to implement from the TDD
-4. Reference relevant TDD sections
-
-Start with foundational systems (renderer, camera, asset loading) then progress through game-specific systems as defined in the TDD. Only include phases for features that exist in the PRD/TDD.
-
-## Initial Scene Setup
-Based on the PRD/TDD, describe:
-- What entities/objects should be placed initially
-- Their positions and configurations
-- Any level/map setup required
-
-## Verification Checklist
-Extract ALL success criteria from the PRD and list them as checkboxes:
-- [ ] (each criterion from PRD)
-
-## Estimated Complexity
-Based on the TDD scope, estimate code size and complexity.
-
-## Next Step
-To implement, use this prompt with Claude Code:
-\`\`\`
-Please proceed with implementing the game based on the plan in plans/${planName}.md
-Use the Three.js skills for reference.
-\`\`\`
-`;
-
-console.log('Generating execution plan with OpenAI API (GPT-5.2)...');
-console.log('Game:', game.name);
-console.log('Plan name:', planName);
-
-// OpenAI API request
-const requestBody = JSON.stringify({
-  model: 'gpt-5.2',
-  max_completion_tokens: 128000,
-  messages: [{
-    role: 'user',
-    content: prompt
-  }]
-});
-
-const options = {
-  hostname: 'api.openai.com',
-  port: 443,
-  path: '/v1/chat/completions',
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${apiKey}`
-  }
-};
+// Build prompt (prompts/04-execution-plan.md, see prompt-templates.js)
+let prompt;
+let promptTemplate;
+try {
+  ({ prompt, template: promptTemplate } = loadPrompt('plan', {
+    game: gameVars(game),
+    planName,
+    prdContent,
+    tddContent: tddContent.substring(0, 80000),
+    assetsJson,
+    threeRevision: threeRev,
+    importMap: importMapSnippet()
+  }, { projectRoot, config }));
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
 
-const req = https.request(options, (res) => {
-  let data = '';
+async function main() {
+  console.log(`Generating execution plan with ${llm.label} (${llm.model})...`);
+  console.log('Game:', game.name);
+  console.log('Prompt:', describeTemplate(promptTemplate, projectRoot));
+  console.log('Plan name:', planName);
   
-  res.on('data', (chunk) => {
-    data += chunk;
-    process.stdout.write('.');
+  const response = await llm.complete({
+    prompt,
+    onChunk: () => process.stdout.write('.'),
+    fixture: 'plan'
   });
   
-  res.on('end', () => {
-    console.log('\n');
-    
-    try {
-      const response = JSON.parse(data);
-      
-      if (response.error) {
-        console.error('API Error:', response.error.message);
-        process.exit(1);
-      }
-      
-      // Extract text content from OpenAI response
-      const planContent = response.choices?.[0]?.message?.content || '';
-      
-      if (!planContent) {
-        console.error('No content in response');
-        process.exit(1);
-      }
-      
-      // Ensure plans directory exists
-      if (!fs.existsSync(plansDir)) {
-        fs.mkdirSync(plansDir, { recursive: true });
-      }
-      
-      // Save plan
-      fs.writeFileSync(outputPath, planContent);
-      
-      console.log('Execution plan generated successfully!');
-      console.log('Output:', outputPath);
-      console.log('');
-      console.log('Next step - run in Claude Code:');
-      console.log(`  Please proceed with implementing the game based on the plan in plans/${planName}.md`);
-      
-    } catch (err) {
-      console.error('Error parsing response:', err.message);
-      console.error('Raw response:', data.substring(0, 1000));
-      process.exit(1);
-    }
+  console.log('\n');
+  
+  const planContent = response.text;
+  
+  if (!planContent) {
+    console.error('No content in response');
+    process.exit(1);
+  }
+  
+  // Ensure plans directory exists
+  if (!fs.existsSync(plansDir)) {
+    fs.mkdirSync(plansDir, { recursive: true });
+  }
+  
+  // Save plan (recorded in docs/history/)
+  const version = writeVersioned(projectRoot, outputPath, planContent, {
+    source: 'generate-plan',
+    provider: llm.provider,
+    model: llm.model,
+    mode: llm.mode,
+    finishReason: response.finishReason,
+    three: threeRev,
+    promptTemplate: describeTemplate(promptTemplate, projectRoot),
+    inputs: {
+      'prd.md': hashFile(prdPath),
+      'tdd.md': hashFile(tddPath),
+      'assets.json': hashFile(assetsJsonPath)
+    },
+    prompt
   });
-});
+  
+  console.log('Execution plan generated successfully!');
+  console.log('Output:', outputPath);
+  console.log(`Version: ${version.id}`);
+  console.log('');
+  console.log('Next step - run in Claude Code:');
+  console.log(`  Please proceed with implementing the game based on the plan in plans/${planName}.md`);
+}
 
-req.on('error', (err) => {
-  console.error('Request error:', err.message);
+main().catch((err) => {
+  console.error(err.message);
+  if (err.raw) console.error('Raw response:', err.raw);
   process.exit(1);
 });
-
-req.write(requestBody);
-req.end();
@@ -3,14 +3,26 @@
 /**
  * PRD Generation Script
  * 
- * Uses OpenAI API (GPT-4o) to generate a Product Requirements Document
- * based on the concept mockup, assets, and game description.
+ * Uses the configured LLM provider (see llm-provider.js) to generate a
+ * Product Requirements Document based on the concept mockup, assets,
+ * and game description.
+ *
+ * The result is linted (prd-lint.js) before it is saved: missing, empty or
+ * truncated sections and sections naming files that aren't in assets.json
+ * are requested again, up to MAX_REPAIR_ATTEMPTS times. The lint report is
+ * written to docs/prd-lint.json.
+ *
+ * The previous document is kept in docs/history/ with the model, input
+ * hashes and prompt of each version (see history-store.js, docs-history.js).
  * 
  * Usage:
- *   node generate-prd.js
+ *   node generate-prd.js [--mock | --record]
+ * 
+ *   --mock     Replay recorded/canned responses, no network (see fixtures.js)
+ *   --record   Save the live response to fixtures/ for later replay
  * 
  * Requires:
- *   - config.json with openai.api_key and game settings
+ *   - config.json with an LLM API key (config.llm) and game settings
  *   - public/{game_name}/concept.jpg (run generate-mockup.js first)
  *   - public/assets/{game_name}/Preview.jpg
  *   - public/assets/{game_name}/assets.json
@@ -18,7 +30,15 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createProvider } = require('./llm-provider');
+const { resolveProviderMode, resolveFixturesDir } = require('./fixtures');
+const { resolveThreeConfig, threeRevision } = require('./vendor-three');
+const { outlineSections, lintPrd, repairPrompt, mergeSections, dropSections } = require('./prd-lint');
+const { hashText, hashFile } = require('./pipeline-state');
+const { writeVersioned } = require('./history-store');
+const { loadPrompt, gameVars, describeTemplate } = require('./prompt-templates');
+
+const MAX_REPAIR_ATTEMPTS = 2;
 
 // Load config
 const scriptDir = __dirname;
@@ -31,16 +51,18 @@ if (!fs.existsSync(configPath)) {
 }
 
 const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-const { openai, game } = config;
-
-// Check config first, then env vars
-const apiKey = (openai?.api_key && !openai.api_key.includes('YOUR_'))
-  ? openai.api_key
-  : process.env.OPENAI_API_KEY;
-
-if (!apiKey) {
-  console.error('Error: OpenAI API key not found');
-  console.error('Set OPENAI_API_KEY env var or configure scripts/config.json');
+const { game } = config;
+const threeRev = threeRevision(resolveThreeConfig(config).version);
+
+// Resolve the LLM provider (config.llm, falling back to whichever key is set)
+let llm;
+try {
+  llm = createProvider(config, {
+    mode: resolveProviderMode(config, process.argv.slice(2)),
+    fixturesDir: resolveFixturesDir(config, projectRoot)
+  });
+} catch (err) {
+  console.error('Error:', err.message);
   process.exit(1);
 }
 
@@ -54,6 +76,7 @@ const conceptPath = ['concept.jpg', 'concept.png', 'concept.jpeg']
 const previewPath = path.join(assetsDir, 'Preview.jpg');
 const assetsJsonPath = path.join(assetsDir, 'assets.json');
 const outputPath = path.join(projectRoot, 'docs', 'prd.md');
+const lintReportPath = path.join(projectRoot, 'docs', 'prd-lint.json');
 
 // Check required files
 const missingFiles = [];
@@ -79,205 +102,150 @@ const conceptImage = fs.readFileSync(conceptPath).toString('base64');
 const previewImage = fs.readFileSync(previewPath).toString('base64');
 const assetsJson = fs.readFileSync(assetsJsonPath, 'utf-8');
 
-// Build prompt
-const prompt = `You are creating a Product Requirements Document (PRD) for a Three.js browser game.
-
-## Game Description:
-${game.description}
-
-## Visual References:
-- The first image is a mockup showing how the game should look during gameplay
-- The second image is a preview of the available 3D assets
-
-## Available Assets (assets.json):
-\`\`\`json
-${assetsJson}
-\`\`\`
-
----
-
-Analyze the game description and mockup, then create a comprehensive PRD. Include ONLY sections relevant to this specific game type. Do NOT assume features not implied by the description.
-
-# ${game.name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase())} - Product Requirements Document
-
-## 1. Summary
-- Brief description of the game and its genre
-- Core gameplay loop
-- Target platform (browser-based)
-- Key assumptions and constraints for V1
-- Session/match length
-
-## 2. Technical Requirements
-- Three.js version (r160 recommended)
-- Delivery format (single HTML file preferred)
-- Unit system (world units = meters)
-- Required loaders (GLTFLoader)
-
-## 3. Canvas & Viewport
-- Internal resolution
-- Aspect ratio handling
-- Background style
-
-## 4. Visual Style & Art Direction
-- Overall look (based on mockup)
-- Color palette with hex codes
-- Mood/atmosphere
-- Camera style appropriate for this game type
-- Lighting mood
-
-## 5. Game Elements
-Based on the game description, define all relevant game objects:
-- Player character/avatar (if applicable)
-- Controllable entities and their properties
-- Interactive objects
-- Environmental elements
-- Any NPCs or AI entities
-Reference specific assets from assets.json by filename.
-
-## 6. Core Mechanics
-Define the primary gameplay systems this game needs:
-- Movement/navigation system
-- Primary interaction mechanics
-- Progression/scoring system
-- Any resource or economy systems (if applicable)
-- Combat/conflict systems (if applicable)
-
-## 7. World & Environment
-- Map/level layout and dimensions
-- Environmental features using available assets
-- Fallback primitives if assets fail to load
-
-## 8. Win/Lose Conditions
-- Victory conditions
-- Failure conditions
-- Score/progress tracking
-- Data persistence (localStorage)
-
-## 9. Controls
-- Complete input mapping for this game type
-- Desktop controls
-- Touch/mobile controls
-- Keyboard shortcuts
-
-## 10. Game States
-- Menu state
-- Playing state
-- Paused state
-- Game Over state
-
-## 11. Game Feel & Juice
-- Input feedback appropriate for this game
-- Animation timing
-- Visual/audio effects
-- Celebrations and rewards
-
-## 12. UX Requirements
-- Controls visibility
-- Onboarding/tutorial
-- Accessibility considerations
-
-## 13. Out of Scope (V1)
-- Features explicitly NOT included
-
-## 14. Success Criteria
-- Checklist of testable requirements
-
-Reference specific asset filenames from assets.json when describing game elements.`;
-
-console.log('Generating PRD with OpenAI API (GPT-5.2)...');
-console.log('Game:', game.name);
+// Build prompt (prompts/02-prd-generation.md, see prompt-templates.js)
+let prompt;
+let promptTemplate;
+try {
+  ({ prompt, template: promptTemplate } = loadPrompt('prd', {
+    game: gameVars(game),
+    assetsJson,
+    threeRevision: threeRev
+  }, { projectRoot, config }));
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
 
-// OpenAI API request
-const requestBody = JSON.stringify({
-  model: 'gpt-5.2',
-  max_completion_tokens: 128000,
-  messages: [{
-    role: 'user',
-    content: [
-      {
-        type: 'image_url',
-        image_url: {
-          url: `data:${conceptMimeType};base64,${conceptImage}`
-        }
-      },
-      {
-        type: 'image_url',
-        image_url: {
-          url: `data:image/jpeg;base64,${previewImage}`
-        }
-      },
-      {
-        type: 'text',
-        text: prompt
-      }
-    ]
-  }]
-});
+// Lint results that need another request, for the report
+function failures(lint) {
+  return lint.sections.filter(section => section.status !== 'ok');
+}
 
-const options = {
-  hostname: 'api.openai.com',
-  port: 443,
-  path: '/v1/chat/completions',
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${apiKey}`
-  }
-};
+function describe(sections) {
+  return sections.map(section => `${section.number}. ${section.title} (${section.status})`).join(', ');
+}
 
-const req = https.request(options, (res) => {
-  let data = '';
+async function main() {
+  console.log(`Generating PRD with ${llm.label} (${llm.model})...`);
+  console.log('Game:', game.name);
+  console.log('Prompt:', describeTemplate(promptTemplate, projectRoot));
   
-  res.on('data', (chunk) => {
-    data += chunk;
-    process.stdout.write('.');
+  const images = [
+    { mimeType: conceptMimeType, data: conceptImage },
+    { mimeType: 'image/jpeg', data: previewImage }
+  ];
+  const response = await llm.complete({
+    prompt,
+    images,
+    onChunk: () => process.stdout.write('.'),
+    fixture: 'prd'
   });
   
-  res.on('end', () => {
+  console.log('\n');
+  
+  let prdContent = response.text;
+  
+  if (!prdContent) {
+    console.error('No content in response');
+    console.error('Response:', JSON.stringify(response.raw, null, 2).substring(0, 1000));
+    process.exit(1);
+  }
+  
+  // Lint against the sections the prompt asks for
+  const required = outlineSections(prompt);
+  const context = prompt.split('\n---\n')[0];
+  const assetsData = JSON.parse(assetsJson);
+  
+  let lint = lintPrd(prdContent, { sections: required, assetsJson: assetsData, finishReason: response.finishReason });
+  const attempts = [{ request: 'prd', finishReason: response.finishReason, failed: failures(lint) }];
+  
+  // A section cut off by the token limit is requested again in full
+  const truncated = lint.sections.filter(section => section.status === 'truncated').map(section => section.number);
+  if (truncated.length > 0) {
+    console.log('⚠ Response was truncated; dropping the incomplete section');
+    prdContent = dropSections(prdContent, truncated, required);
+    lint = lintPrd(prdContent, { sections: required, assetsJson: assetsData });
+  }
+  
+  for (let attempt = 1; !lint.ok && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const failed = failures(lint);
+    console.log(`Lint: re-requesting ${failed.length} section(s): ${describe(failed)}`);
+    
+    const repair = await llm.complete({
+      prompt: repairPrompt(context, prdContent, failed, required),
+      images,
+      onChunk: () => process.stdout.write('.'),
+      fixture: `prd-repair-${attempt}`
+    });
     console.log('\n');
     
-    try {
-      const response = JSON.parse(data);
-      
-      if (response.error) {
-        console.error('API Error:', response.error.message);
-        process.exit(1);
-      }
-      
-      // Extract text content from OpenAI response
-      const prdContent = response.choices?.[0]?.message?.content || '';
-      
-      if (!prdContent) {
-        console.error('No content in response');
-        console.error('Response:', JSON.stringify(response, null, 2).substring(0, 1000));
-        process.exit(1);
-      }
-      
-      // Ensure docs directory exists
-      const docsDir = path.join(projectRoot, 'docs');
-      if (!fs.existsSync(docsDir)) {
-        fs.mkdirSync(docsDir, { recursive: true });
-      }
-      
-      // Save PRD
-      fs.writeFileSync(outputPath, prdContent);
-      
-      console.log('PRD generated successfully!');
-      console.log('Output:', outputPath);
-      console.log('Length:', prdContent.length, 'characters');
-      
-    } catch (err) {
-      console.error('Error parsing response:', err.message);
-      console.error('Raw response:', data.substring(0, 1000));
-      process.exit(1);
-    }
+    // Keep only the sections the repair got right
+    const requested = required.filter(section => failed.some(f => f.number === section.number));
+    const repairLint = lintPrd(repair.text, { sections: requested, assetsJson: assetsData, finishReason: repair.finishReason });
+    const accepted = requested.filter(section => repairLint.sections.some(r => r.number === section.number && r.status === 'ok'));
+    prdContent = mergeSections(prdContent, repair.text, accepted);
+    
+    attempts.push({
+      request: `repair ${attempt}`,
+      finishReason: repair.finishReason,
+      requested: requested.map(section => section.number),
+      accepted: accepted.map(section => section.number),
+      failed: failures(repairLint)
+    });
+    lint = lintPrd(prdContent, { sections: required, assetsJson: assetsData });
+  }
+  
+  // Ensure docs directory exists
+  const docsDir = path.join(projectRoot, 'docs');
+  if (!fs.existsSync(docsDir)) {
+    fs.mkdirSync(docsDir, { recursive: true });
+  }
+  
+  // Save PRD (recorded in docs/history/) and lint report
+  const version = writeVersioned(projectRoot, outputPath, prdContent, {
+    source: 'generate-prd',
+    provider: llm.provider,
+    model: llm.model,
+    mode: llm.mode,
+    finishReason: response.finishReason,
+    three: threeRev,
+    promptTemplate: describeTemplate(promptTemplate, projectRoot),
+    inputs: {
+      'game description': hashText(game.description || ''),
+      'assets.json': hashFile(assetsJsonPath),
+      'Preview.jpg': hashFile(previewPath),
+      'concept image': hashFile(conceptPath)
+    },
+    prompt
   });
-});
+  fs.writeFileSync(lintReportPath, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    document: 'docs/prd.md',
+    provider: llm.provider,
+    model: llm.model,
+    ok: lint.ok,
+    attempts,
+    sections: lint.sections,
+    assets: lint.assets,
+    extraSections: lint.extraSections
+  }, null, 2));
+  
+  console.log('PRD generated successfully!');
+  console.log('Output:', outputPath);
+  console.log('Length:', prdContent.length, 'characters');
+  console.log(`Version: ${version.id} (history: node scripts/docs-history.js list prd)`);
+  
+  const passed = lint.sections.length - failures(lint).length;
+  if (lint.ok) {
+    console.log(`✓ Lint: ${passed}/${lint.sections.length} sections OK`);
+  } else {
+    console.log(`⚠ Lint: ${passed}/${lint.sections.length} sections OK; still failing: ${describe(failures(lint))}`);
+  }
+  console.log('Lint report:', lintReportPath);
+}
 
-req.on('error', (err) => {
-  console.error('Request error:', err.message);
+main().catch((err) => {
+  console.error(err.message);
+  if (err.raw) console.error('Raw response:', err.raw);
   process.exit(1);
 });
-
-req.write(requestBody);
-req.end();
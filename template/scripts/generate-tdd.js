@@ -3,14 +3,22 @@
 /**
  * TDD Generation Script
  * 
- * Uses OpenAI API (GPT-4o) to generate a Technical Design Document
- * based on the PRD, assets, and concept mockup.
+ * Uses the configured LLM provider (see llm-provider.js) to generate a
+ * Technical Design Document based on the PRD, assets, and concept mockup.
+ * The code blocks of the result are then checked with check-tdd.js
+ * (syntax and three API references; report in docs/tdd-check.json).
+ *
+ * The previous document is kept in docs/history/ with the model, input
+ * hashes and prompt of each version (see history-store.js, docs-history.js).
  * 
  * Usage:
- *   node generate-tdd.js
+ *   node generate-tdd.js [--mock | --record]
+ * 
+ *   --mock     Replay recorded/canned responses, no network (see fixtures.js)
+ *   --record   Save the live response to fixtures/ for later replay
  * 
  * Requires:
- *   - config.json with openai.api_key and game settings
+ *   - config.json with an LLM API key (config.llm) and game settings
  *   - docs/prd.md (run generate-prd.js first)
  *   - public/{game_name}/concept.jpg
  *   - public/assets/{game_name}/assets.json
@@ -18,7 +26,13 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createProvider } = require('./llm-provider');
+const { resolveProviderMode, resolveFixturesDir } = require('./fixtures');
+const { DRACO_DECODER_URL, importMapSnippet, resolveThreeConfig, threeRevision } = require('./vendor-three');
+const { checkTddFile, printResult } = require('./check-tdd');
+const { hashFile, hashDirListing } = require('./pipeline-state');
+const { writeVersioned } = require('./history-store');
+const { loadPrompt, gameVars, describeTemplate } = require('./prompt-templates');
 
 // Load config
 const scriptDir = __dirname;
@@ -31,16 +45,18 @@ if (!fs.existsSync(configPath)) {
 }
 
 const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-const { openai, game } = config;
-
-// Check config first, then env vars
-const apiKey = (openai?.api_key && !openai.api_key.includes('YOUR_'))
-  ? openai.api_key
-  : process.env.OPENAI_API_KEY;
-
-if (!apiKey) {
-  console.error('Error: OpenAI API key not found');
-  console.error('Set OPENAI_API_KEY env var or configure scripts/config.json');
+const { game } = config;
+const threeRev = threeRevision(resolveThreeConfig(config).version);
+
+// Resolve the LLM provider (config.llm, falling back to whichever key is set)
+let llm;
+try {
+  llm = createProvider(config, {
+    mode: resolveProviderMode(config, process.argv.slice(2)),
+    fixturesDir: resolveFixturesDir(config, projectRoot)
+  });
+} catch (err) {
+  console.error('Error:', err.message);
   process.exit(1);
 }
 
@@ -90,176 +106,88 @@ if (fs.existsSync(skillsDir)) {
   }
 }
 
-// Build prompt
-const prompt = `You are creating a Technical Design Document (TDD) for implementing a Three.js game.
-
-Analyze the PRD below and create a TDD that covers ONLY the systems and features specified in the PRD. Do NOT add systems not required by the PRD.
-
-## PRD (Product Requirements Document):
-${prdContent}
-
-## Available Assets (assets.json):
-\`\`\`json
-${assetsJson}
-\`\`\`
-
-## Three.js Skills Reference:
-${skillsContext.substring(0, 30000)}
-
----
-
-Create a Technical Design Document with COMPLETE, RUNNABLE code examples (not pseudocode). Structure as follows:
-
-## 1. Overview
-- Technical stack summary
-- Systems required based on PRD analysis
-
-## 2. Architecture Overview
-- High-level module structure (ASCII diagram)
-- Game state flow diagram
-
-## 3. Core Engine Systems
-Full implementation code for:
-- Renderer setup with letterboxing (from PRD viewport specs)
-- Scene setup with background/fog
-- Camera system appropriate for this game type
-- Lighting system (from PRD visual style)
-- Asset loading with LoadingManager, GLTF loading, fallback primitives
-- Asset manifest (list assets needed based on PRD)
-
-## 4. Game Object System
-Based on the PRD's Game Elements section, implement:
-- Base entity/object class
-- Component classes ONLY for features in the PRD
-- Configuration objects for game entities
-- Factory methods for creating game objects
-
-## 5. Game Systems
-For EACH system mentioned in the PRD's Core Mechanics, include full code:
-- Only implement systems the PRD specifies
-- Each system should be a self-contained class/module
-- Include all methods needed for that system
-
-## 6. Visual Effects System
-Based on PRD's Game Feel section:
-- Effects Manager class
-- Only effects specified in the PRD
-
-## 7. UI System
-From PRD's Game States and UX sections:
-- HTML structure
-- CSS styles
-- HUD elements needed for this game
-- Menu screens (main, pause, game over)
-- Touch controls if PRD specifies mobile support
-
-## 8. Main Game Loop
-- Game State enum (from PRD's Game States)
-- Complete Game class
-- Animation loop
-- Win/lose condition checking (from PRD)
-- HUD updates
-
-## 9. Implementation Phases
-Ordered phases based on system dependencies:
-- Phase name and priority (Critical/Important/Polish)
-- What to implement
-- Dependencies on prior phases
-
-## 10. Performance Considerations
-- Optimizations relevant to this game type
-
-## 11. Testing Checklist
-- All success criteria from PRD as checkboxes
-
-## 12. Appendix
-- Reference tables for values defined in PRD
-
-All code should use Three.js r160 APIs and follow best practices.`;
-
-console.log('Generating TDD with OpenAI API (GPT-5.2)...');
-console.log('Game:', game.name);
-console.log('This may take a minute due to the comprehensive output...');
-
-// OpenAI API request
-const requestBody = JSON.stringify({
-  model: 'gpt-5.2',
-  max_completion_tokens: 128000,
-  messages: [{
-    role: 'user',
-    content: [
-      {
-        type: 'image_url',
-        image_url: {
-          url: `data:${conceptMimeType};base64,${conceptImage}`
-        }
-      },
-      {
-        type: 'text',
-        text: prompt
-      }
-    ]
-  }]
-});
+// Build prompt (prompts/03-tdd-generation.md, see prompt-templates.js)
+let prompt;
+let promptTemplate;
+try {
+  ({ prompt, template: promptTemplate } = loadPrompt('tdd', {
+    game: gameVars(game),
+    prdContent,
+    assetsJson,
+    skillsContext: skillsContext.substring(0, 30000),
+    threeRevision: threeRev,
+    importMap: importMapSnippet(),
+    dracoDecoderUrl: DRACO_DECODER_URL
+  }, { projectRoot, config }));
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
 
-const options = {
-  hostname: 'api.openai.com',
-  port: 443,
-  path: '/v1/chat/completions',
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${apiKey}`
+async function main() {
+  console.log(`Generating TDD with ${llm.label} (${llm.model})...`);
+  console.log('Game:', game.name);
+  console.log('Prompt:', describeTemplate(promptTemplate, projectRoot));
+  console.log('This may take a minute due to the comprehensive output...');
+  
+  const response = await llm.complete({
+    prompt,
+    images: [
+      { mimeType: conceptMimeType, data: conceptImage }
+    ],
+    onChunk: () => process.stdout.write('.'),
+    fixture: 'tdd'
+  });
+  
+  console.log('\n');
+  
+  const tddContent = response.text;
+  
+  if (!tddContent) {
+    console.error('No content in response');
+    console.error('Response:', JSON.stringify(response.raw, null, 2).substring(0, 2000));
+    process.exit(1);
   }
-};
-
-const req = https.request(options, (res) => {
-  let data = '';
   
-  res.on('data', (chunk) => {
-    data += chunk;
-    process.stdout.write('.');
+  // Save TDD (recorded in docs/history/)
+  const version = writeVersioned(projectRoot, outputPath, tddContent, {
+    source: 'generate-tdd',
+    provider: llm.provider,
+    model: llm.model,
+    mode: llm.mode,
+    finishReason: response.finishReason,
+    three: threeRev,
+    promptTemplate: describeTemplate(promptTemplate, projectRoot),
+    inputs: {
+      'prd.md': hashFile(prdPath),
+      'concept image': hashFile(conceptPath),
+      'assets.json': hashFile(assetsJsonPath),
+      'skills': hashDirListing(skillsDir)
+    },
+    prompt
   });
   
-  res.on('end', () => {
-    console.log('\n');
-    
-    try {
-      const response = JSON.parse(data);
-      
-      if (response.error) {
-        console.error('API Error:', response.error.message);
-        process.exit(1);
-      }
-      
-      // Extract text content from OpenAI response
-      const tddContent = response.choices?.[0]?.message?.content || '';
-      
-      if (!tddContent) {
-        console.error('No content in response');
-        console.error('Response:', JSON.stringify(response, null, 2).substring(0, 2000));
-        process.exit(1);
-      }
-      
-      // Save TDD
-      fs.writeFileSync(outputPath, tddContent);
-      
-      console.log('TDD generated successfully!');
-      console.log('Output:', outputPath);
-      console.log('Length:', tddContent.length, 'characters');
-      
-    } catch (err) {
-      console.error('Error parsing response:', err.message);
-      console.error('Raw response:', data.substring(0, 1000));
-      process.exit(1);
+  console.log('TDD generated successfully!');
+  console.log('Output:', outputPath);
+  console.log('Length:', tddContent.length, 'characters');
+  console.log(`Version: ${version.id} (history: node scripts/docs-history.js list tdd)`);
+  
+  // Check the code blocks; problems are reported, not fatal
+  console.log('\nChecking code blocks...');
+  try {
+    const result = checkTddFile({ projectRoot, tddPath: outputPath, config });
+    printResult(result, 'docs/tdd.md');
+    console.log('Report:', result.reportPath);
+    if (result.summary.failed > 0) {
+      console.log('Fix the TDD (or regenerate it) before implementing from it; re-check with: node scripts/check-tdd.js');
     }
-  });
-});
+  } catch (err) {
+    console.log(`⚠ Code check skipped: ${err.message}`);
+  }
+}
 
-req.on('error', (err) => {
-  console.error('Request error:', err.message);
+main().catch((err) => {
+  console.error(err.message);
+  if (err.raw) console.error('Raw response:', err.raw);
   process.exit(1);
 });
-
-req.write(requestBody);
-req.end();
@@ -0,0 +1,252 @@
+/**
+ * glTF Utilities
+ *
+ * Reads .gltf (JSON) and .glb (binary container) files and summarizes their
+ * contents without any third-party dependency. Used by
+ * generate-assets-json.js to add per-model metadata to assets.json.
+ */
+
+const fs = require('fs');
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const CHUNK_BIN = 0x004e4942; // 'BIN\0'
+
+// Primitive modes
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+// Divisors for normalized integer accessors
+const NORMALIZED_MAX = {
+  5120: 127, // BYTE
+  5121: 255, // UNSIGNED_BYTE
+  5122: 32767, // SHORT
+  5123: 65535 // UNSIGNED_SHORT
+};
+
+/**
+ * Parse a .gltf or .glb file.
+ * Returns { json, bin, isGlb } where bin is the GLB binary chunk (or null).
+ */
+function readGltf(filePath) {
+  const data = fs.readFileSync(filePath);
+
+  if (data.length >= 12 && data.readUInt32LE(0) === GLB_MAGIC) {
+    const version = data.readUInt32LE(4);
+    if (version !== 2) throw new Error(`Unsupported GLB version ${version}`);
+
+    const length = Math.min(data.readUInt32LE(8), data.length);
+    let offset = 12;
+    let json = null;
+    let bin = null;
+
+    while (offset + 8 <= length) {
+      const chunkLength = data.readUInt32LE(offset);
+      const chunkType = data.readUInt32LE(offset + 4);
+      const chunk = data.subarray(offset + 8, offset + 8 + chunkLength);
+
+      if (chunkType === CHUNK_JSON && !json) json = JSON.parse(chunk.toString('utf-8'));
+      else if (chunkType === CHUNK_BIN && !bin) bin = chunk;
+
+      offset += 8 + chunkLength;
+    }
+
+    if (!json) throw new Error('GLB has no JSON chunk');
+    return { json, bin, isGlb: true };
+  }
+
+  return { json: JSON.parse(data.toString('utf-8')), bin: null, isGlb: false };
+}
+
+// 4x4 column-major matrix helpers
+function identity() {
+  return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+}
+
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+function composeTRS(t = [0, 0, 0], r = [0, 0, 0, 1], s = [1, 1, 1]) {
+  const [x, y, z, w] = r;
+  const x2 = x + x, y2 = y + y, z2 = z + z;
+  const xx = x * x2, xy = x * y2, xz = x * z2;
+  const yy = y * y2, yz = y * z2, zz = z * z2;
+  const wx = w * x2, wy = w * y2, wz = w * z2;
+
+  return [
+    (1 - (yy + zz)) * s[0], (xy + wz) * s[0], (xz - wy) * s[0], 0,
+    (xy - wz) * s[1], (1 - (xx + zz)) * s[1], (yz + wx) * s[1], 0,
+    (xz + wy) * s[2], (yz - wx) * s[2], (1 - (xx + yy)) * s[2], 0,
+    t[0], t[1], t[2], 1
+  ];
+}
+
+function nodeMatrix(node) {
+  if (Array.isArray(node.matrix) && node.matrix.length === 16) return node.matrix;
+  return composeTRS(node.translation, node.rotation, node.scale);
+}
+
+function transformPoint(m, p) {
+  return [
+    m[0] * p[0] + m[4] * p[1] + m[8] * p[2] + m[12],
+    m[1] * p[0] + m[5] * p[1] + m[9] * p[2] + m[13],
+    m[2] * p[0] + m[6] * p[1] + m[10] * p[2] + m[14]
+  ];
+}
+
+// Accessor min/max as floats (undoing normalization)
+function accessorRange(accessor) {
+  if (!accessor || !Array.isArray(accessor.min) || !Array.isArray(accessor.max)) return null;
+  const divisor = accessor.normalized ? NORMALIZED_MAX[accessor.componentType] || 1 : 1;
+  return {
+    min: accessor.min.map(v => v / divisor),
+    max: accessor.max.map(v => v / divisor)
+  };
+}
+
+function primitiveTriangles(json, primitive) {
+  const mode = primitive.mode ?? MODE_TRIANGLES;
+  const indices = primitive.indices !== undefined ? json.accessors?.[primitive.indices] : null;
+  const position = json.accessors?.[primitive.attributes?.POSITION];
+  const count = (indices || position)?.count || 0;
+
+  if (mode === MODE_TRIANGLES) return Math.floor(count / 3);
+  if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) return Math.max(0, count - 2);
+  return 0;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Walk the default scene (or every root node when there are no scenes) and
+ * call visit(node, worldMatrix, depth) for each node instance.
+ */
+function traverseScene(json, visit) {
+  const nodes = json.nodes || [];
+  let roots;
+
+  if (json.scenes?.length) {
+    roots = json.scenes[json.scene ?? 0]?.nodes || [];
+  } else {
+    const children = new Set(nodes.flatMap(n => n.children || []));
+    roots = nodes.map((_, i) => i).filter(i => !children.has(i));
+  }
+
+  const walk = (index, parentMatrix, depth, seen) => {
+    const node = nodes[index];
+    if (!node || seen.has(index)) return;
+    const world = multiply(parentMatrix, nodeMatrix(node));
+    visit(node, world, depth);
+    const nextSeen = new Set(seen).add(index);
+    for (const child of node.children || []) walk(child, world, depth + 1, nextSeen);
+  };
+
+  for (const root of roots) walk(root, identity(), 1, new Set());
+}
+
+/**
+ * Summarize a parsed glTF document.
+ *
+ * Triangle and vertex counts and the bounding box follow the node hierarchy
+ * of the default scene, so an instanced mesh counts once per instance and
+ * the box is in model space. Meshes outside any scene are counted once.
+ */
+function inspectGltf(json) {
+  const meshes = json.meshes || [];
+  const accessors = json.accessors || [];
+
+  let triangles = 0;
+  let vertices = 0;
+  let maxDepth = 0;
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const instancedMeshes = new Set();
+
+  const addMesh = (mesh, matrix) => {
+    for (const primitive of mesh.primitives || []) {
+      triangles += primitiveTriangles(json, primitive);
+      const position = accessors[primitive.attributes?.POSITION];
+      vertices += position?.count || 0;
+
+      const range = accessorRange(position);
+      if (!range) continue;
+
+      // Transform all 8 corners of the local box into model space
+      for (let i = 0; i < 8; i++) {
+        const corner = [
+          i & 1 ? range.max[0] : range.min[0],
+          i & 2 ? range.max[1] : range.min[1],
+          i & 4 ? range.max[2] : range.min[2]
+        ];
+        const p = transformPoint(matrix, corner);
+        for (let axis = 0; axis < 3; axis++) {
+          min[axis] = Math.min(min[axis], p[axis]);
+          max[axis] = Math.max(max[axis], p[axis]);
+        }
+      }
+    }
+  };
+
+  traverseScene(json, (node, world, depth) => {
+    maxDepth = Math.max(maxDepth, depth);
+    if (node.mesh !== undefined && meshes[node.mesh]) {
+      instancedMeshes.add(node.mesh);
+      addMesh(meshes[node.mesh], world);
+    }
+  });
+
+  meshes.forEach((mesh, index) => {
+    if (!instancedMeshes.has(index)) addMesh(mesh, identity());
+  });
+
+  const primitives = meshes.reduce((sum, mesh) => sum + (mesh.primitives?.length || 0), 0);
+
+  const animations = (json.animations || []).map((animation, index) => {
+    const duration = (animation.samplers || []).reduce((longest, sampler) => {
+      const input = accessors[sampler.input];
+      return Math.max(longest, input?.max?.[0] ?? 0);
+    }, 0);
+    return { name: animation.name || `animation_${index}`, duration: round(duration) };
+  });
+
+  const textures = (json.images || []).map((image, index) => {
+    if (image.uri && !image.uri.startsWith('data:')) return image.uri;
+    return image.name || `embedded_image_${index}${image.mimeType ? ` (${image.mimeType})` : ''}`;
+  });
+
+  const bounds = Number.isFinite(min[0])
+    ? {
+        min: min.map(round),
+        max: max.map(round),
+        size: max.map((v, i) => round(v - min[i]))
+      }
+    : null;
+
+  return {
+    meshes: meshes.length,
+    primitives,
+    triangles,
+    vertices,
+    materials: (json.materials || []).map((m, i) => m.name || `material_${i}`),
+    textures,
+    animations,
+    skins: (json.skins || []).length,
+    nodes: (json.nodes || []).length,
+    nodeDepth: maxDepth,
+    bounds
+  };
+}
+
+module.exports = { readGltf, inspectGltf, traverseScene };
@@ -0,0 +1,170 @@
+/**
+ * Document History Store
+ *
+ * Versions of the design documents (docs/prd.md, docs/tdd.md, plans/*.md),
+ * kept in docs/history/<document>/ so a regeneration or revision can be
+ * rolled back:
+ *
+ *   docs/history/prd/2026-01-30T12-00-00-000Z.md         the document
+ *   docs/history/prd/2026-01-30T12-00-00-000Z.json       how it was made
+ *   docs/history/prd/2026-01-30T12-00-00-000Z.prompt.md  the full prompt
+ *
+ * The .json sidecar holds the source (generate-prd, revise, restore...),
+ * provider and model, and the hashes of the generator's inputs.
+ *
+ * writeVersioned() replaces fs.writeFileSync() for these documents. If the
+ * current file isn't the latest recorded version (never recorded, or edited
+ * by hand since), it is archived first so nothing is lost. docs-history.js
+ * lists, diffs and restores versions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashText } = require('./pipeline-state');
+
+// Path of a document kind: 'prd', 'tdd' or 'plan' (planName, else the newest plan)
+function documentPath(projectRoot, doc, planName) {
+  if (doc === 'prd' || doc === 'tdd') return path.join(projectRoot, 'docs', `${doc}.md`);
+  if (doc !== 'plan') return null;
+
+  const plansDir = path.join(projectRoot, 'plans');
+  if (planName) return path.join(plansDir, `${planName.replace(/\.md$/, '')}.md`);
+  if (!fs.existsSync(plansDir)) return null;
+  const plans = fs.readdirSync(plansDir)
+    .filter(f => f.endsWith('.md'))
+    .map(f => path.join(plansDir, f))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return plans[0] || null;
+}
+
+// docs/prd.md -> "prd", plans/my-plan.md -> "plans-my-plan"
+function documentKey(projectRoot, docPath) {
+  const relativePath = path.relative(projectRoot, docPath).replace(/\\/g, '/').replace(/\.md$/, '');
+  return relativePath.startsWith('docs/') ? relativePath.slice('docs/'.length).replace(/\//g, '-') : relativePath.replace(/\//g, '-');
+}
+
+function historyDir(projectRoot, docPath) {
+  return path.join(projectRoot, 'docs', 'history', documentKey(projectRoot, docPath));
+}
+
+// Unique, sortable version id from the current time
+function versionId(dir) {
+  const base = new Date().toISOString().replace(/[:.]/g, '-');
+  let id = base;
+  for (let n = 2; fs.existsSync(path.join(dir, `${id}.md`)); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Time order; "<time>-2" was saved after "<time>" in the same millisecond
+function compareIds(a, b) {
+  const [, timeA, nA] = /^(.*?Z)(?:-(\d+))?$/.exec(a) || [null, a, '1'];
+  const [, timeB, nB] = /^(.*?Z)(?:-(\d+))?$/.exec(b) || [null, b, '1'];
+  return timeA.localeCompare(timeB) || Number(nA || 1) - Number(nB || 1);
+}
+
+/**
+ * Recorded versions of a document, oldest first.
+ * Returns [{ id, path, meta }].
+ */
+function listVersions(projectRoot, docPath) {
+  const dir = historyDir(projectRoot, docPath);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.md') && !f.endsWith('.prompt.md'))
+    .map(f => f.replace(/\.md$/, ''))
+    .sort(compareIds)
+    .map((id) => {
+      const metaPath = path.join(dir, `${id}.json`);
+      const meta = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf-8')) : {};
+      return { id, path: path.join(dir, `${id}.md`), meta };
+    });
+}
+
+function recordVersion(projectRoot, docPath, content, { prompt, ...meta }) {
+  const dir = historyDir(projectRoot, docPath);
+  fs.mkdirSync(dir, { recursive: true });
+  const id = versionId(dir);
+  const record = {
+    document: path.relative(projectRoot, docPath).replace(/\\/g, '/'),
+    savedAt: new Date().toISOString(),
+    hash: hashText(content),
+    ...meta
+  };
+  // Prompts embed assets.json and skill docs; keep them out of the sidecar
+  if (prompt) {
+    record.prompt = { file: `${id}.prompt.md`, hash: hashText(prompt) };
+    fs.writeFileSync(path.join(dir, record.prompt.file), prompt);
+  }
+  fs.writeFileSync(path.join(dir, `${id}.md`), content);
+  fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2));
+  return { id, path: path.join(dir, `${id}.md`), meta: record };
+}
+
+/**
+ * Write a document and record it as a new version.
+ * meta describes where the content came from, e.g. { source: 'generate-prd',
+ * provider, model, inputs, prompt }; prompt is stored in its own file.
+ * Returns the new version.
+ */
+function writeVersioned(projectRoot, docPath, content, meta = {}) {
+  if (fs.existsSync(docPath)) {
+    const current = fs.readFileSync(docPath, 'utf-8');
+    const versions = listVersions(projectRoot, docPath);
+    const latest = versions[versions.length - 1];
+    if (!latest || latest.meta.hash !== hashText(current)) {
+      recordVersion(projectRoot, docPath, current, { source: latest ? 'edited' : 'untracked' });
+    }
+  }
+
+  fs.mkdirSync(path.dirname(docPath), { recursive: true });
+  fs.writeFileSync(docPath, content);
+  return recordVersion(projectRoot, docPath, content, meta);
+}
+
+/**
+ * Find a version by list number (1 = oldest), id, or unique id prefix.
+ * Returns the version or throws.
+ */
+function findVersion(versions, ref) {
+  const text = String(ref);
+  if (/^\d+$/.test(text) && Number(text) >= 1 && Number(text) <= versions.length) {
+    return versions[Number(text) - 1];
+  }
+  const matches = versions.filter(v => v.id === text || v.id.startsWith(text));
+  const exact = matches.find(v => v.id === text);
+  if (exact || matches.length === 1) return exact || matches[0];
+  throw new Error(matches.length > 1 ? `"${text}" matches ${matches.length} versions` : `No version "${text}"`);
+}
+
+// The full prompt a version was generated from, or null
+function readPrompt(version) {
+  if (!version.meta.prompt) return null;
+  const promptPath = path.join(path.dirname(version.path), version.meta.prompt.file);
+  return fs.existsSync(promptPath) ? fs.readFileSync(promptPath, 'utf-8') : null;
+}
+
+/**
+ * Put an old version back (recorded as a new version, so it can be undone
+ * too). Returns the new version.
+ */
+function restoreVersion(projectRoot, docPath, id) {
+  const version = listVersions(projectRoot, docPath).find(v => v.id === id);
+  if (!version) {
+    throw new Error(`No version ${id} of ${path.relative(projectRoot, docPath)}`);
+  }
+  return writeVersioned(projectRoot, docPath, fs.readFileSync(version.path, 'utf-8'), {
+    source: 'restore',
+    restoredFrom: id
+  });
+}
+
+module.exports = {
+  documentPath,
+  documentKey,
+  historyDir,
+  listVersions,
+  findVersion,
+  readPrompt,
+  writeVersioned,
+  restoreVersion
+};
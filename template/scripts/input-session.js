@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Input Sessions
+ *
+ * Captures the keyboard, mouse and wheel input of a manual play session
+ * (play-game.js) and turns it back into a scenario that test-game.js can
+ * replay headlessly (see scenarios.js).
+ *
+ * Session format (artifacts/game-testing/sessions/session-<time>.json):
+ *   {
+ *     "version": 1,
+ *     "url": "http://127.0.0.1:51234/",
+ *     "startedAt": "2026-01-30T00:00:00.000Z",
+ *     "canvas": { "width": 1280, "height": 720 },
+ *     "events": [
+ *       { "t": 840, "type": "load" },
+ *       { "t": 1520, "type": "keydown", "key": "KeyW" },
+ *       { "t": 1910, "type": "keyup", "key": "KeyW" },
+ *       { "t": 2300, "type": "mousedown", "x": 412, "y": 300, "button": "left" },
+ *       { "t": 2400, "type": "mark", "name": "mark-1" }
+ *     ]
+ *   }
+ *
+ * t is milliseconds since the session started; x/y are canvas pixels.
+ * Pressing F8 while playing adds a "mark", which becomes a screenshot on
+ * replay.
+ *
+ * Usage (turn a session into an editable scenario, e.g. to add assertions):
+ *   node scripts/input-session.js <session.json> [scenarios/<name>.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_VERSION = 1;
+const MARK_KEY = 'F8';
+const MOUSEMOVE_INTERVAL_MS = 16;
+
+/**
+ * Init script run in every page of the play session. Reports input events
+ * through the window.__recordInput binding (exposed by play-game.js).
+ */
+function captureScript({ markKey, moveIntervalMs }) {
+  const buttons = ['left', 'middle', 'right'];
+  let lastMove = 0;
+
+  const canvasPoint = (event) => {
+    const canvas = document.querySelector('canvas');
+    const rect = canvas ? canvas.getBoundingClientRect() : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    return {
+      x: Math.round(event.clientX - rect.left),
+      y: Math.round(event.clientY - rect.top),
+      canvas: { width: Math.round(rect.width), height: Math.round(rect.height) }
+    };
+  };
+
+  const send = (event) => {
+    if (typeof window.__recordInput !== 'function') return;
+    window.__recordInput({ time: performance.timeOrigin + performance.now(), ...event });
+  };
+
+  window.addEventListener('load', () => send({ type: 'load' }));
+
+  window.addEventListener('keydown', (event) => {
+    if (event.repeat) return;
+    if (event.code === markKey) {
+      send({ type: 'mark' });
+      return;
+    }
+    send({ type: 'keydown', key: event.code || event.key });
+  }, true);
+
+  window.addEventListener('keyup', (event) => {
+    if (event.code === markKey) return;
+    send({ type: 'keyup', key: event.code || event.key });
+  }, true);
+
+  window.addEventListener('mousedown', (event) => {
+    send({ type: 'mousedown', button: buttons[event.button] || 'left', ...canvasPoint(event) });
+  }, true);
+
+  window.addEventListener('mouseup', (event) => {
+    send({ type: 'mouseup', button: buttons[event.button] || 'left', ...canvasPoint(event) });
+  }, true);
+
+  window.addEventListener('mousemove', (event) => {
+    if (event.timeStamp - lastMove < moveIntervalMs) return;
+    lastMove = event.timeStamp;
+    send({ type: 'mousemove', ...canvasPoint(event) });
+  }, true);
+
+  window.addEventListener('wheel', (event) => {
+    send({ type: 'wheel', deltaX: Math.round(event.deltaX), deltaY: Math.round(event.deltaY) });
+  }, true);
+}
+
+/**
+ * Start capturing input for every page in a Playwright context.
+ * Returns a recorder with save(sessionPath, { url }) and eventCount().
+ */
+async function startCapture(context) {
+  const startedAt = Date.now();
+  const events = [];
+  let canvas = null;
+  let marks = 0;
+
+  await context.exposeBinding('__recordInput', (source, event) => {
+    const { time, canvas: canvasSize, ...rest } = event;
+    if (canvasSize) canvas = canvasSize;
+    // Numbered here so marks stay unique across page reloads
+    if (rest.type === 'mark') rest.name = `mark-${++marks}`;
+    events.push({ t: Math.max(0, Math.round(time - startedAt)), ...rest });
+  });
+  await context.addInitScript(captureScript, { markKey: MARK_KEY, moveIntervalMs: MOUSEMOVE_INTERVAL_MS });
+
+  return {
+    eventCount: () => events.length,
+    save(sessionPath, { url } = {}) {
+      fs.mkdirSync(path.dirname(sessionPath), { recursive: true });
+      const session = {
+        version: SESSION_VERSION,
+        url: url || null,
+        startedAt: new Date(startedAt).toISOString(),
+        canvas,
+        events: [...events].sort((a, b) => a.t - b.t)
+      };
+      fs.writeFileSync(sessionPath, JSON.stringify(session, null, 2));
+      return session;
+    }
+  };
+}
+
+function loadSession(sessionPath) {
+  const session = JSON.parse(fs.readFileSync(sessionPath, 'utf-8'));
+  if (session.version !== SESSION_VERSION || !Array.isArray(session.events)) {
+    throw new Error(`${path.basename(sessionPath)}: not a version ${SESSION_VERSION} session file`);
+  }
+  return session;
+}
+
+/**
+ * Convert a session into a scenario: the recorded gaps become waits, marks
+ * become screenshots, and a final screenshot is taken at the end. Timing
+ * starts at the first page load, since the replay starts once the game has
+ * loaded.
+ */
+function sessionToScenario(session, { name } = {}) {
+  const steps = [];
+  const firstLoad = session.events.find(event => event.type === 'load');
+  let clock = firstLoad ? firstLoad.t : 0;
+
+  for (const event of session.events) {
+    if (event.type === 'load' || event.t < clock) continue;
+
+    const gap = event.t - clock;
+    if (gap > 0) steps.push({ action: 'wait', ms: gap });
+    clock = Math.max(clock, event.t);
+
+    switch (event.type) {
+      case 'keydown':
+      case 'keyup':
+        steps.push({ action: event.type, key: event.key });
+        break;
+      case 'mousedown':
+      case 'mouseup':
+        steps.push({ action: event.type, x: event.x, y: event.y, button: event.button });
+        break;
+      case 'mousemove':
+        steps.push({ action: 'move', x: event.x, y: event.y });
+        break;
+      case 'wheel':
+        steps.push({ action: 'wheel', deltaX: event.deltaX, deltaY: event.deltaY });
+        break;
+      case 'mark':
+        steps.push({ action: 'screenshot', name: event.name });
+        break;
+    }
+  }
+
+  steps.push({ action: 'screenshot', name: 'end' });
+
+  return {
+    name: name || `Replay ${session.startedAt}`,
+    canvas: session.canvas || undefined,
+    steps
+  };
+}
+
+function main() {
+  const [sessionArg, outputArg] = process.argv.slice(2).filter(a => !a.startsWith('--'));
+
+  if (!sessionArg) {
+    console.log('Usage: node scripts/input-session.js <session.json> [scenarios/<name>.json]');
+    process.exit(1);
+  }
+
+  const sessionPath = path.resolve(process.cwd(), sessionArg);
+  const name = path.basename(outputArg || sessionPath, '.json');
+  const outputPath = outputArg
+    ? path.resolve(process.cwd(), outputArg)
+    : path.join(__dirname, '..', 'scenarios', `${name}.json`);
+
+  const scenario = sessionToScenario(loadSession(sessionPath), { name });
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(scenario, null, 2));
+
+  console.log(`✓ Wrote ${scenario.steps.length} steps to ${outputPath}`);
+  console.log('  Add "assert" steps where the bug showed up, then run: node scripts/test-game.js');
+}
+
+// Export for use as module
+module.exports = {
+  MARK_KEY,
+  startCapture,
+  loadSession,
+  sessionToScenario
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
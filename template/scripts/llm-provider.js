@@ -0,0 +1,303 @@
+/**
+ * LLM Provider Layer
+ *
+ * Shared by generate-prd.js, generate-tdd.js and generate-plan.js. Picks an
+ * adapter from config.llm.provider and sends a single prompt (plus optional
+ * images) to it.
+ *
+ * Providers:
+ *   openai             OpenAI chat completions (api.openai.com)
+ *   anthropic          Anthropic messages API (api.anthropic.com)
+ *   openai-compatible  Any server speaking the chat completions protocol
+ *                      (llama.cpp, Ollama, vLLM, LM Studio...) at llm.base_url
+ *
+ * Config (scripts/config.json):
+ *   "llm": {
+ *     "provider": "anthropic",
+ *     "model": "claude-sonnet-4-5",
+ *     "base_url": "http://127.0.0.1:8080/v1",   // openai-compatible only
+ *     "max_tokens": 32000,                       // optional
+ *     "timeout_ms": 600000                       // optional, per request
+ *   }
+ *
+ * API keys are read from llm.api_key, then the provider's own section
+ * (openai.api_key / anthropic.api_key), then OPENAI_API_KEY /
+ * ANTHROPIC_API_KEY.
+ *
+ * In record/replay mode (see fixtures.js) responses are saved to or served
+ * from the fixtures directory instead.
+ */
+
+const http = require('http');
+const https = require('https');
+const { readTextFixture, writeTextFixture, cannedText } = require('./fixtures');
+
+// Responses aren't streamed, so this covers the whole generation
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    defaultModel: 'gpt-5.2',
+    defaultMaxTokens: 128000,
+    baseUrl: 'https://api.openai.com/v1',
+    configKey: 'openai',
+    envKey: 'OPENAI_API_KEY',
+    requiresKey: true
+  },
+  anthropic: {
+    label: 'Anthropic',
+    defaultModel: 'claude-sonnet-4-5',
+    defaultMaxTokens: 32000,
+    baseUrl: 'https://api.anthropic.com/v1',
+    configKey: 'anthropic',
+    envKey: 'ANTHROPIC_API_KEY',
+    requiresKey: true
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible server',
+    defaultModel: 'local-model',
+    defaultMaxTokens: 16000,
+    baseUrl: 'http://127.0.0.1:8080/v1',
+    configKey: 'openai',
+    envKey: 'OPENAI_API_KEY',
+    requiresKey: false
+  }
+};
+
+// Config values still holding the example placeholder count as unset
+function usableKey(value) {
+  return value && !value.includes('YOUR_') ? value : null;
+}
+
+/**
+ * Resolve provider, model, key and endpoint from config.json.
+ * Without llm.provider, falls back to whichever of OpenAI/Anthropic has a key.
+ */
+function resolveLlmSettings(config) {
+  const llm = config.llm || {};
+
+  let provider = llm.provider;
+  if (!provider) {
+    const hasOpenAI = usableKey(config.openai?.api_key) || process.env.OPENAI_API_KEY;
+    const hasAnthropic = usableKey(config.anthropic?.api_key) || process.env.ANTHROPIC_API_KEY;
+    provider = !hasOpenAI && hasAnthropic ? 'anthropic' : 'openai';
+  }
+
+  const spec = PROVIDERS[provider];
+  if (!spec) {
+    throw new Error(`Unknown llm.provider "${provider}". Options: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const apiKey =
+    usableKey(llm.api_key) ||
+    usableKey(config[spec.configKey]?.api_key) ||
+    process.env[spec.envKey] ||
+    null;
+
+  return {
+    provider,
+    label: spec.label,
+    model: llm.model || spec.defaultModel,
+    maxTokens: llm.max_tokens || spec.defaultMaxTokens,
+    timeoutMs: llm.timeout_ms || DEFAULT_TIMEOUT_MS,
+    baseUrl: (llm.base_url || spec.baseUrl).replace(/\/+$/, ''),
+    apiKey,
+    requiresKey: spec.requiresKey,
+    envKey: spec.envKey
+  };
+}
+
+// POST a JSON body and resolve with the parsed JSON response
+function postJson(url, headers, body, { onChunk, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  const payload = JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      hostname: target.hostname,
+      port: target.port || (target.protocol === 'http:' ? 80 : 443),
+      path: target.pathname + target.search,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+        if (onChunk) onChunk(chunk);
+      });
+
+      res.on('end', () => {
+        let response;
+        try {
+          response = JSON.parse(data);
+        } catch (err) {
+          const error = new Error(`Error parsing response (HTTP ${res.statusCode}): ${err.message}`);
+          error.raw = data.substring(0, 1000);
+          reject(error);
+          return;
+        }
+
+        if (response.error) {
+          const error = new Error(`API Error: ${response.error.message || JSON.stringify(response.error)}`);
+          error.raw = data.substring(0, 1000);
+          reject(error);
+          return;
+        }
+
+        resolve(response);
+      });
+    });
+
+    // A stalled server would otherwise hang the pipeline with no error
+    req.setTimeout(timeoutMs, () => {
+      reject(new Error(`Request timed out: no response from ${target.host} in ${Math.round(timeoutMs / 1000)}s (raise llm.timeout_ms in config.json)`));
+      req.destroy();
+    });
+    req.on('error', (err) => reject(new Error(`Request error: ${err.message}`)));
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Chat completions adapter (OpenAI and compatible servers)
+async function completeChat(settings, { prompt, images = [], maxTokens, onChunk }) {
+  const content = [
+    ...images.map(image => ({
+      type: 'image_url',
+      image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+    })),
+    { type: 'text', text: prompt }
+  ];
+
+  const body = {
+    model: settings.model,
+    messages: [{
+      role: 'user',
+      content: images.length > 0 ? content : prompt
+    }]
+  };
+
+  // OpenAI renamed max_tokens for reasoning models; local servers only know the old name
+  if (settings.provider === 'openai') body.max_completion_tokens = maxTokens || settings.maxTokens;
+  else body.max_tokens = maxTokens || settings.maxTokens;
+
+  const headers = settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {};
+  const response = await postJson(`${settings.baseUrl}/chat/completions`, headers, body, { onChunk, timeoutMs: settings.timeoutMs });
+
+  const choice = response.choices?.[0];
+  return {
+    text: choice?.message?.content || '',
+    finishReason: choice?.finish_reason || null,
+    raw: response
+  };
+}
+
+// Anthropic messages adapter
+async function completeAnthropic(settings, { prompt, images = [], maxTokens, onChunk }) {
+  const body = {
+    model: settings.model,
+    max_tokens: maxTokens || settings.maxTokens,
+    messages: [{
+      role: 'user',
+      content: [
+        ...images.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mimeType, data: image.data }
+        })),
+        { type: 'text', text: prompt }
+      ]
+    }]
+  };
+
+  const headers = {
+    'x-api-key': settings.apiKey,
+    'anthropic-version': '2023-06-01'
+  };
+  const response = await postJson(`${settings.baseUrl}/messages`, headers, body, { onChunk, timeoutMs: settings.timeoutMs });
+
+  const text = (response.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+
+  return {
+    text,
+    finishReason: response.stop_reason === 'max_tokens' ? 'length' : (response.stop_reason || null),
+    raw: response
+  };
+}
+
+// Serve a request from the fixtures dir, falling back to request.canned or a
+// document built from the prompt's outline
+function replayFixture(fixturesDir, request) {
+  const fixture = request.fixture ? readTextFixture(fixturesDir, request.fixture) : null;
+  if (fixture) {
+    return { text: fixture.text, finishReason: fixture.finishReason || 'stop', raw: fixture };
+  }
+  const text = request.canned !== undefined ? request.canned : cannedText(request.fixture || 'response', request.prompt);
+  return { text, finishReason: 'stop', raw: { canned: true } };
+}
+
+/**
+ * Create a provider from config.json.
+ *
+ * Returns { provider, label, model, mode, complete(request) } where request
+ * is { prompt, images?: [{ mimeType, data }], maxTokens?, onChunk?, fixture?, canned? }
+ * and complete() resolves with { text, finishReason, raw }. finishReason is
+ * normalized so that 'length' always means the output was truncated.
+ *
+ * options.mode is 'live' (default), 'record' or 'replay'; request.fixture
+ * names the recording (e.g. 'prd') used in the latter two. In replay mode
+ * with no recording, request.canned is returned if given, otherwise a
+ * document with the headings of the prompt's outline (see cannedText).
+ */
+function createProvider(config, { mode = 'live', fixturesDir = null } = {}) {
+  const settings = resolveLlmSettings(config);
+
+  if (mode === 'replay') {
+    return {
+      provider: settings.provider,
+      label: `${settings.label} (replay)`,
+      model: settings.model,
+      mode,
+      complete: async (request) => replayFixture(fixturesDir, request)
+    };
+  }
+
+  if (settings.requiresKey && !settings.apiKey) {
+    throw new Error(
+      `${settings.label} API key not found. ` +
+      `Set ${settings.envKey} env var or configure scripts/config.json`
+    );
+  }
+
+  const complete = settings.provider === 'anthropic' ? completeAnthropic : completeChat;
+
+  return {
+    provider: settings.provider,
+    label: settings.label,
+    model: settings.model,
+    mode,
+    complete: async (request) => {
+      const response = await complete(settings, request);
+      if (mode === 'record' && request.fixture) {
+        writeTextFixture(fixturesDir, request.fixture, {
+          provider: settings.provider,
+          model: settings.model,
+          finishReason: response.finishReason,
+          text: response.text
+        });
+      }
+      return response;
+    }
+  };
+}
+
+module.exports = { PROVIDERS, resolveLlmSettings, createProvider };
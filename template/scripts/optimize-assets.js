@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+
+/**
+ * Texture Optimizer
+ *
+ * Shrinks the textures of a game's asset folder (sharp):
+ *
+ *   - Resizes PNG/JPEG/WebP textures larger than --max-size (longest side)
+ *   - Converts textures used by .gltf models to WebP and rewrites the
+ *     models to reference them (EXT_texture_webp, supported by three.js
+ *     GLTFLoader). Normal maps are encoded lossless.
+ *   - Moves every original it replaces to backups/assets/<game>/<run>/
+ *
+ * Textures also referenced from the game's own code (public/*.html, *.js)
+ * keep their format, so those paths don't break. Textures embedded in .glb
+ * files are left alone. A file is only replaced when the result is smaller.
+ *
+ * Usage:
+ *   node optimize-assets.js [game_name] [options]
+ *   node optimize-assets.js medieval --max-size=1024 --quality=80
+ *   node optimize-assets.js medieval --dry-run
+ *   node optimize-assets.js medieval --restore     # undo the last run
+ *
+ * game_name defaults to config.json game.name. assets.json is regenerated
+ * afterwards so it lists the new files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readGltf } = require('./gltf-utils');
+
+// Sharp for image processing
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (e) {
+  // Reported in main()
+}
+
+const TEXTURE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+// Pack previews feed mockup generation; never touch them
+const PREVIEW_PATTERN = /^(preview|content)\.(png|jpe?g)$/i;
+const WEBP_EXTENSION = 'EXT_texture_webp';
+
+function parseArgs(argv) {
+  const args = {
+    gameName: null,
+    maxSize: 2048,
+    quality: 85,
+    webp: true,
+    dryRun: false,
+    restore: false
+  };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--max-size=')) args.maxSize = Number(arg.split('=').slice(1).join('='));
+    else if (arg.startsWith('--quality=')) args.quality = Number(arg.split('=').slice(1).join('='));
+    else if (arg === '--no-webp') args.webp = false;
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--restore') args.restore = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!arg.startsWith('--')) args.gameName = arg;
+  }
+
+  // Checked here so a typo can't reach sharp as NaN or a zero-pixel resize
+  args.invalid = [];
+  if (!Number.isInteger(args.maxSize) || args.maxSize < 1) {
+    args.invalid.push('--max-size must be a positive whole number of pixels');
+  }
+  if (!Number.isInteger(args.quality) || args.quality < 1 || args.quality > 100) {
+    args.invalid.push('--quality must be a whole number from 1 to 100');
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+Texture Optimizer
+
+Usage:
+  node scripts/optimize-assets.js [game_name] [options]
+
+Options:
+  --max-size=PX      Longest texture side after resizing (default: 2048)
+  --quality=N        WebP/JPEG quality, 1-100 (default: 85)
+  --no-webp          Resize only; keep every texture's format
+  --dry-run          Report the savings without changing any file
+  --restore          Put back the originals from the last run
+`);
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function toPosix(p) {
+  return p.replace(/\\/g, '/');
+}
+
+function walkFiles(dir, skip = []) {
+  const files = [];
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (item.name.startsWith('.') || skip.includes(item.name)) continue;
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) files.push(...walkFiles(fullPath, skip));
+    else files.push(fullPath);
+  }
+  return files;
+}
+
+// Game code outside assets/ and vendor/ (anything that could name a texture)
+function readGameCode(publicDir) {
+  return walkFiles(publicDir, ['assets', 'vendor'])
+    .filter(file => ['.html', '.js', '.mjs', '.css', '.json'].includes(path.extname(file).toLowerCase()))
+    .map(file => fs.readFileSync(file, 'utf-8'))
+    .join('\n');
+}
+
+/**
+ * Map each texture file to the .gltf models (and image indices) using it.
+ * Returns Map<absolute texture path, { refs: [{ model, imageIndex }], normalMap }>.
+ */
+function textureReferences(models) {
+  const references = new Map();
+
+  for (const model of models) {
+    let json;
+    try {
+      json = readGltf(model).json;
+    } catch (err) {
+      continue;
+    }
+
+    // Images used as normal maps (lossy compression shows up in lighting)
+    const normalImages = new Set();
+    for (const material of json.materials || []) {
+      const texture = material.normalTexture ? (json.textures || [])[material.normalTexture.index] : null;
+      if (texture && texture.source !== undefined) normalImages.add(texture.source);
+    }
+
+    (json.images || []).forEach((image, imageIndex) => {
+      if (typeof image.uri !== 'string' || /^[a-z][a-z0-9+.-]*:/i.test(image.uri)) return;
+      let uri = image.uri;
+      try {
+        uri = decodeURIComponent(uri);
+      } catch (err) {
+        // Keep the raw uri
+      }
+      const texturePath = path.resolve(path.dirname(model), uri);
+      const entry = references.get(texturePath) || { refs: [], normalMap: false };
+      entry.refs.push({ model, imageIndex });
+      entry.normalMap = entry.normalMap || normalImages.has(imageIndex);
+      references.set(texturePath, entry);
+    });
+  }
+
+  return references;
+}
+
+/**
+ * Encode one texture. Returns { data, format, before, after } for the
+ * smallest acceptable output, or null when nothing is smaller than the
+ * original.
+ */
+async function optimizeTexture(filePath, { maxSize, quality, toWebp, lossless }) {
+  const original = fs.readFileSync(filePath);
+  const metadata = await sharp(original).metadata();
+  const ext = path.extname(filePath).toLowerCase();
+  const format = toWebp || ext === '.webp' ? 'webp' : (ext === '.png' ? 'png' : 'jpeg');
+
+  const encode = (resize) => {
+    let pipeline = sharp(original);
+    if (resize) pipeline = pipeline.resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true });
+    if (format === 'webp') pipeline = pipeline.webp(lossless ? { lossless: true } : { quality, alphaQuality: 100 });
+    else if (format === 'png') pipeline = pipeline.png({ compressionLevel: 9, adaptiveFiltering: true });
+    else pipeline = pipeline.jpeg({ quality, mozjpeg: true });
+    return pipeline.toBuffer({ resolveWithObject: true });
+  };
+
+  // Resampling can add colors a PNG compresses worse; then try the original size
+  const resize = Math.max(metadata.width, metadata.height) > maxSize;
+  let result = await encode(resize);
+  if (resize && result.data.length >= original.length) result = await encode(false);
+  if (result.data.length >= original.length) return null;
+
+  const { data, info } = result;
+  return {
+    data,
+    format,
+    before: { bytes: original.length, width: metadata.width, height: metadata.height },
+    after: { bytes: data.length, width: info.width, height: info.height }
+  };
+}
+
+// Point a .gltf's images at their WebP versions through EXT_texture_webp
+function rewriteModel(json, imageUris) {
+  for (const [imageIndex, uri] of imageUris) {
+    const image = json.images[imageIndex];
+    image.uri = uri;
+    if (image.mimeType) image.mimeType = 'image/webp';
+  }
+
+  for (const texture of json.textures || []) {
+    if (texture.source === undefined || !imageUris.has(texture.source)) continue;
+    texture.extensions = { ...texture.extensions, [WEBP_EXTENSION]: { source: texture.source } };
+    delete texture.source;
+  }
+
+  json.extensionsUsed = [...new Set([...(json.extensionsUsed || []), WEBP_EXTENSION])];
+  json.extensionsRequired = [...new Set([...(json.extensionsRequired || []), WEBP_EXTENSION])];
+  return json;
+}
+
+/**
+ * Optimize a game's textures.
+ * Returns { changes, skipped, bytesBefore, bytesAfter, backupDir }.
+ */
+async function optimizeAssets({ projectRoot, gameName, maxSize = 2048, quality = 85, webp = true, dryRun = false }) {
+  const publicDir = path.join(projectRoot, 'public');
+  const assetsDir = path.join(publicDir, 'assets', gameName);
+  const runId = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupDir = path.join(projectRoot, 'backups', 'assets', gameName, runId);
+
+  const files = walkFiles(assetsDir);
+  const models = files.filter(file => path.extname(file).toLowerCase() === '.gltf');
+  const textures = files.filter(file => TEXTURE_EXTENSIONS.includes(path.extname(file).toLowerCase()) &&
+    !PREVIEW_PATTERN.test(path.basename(file)));
+  const references = textureReferences(models);
+  const gameCode = webp ? readGameCode(publicDir) : '';
+
+  const changes = [];
+  const skipped = [];
+  const modelEdits = new Map(); // model -> Map<imageIndex, new uri>
+
+  for (const texture of textures) {
+    const relativePath = toPosix(path.relative(assetsDir, texture));
+    const usage = references.get(texture);
+    const isPng = path.extname(texture).toLowerCase() !== '.webp';
+    let toWebp = webp && Boolean(usage) && isPng;
+    if (toWebp && gameCode.includes(path.basename(texture))) {
+      toWebp = false;
+      skipped.push({ path: relativePath, reason: 'named in the game code; format kept' });
+    }
+
+    let result;
+    try {
+      result = await optimizeTexture(texture, { maxSize, quality, toWebp, lossless: usage?.normalMap });
+    } catch (err) {
+      skipped.push({ path: relativePath, reason: `unreadable: ${err.message}` });
+      continue;
+    }
+    if (!result) continue;
+
+    const outputPath = toWebp ? texture.replace(/\.[^.]+$/, '.webp') : texture;
+    if (toWebp && fs.existsSync(outputPath)) {
+      skipped.push({ path: relativePath, reason: `${path.basename(outputPath)} already exists` });
+      continue;
+    }
+
+    changes.push({
+      path: relativePath,
+      output: toPosix(path.relative(assetsDir, outputPath)),
+      before: result.before,
+      after: result.after,
+      models: (usage?.refs || []).map(ref => toPosix(path.relative(assetsDir, ref.model)))
+    });
+
+    if (toWebp) {
+      for (const ref of usage.refs) {
+        const uri = toPosix(path.relative(path.dirname(ref.model), outputPath));
+        if (!modelEdits.has(ref.model)) modelEdits.set(ref.model, new Map());
+        modelEdits.get(ref.model).set(ref.imageIndex, encodeURI(uri));
+      }
+    }
+
+    if (!dryRun) {
+      const backupPath = path.join(backupDir, relativePath);
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+      fs.copyFileSync(texture, backupPath);
+      if (toWebp) fs.rmSync(texture);
+      fs.writeFileSync(outputPath, result.data);
+    }
+  }
+
+  const rewrittenModels = [];
+  for (const [model, imageUris] of modelEdits) {
+    const relativePath = toPosix(path.relative(assetsDir, model));
+    rewrittenModels.push(relativePath);
+    if (dryRun) continue;
+
+    const backupPath = path.join(backupDir, relativePath);
+    fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+    fs.copyFileSync(model, backupPath);
+    const json = rewriteModel(JSON.parse(fs.readFileSync(model, 'utf-8')), imageUris);
+    fs.writeFileSync(model, JSON.stringify(json, null, 2));
+  }
+
+  const summary = {
+    runAt: new Date().toISOString(),
+    gameName,
+    options: { maxSize, quality, webp },
+    changes,
+    rewrittenModels,
+    skipped,
+    bytesBefore: changes.reduce((sum, change) => sum + change.before.bytes, 0),
+    bytesAfter: changes.reduce((sum, change) => sum + change.after.bytes, 0),
+    backupDir: dryRun || changes.length === 0 ? null : backupDir
+  };
+
+  if (summary.backupDir) {
+    fs.writeFileSync(path.join(backupDir, 'manifest.json'), JSON.stringify(summary, null, 2));
+  }
+  return summary;
+}
+
+/**
+ * Undo the most recent run: restore its backups and delete the WebP files it
+ * created. Returns the restored run's directory, or null if there is none.
+ */
+function restoreLastRun({ projectRoot, gameName }) {
+  const runsDir = path.join(projectRoot, 'backups', 'assets', gameName);
+  if (!fs.existsSync(runsDir)) return null;
+  const runs = fs.readdirSync(runsDir)
+    .filter(name => fs.existsSync(path.join(runsDir, name, 'manifest.json')))
+    .sort();
+  if (runs.length === 0) return null;
+
+  const runDir = path.join(runsDir, runs[runs.length - 1]);
+  const manifest = JSON.parse(fs.readFileSync(path.join(runDir, 'manifest.json'), 'utf-8'));
+  const assetsDir = path.join(projectRoot, 'public', 'assets', gameName);
+
+  for (const change of manifest.changes) {
+    if (change.output !== change.path) fs.rmSync(path.join(assetsDir, change.output), { force: true });
+  }
+  for (const file of walkFiles(runDir)) {
+    if (path.basename(file) === 'manifest.json' && path.dirname(file) === runDir) continue;
+    const destPath = path.join(assetsDir, path.relative(runDir, file));
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.copyFileSync(file, destPath);
+  }
+
+  fs.rmSync(runDir, { recursive: true, force: true });
+  return runDir;
+}
+
+// Signed size change: "-42%" when smaller, "+8%" when larger
+function formatChange(before, after) {
+  const percent = Math.round(((after - before) / before) * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+function printSummary(summary) {
+  if (summary.changes.length === 0) {
+    console.log('✓ Nothing to optimize: every texture is within limits and already compact');
+  }
+
+  for (const change of summary.changes) {
+    const { before, after } = change;
+    const size = before.width === after.width && before.height === after.height
+      ? `${after.width}x${after.height}`
+      : `${before.width}x${before.height} → ${after.width}x${after.height}`;
+    const renamed = change.output !== change.path ? ` → ${path.basename(change.output)}` : '';
+    console.log(`  ✓ ${change.path}${renamed}  ${size}  ${formatBytes(before.bytes)} → ${formatBytes(after.bytes)} (${formatChange(before.bytes, after.bytes)})`);
+  }
+
+  if (summary.rewrittenModels.length > 0) {
+    console.log(`\nModels updated to reference WebP (${WEBP_EXTENSION}):`);
+    summary.rewrittenModels.forEach(model => console.log(`  ${model}`));
+  }
+  if (summary.skipped.length > 0) {
+    console.log('\nSkipped:');
+    summary.skipped.forEach(item => console.log(`  ⚠ ${item.path}: ${item.reason}`));
+  }
+
+  if (summary.changes.length > 0) {
+    const saved = summary.bytesBefore - summary.bytesAfter;
+    const total = saved >= 0 ? `${formatBytes(saved)} saved` : `${formatBytes(-saved)} larger`;
+    console.log(`\nTextures: ${formatBytes(summary.bytesBefore)} → ${formatBytes(summary.bytesAfter)} (${total}, ${formatChange(summary.bytesBefore, summary.bytesAfter)})`);
+  }
+}
+
+// generate-assets-json.js is a script, not a module
+function regenerateIndex(gameName) {
+  try {
+    execFileSync(process.execPath, [path.join(__dirname, 'generate-assets-json.js'), gameName], { stdio: 'pipe' });
+    console.log('✓ assets.json regenerated');
+  } catch (err) {
+    console.log(`⚠ Could not regenerate assets.json; run node scripts/generate-assets-json.js ${gameName}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+  if (args.invalid.length > 0) {
+    for (const message of args.invalid) console.error(`Error: ${message}`);
+    console.log('Usage: node optimize-assets.js <game_name> [--max-size=PX] [--quality=1-100] [options]');
+    process.exit(1);
+  }
+
+  const projectRoot = path.join(__dirname, '..');
+  let gameName = args.gameName;
+  if (!gameName) {
+    const configPath = path.join(__dirname, 'config.json');
+    if (fs.existsSync(configPath)) gameName = JSON.parse(fs.readFileSync(configPath, 'utf-8')).game?.name;
+  }
+  if (!gameName) {
+    console.log('Usage: node optimize-assets.js <game_name> [options]');
+    process.exit(1);
+  }
+
+  const assetsDir = path.join(projectRoot, 'public', 'assets', gameName);
+  if (!fs.existsSync(assetsDir)) {
+    console.error(`Error: Assets directory not found: ${assetsDir}`);
+    process.exit(1);
+  }
+
+  if (args.restore) {
+    const runDir = restoreLastRun({ projectRoot, gameName });
+    if (!runDir) {
+      console.log(`No backups found in backups/assets/${gameName}/`);
+      process.exit(1);
+    }
+    console.log(`✓ Restored originals from ${path.relative(projectRoot, runDir)}`);
+    regenerateIndex(gameName);
+    return;
+  }
+
+  if (!sharp) {
+    console.error('Error: sharp is not installed.');
+    console.error('Run: npm install');
+    process.exit(1);
+  }
+
+  console.log(`🗜  Optimizing textures in public/assets/${gameName}/ (max ${args.maxSize}px${args.webp ? ', WebP' : ''})${args.dryRun ? ' [dry run]' : ''}\n`);
+
+  const summary = await optimizeAssets({
+    projectRoot,
+    gameName,
+    maxSize: args.maxSize,
+    quality: args.quality,
+    webp: args.webp,
+    dryRun: args.dryRun
+  });
+
+  printSummary(summary);
+
+  if (summary.backupDir) {
+    console.log(`\nOriginals backed up to ${path.relative(projectRoot, summary.backupDir)} (undo with --restore)`);
+    if (fs.existsSync(path.join(assetsDir, 'assets.json'))) regenerateIndex(gameName);
+  }
+}
+
+// Export for use as module
+module.exports = { optimizeAssets, restoreLastRun, rewriteModel, textureReferences };
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,140 @@
+/**
+ * Pipeline State
+ *
+ * Content hashes of each pipeline step's inputs and outputs, stored in
+ * .pipeline-state.json at the project root. pipeline.js compares them with
+ * the current files to decide which steps can be skipped.
+ *
+ * State format:
+ *   {
+ *     "version": 1,
+ *     "steps": {
+ *       "prd": {
+ *         "ranAt": "2026-01-30T00:00:00.000Z",
+ *         "inputs": { "prd.md": "<sha256>", ... },
+ *         "outputs": { "docs/prd.md": "<sha256>" }
+ *       }
+ *     }
+ *   }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Hash of a file's content, or null when it does not exist
+function hashFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Hash of a directory listing (relative path, size and mtime of each file).
+ * Cheap enough for asset packs with hundreds of megabytes of models, and
+ * changes whenever a file is added, removed, or rewritten.
+ */
+function hashDirListing(dir, { exclude = [] } = {}) {
+  if (!fs.existsSync(dir)) return null;
+
+  const entries = [];
+  function walk(current) {
+    for (const item of fs.readdirSync(current, { withFileTypes: true })) {
+      if (item.name.startsWith('.') || exclude.includes(item.name)) continue;
+      const fullPath = path.join(current, item.name);
+      if (item.isDirectory()) {
+        walk(fullPath);
+      } else if (item.isFile()) {
+        const stat = fs.statSync(fullPath);
+        const relativePath = path.relative(dir, fullPath).replace(/\\/g, '/');
+        entries.push(`${relativePath}\t${stat.size}\t${Math.floor(stat.mtimeMs)}`);
+      }
+    }
+  }
+  walk(dir);
+
+  return hashText(entries.sort().join('\n'));
+}
+
+function loadState(statePath) {
+  if (!fs.existsSync(statePath)) return { version: STATE_VERSION, steps: {} };
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    if (state.version !== STATE_VERSION || !state.steps) return { version: STATE_VERSION, steps: {} };
+    return state;
+  } catch (err) {
+    // A corrupt state file only costs a full re-run
+    return { version: STATE_VERSION, steps: {} };
+  }
+}
+
+function saveState(statePath, state) {
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Decide whether a step has to run.
+ *
+ * Returns { run, reasons } where reasons explain the decision in plain
+ * words (changed inputs, missing outputs, no previous run...).
+ */
+function checkStep(record, inputs, outputPaths, projectRoot) {
+  if (!record) {
+    return { run: true, reasons: ['no previous run recorded'] };
+  }
+
+  const reasons = [];
+
+  for (const [name, hash] of Object.entries(inputs)) {
+    if (!(name in record.inputs)) reasons.push(`${name} is a new input`);
+    else if (record.inputs[name] !== hash) {
+      reasons.push(hash === null ? `${name} was removed` : `${name} changed`);
+    }
+  }
+  for (const name of Object.keys(record.inputs)) {
+    if (!(name in inputs)) reasons.push(`${name} is no longer an input`);
+  }
+
+  const recordedOutputs = Object.keys(record.outputs || {});
+  if (recordedOutputs.length === 0) reasons.push('no outputs recorded');
+  for (const relativePath of recordedOutputs) {
+    if (!fs.existsSync(path.join(projectRoot, relativePath))) reasons.push(`${relativePath} is missing`);
+  }
+  for (const outputPath of outputPaths) {
+    const relativePath = path.relative(projectRoot, outputPath).replace(/\\/g, '/');
+    if (!fs.existsSync(outputPath) && !reasons.includes(`${relativePath} is missing`)) {
+      reasons.push(`${relativePath} is missing`);
+    }
+  }
+
+  return { run: reasons.length > 0, reasons };
+}
+
+// Build the record saved after a step succeeds
+function recordStep(inputs, outputPaths, projectRoot) {
+  const outputs = {};
+  for (const outputPath of outputPaths) {
+    const relativePath = path.relative(projectRoot, outputPath).replace(/\\/g, '/');
+    outputs[relativePath] = hashFile(outputPath);
+  }
+  return {
+    ranAt: new Date().toISOString(),
+    inputs,
+    outputs
+  };
+}
+
+module.exports = {
+  hashText,
+  hashFile,
+  hashDirListing,
+  loadState,
+  saveState,
+  checkStep,
+  recordStep
+};
@@ -4,19 +4,30 @@
  * Full Pipeline Orchestration Script
  * 
  * Runs the complete game generation pipeline:
- * 1. Generate assets.json (if needed)
+ * 1. Generate assets.json
  * 2. Generate concept mockup
  * 3. Generate PRD
  * 4. Generate TDD
  * 5. Generate execution plan
  * 
+ * Steps are incremental: each run records the hashes of a step's inputs
+ * (description, assets, images, upstream documents, prompt, model) in
+ * .pipeline-state.json, and a step whose inputs are unchanged and whose
+ * outputs still exist is skipped. The reason for running or skipping each
+ * step is printed.
+ * 
  * Usage:
- *   node pipeline.js [--skip-mockup] [--skip-to=step]
+ *   node pipeline.js [--force=step,...] [--skip-to=step] [--mock | --record]
  * 
  * Options:
+ *   --force=step      Run a step even if its inputs are unchanged
+ *                     (comma-separated, or --force / --force=all for every step)
  *   --skip-mockup     Skip mockup generation (use existing concept.jpg)
  *   --skip-to=step    Skip to a specific step (assets, mockup, prd, tdd, plan)
  *   --plan-name=name  Use specific plan name instead of random
+ *   --mock            Run offline: replay responses from fixtures/ (or canned
+ *                     placeholders) instead of calling Google/LLM APIs
+ *   --record          Call the real APIs and save responses to fixtures/
  * 
  * Requires:
  *   - config.json with API keys and game settings
@@ -26,6 +37,19 @@
 const { execSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { resolveProviderMode, providerModeArgs, resolveFixturesDir } = require('./fixtures');
+const { resolveLlmSettings } = require('./llm-provider');
+const { resolveThreeConfig } = require('./vendor-three');
+const { resolvePromptTemplate } = require('./prompt-templates');
+const {
+  hashText,
+  hashFile,
+  hashDirListing,
+  loadState,
+  saveState,
+  checkStep,
+  recordStep
+} = require('./pipeline-state');
 
 // Parse arguments
 const args = process.argv.slice(2);
@@ -34,6 +58,9 @@ const skipToArg = args.find(a => a.startsWith('--skip-to='));
 const skipTo = skipToArg ? skipToArg.split('=')[1] : null;
 const planNameArg = args.find(a => a.startsWith('--plan-name='));
 const planName = planNameArg ? planNameArg.split('=')[1] : null;
+const forceArg = args.find(a => a === '--force' || a.startsWith('--force='));
+// --mock / --record are forwarded to every generator
+const modeArgs = providerModeArgs(args);
 
 // Script directory
 const scriptDir = __dirname;
@@ -61,6 +88,14 @@ console.log('╚═════════════════════
 console.log('');
 console.log('Game:', gameName);
 console.log('Description:', config.game?.description?.substring(0, 60) + '...');
+let providerMode;
+try {
+  providerMode = resolveProviderMode(config, args);
+  if (providerMode !== 'live') console.log('Provider mode:', providerMode);
+} catch (err) {
+  console.error('Error:', err.message);
+  process.exit(1);
+}
 console.log('');
 
 // Steps
@@ -72,6 +107,168 @@ if (skipTo && stepIndex === -1) {
   process.exit(1);
 }
 
+// --force, --force=all or --force=prd,tdd
+const forceValue = forceArg && forceArg.includes('=') ? forceArg.split('=')[1] : 'all';
+const forceSteps = !forceArg ? [] : (forceValue === 'all' ? steps : forceValue.split(','));
+const invalidForce = forceSteps.filter(s => !steps.includes(s));
+
+if (invalidForce.length > 0) {
+  console.error(`Invalid --force value: ${invalidForce.join(', ')}. Options: all, ${steps.join(', ')}`);
+  process.exit(1);
+}
+
+// Paths shared by the step definitions
+const assetsDir = path.join(projectRoot, 'public', 'assets', gameName);
+const assetsJsonPath = path.join(assetsDir, 'assets.json');
+const previewPath = path.join(assetsDir, 'Preview.jpg');
+const conceptDir = path.join(projectRoot, 'public', gameName);
+const prdPath = path.join(projectRoot, 'docs', 'prd.md');
+const tddPath = path.join(projectRoot, 'docs', 'tdd.md');
+const plansDir = path.join(projectRoot, 'plans');
+const statePath = path.join(projectRoot, '.pipeline-state.json');
+const fixturesDir = resolveFixturesDir(config, projectRoot);
+
+const state = loadState(statePath);
+
+// Find concept image (can be jpg or png)
+function findConcept() {
+  return ['concept.jpg', 'concept.png', 'concept.jpeg']
+    .map(f => path.join(conceptDir, f))
+    .find(p => fs.existsSync(p)) || null;
+}
+
+// Most recently written plan file
+function findLatestPlan() {
+  if (!fs.existsSync(plansDir)) return null;
+  const plans = fs.readdirSync(plansDir)
+    .filter(f => f.endsWith('.md'))
+    .map(f => path.join(plansDir, f))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return plans[0] || null;
+}
+
+// Settings that change generated documents without touching any file
+function llmFingerprint() {
+  try {
+    const { provider, model, baseUrl, maxTokens } = resolveLlmSettings(config);
+    return hashText(JSON.stringify({ provider, model, baseUrl, maxTokens }));
+  } catch (err) {
+    return null;
+  }
+}
+
+// In replay mode the recorded fixture is what the step really reads
+function modeInputs(fixtureName) {
+  const inputs = { 'provider mode': hashText(providerMode) };
+  if (providerMode === 'replay') {
+    inputs[`fixture (${fixtureName})`] = hashFile(path.join(fixturesDir, `${fixtureName}.json`)) ||
+      ['png', 'jpg', 'jpeg'].map(ext => hashFile(path.join(fixturesDir, `${fixtureName}.${ext}`))).find(Boolean) ||
+      null;
+  }
+  return inputs;
+}
+
+// Content hashes of everything a step reads
+function stepInputs(step) {
+  const description = hashText(config.game?.description || '');
+  const threeVersion = hashText(resolveThreeConfig(config).version);
+  const prompt = (script) => ({ [`prompt (${script})`]: hashFile(path.join(scriptDir, script)) });
+  // The template the generator will load (override, prompts/ or built in)
+  const template = (name) => ({ 'prompt template': hashText(resolvePromptTemplate(name, { projectRoot, config }).text) });
+
+  switch (step) {
+    case 'assets':
+      return {
+        'asset files': hashDirListing(assetsDir, { exclude: ['assets.json'] }),
+        ...prompt('generate-assets-json.js')
+      };
+    case 'mockup':
+      return {
+        'game description': description,
+        'assets.json': hashFile(assetsJsonPath),
+        'Preview.jpg': hashFile(previewPath),
+        ...prompt('generate-mockup.js'),
+        ...template('mockup'),
+        ...modeInputs('mockup')
+      };
+    case 'prd':
+      return {
+        'game description': description,
+        'assets.json': hashFile(assetsJsonPath),
+        'Preview.jpg': hashFile(previewPath),
+        'concept image': hashFile(findConcept()),
+        ...prompt('generate-prd.js'),
+        ...template('prd'),
+        'three version': threeVersion,
+        'llm settings': llmFingerprint(),
+        ...modeInputs('prd')
+      };
+    case 'tdd':
+      return {
+        'prd.md': hashFile(prdPath),
+        'concept image': hashFile(findConcept()),
+        'assets.json': hashFile(assetsJsonPath),
+        'skills': hashDirListing(path.join(projectRoot, '.claude', 'skills')),
+        ...prompt('generate-tdd.js'),
+        ...template('tdd'),
+        'three version': threeVersion,
+        'llm settings': llmFingerprint(),
+        ...modeInputs('tdd')
+      };
+    case 'plan':
+      return {
+        'prd.md': hashFile(prdPath),
+        'tdd.md': hashFile(tddPath),
+        'assets.json': hashFile(assetsJsonPath),
+        ...prompt('generate-plan.js'),
+        ...template('plan'),
+        'three version': threeVersion,
+        'llm settings': llmFingerprint(),
+        ...modeInputs('plan')
+      };
+    default:
+      return {};
+  }
+}
+
+// Files a step writes (looked up after it runs for mockup and plan)
+function stepOutputs(step) {
+  switch (step) {
+    case 'assets': return [assetsJsonPath];
+    case 'mockup': return [findConcept() || path.join(conceptDir, 'concept.jpg')];
+    case 'prd': return [prdPath];
+    case 'tdd': return [tddPath];
+    case 'plan':
+      if (planName) return [path.join(plansDir, `${planName}.md`)];
+      return [findLatestPlan()].filter(Boolean);
+    default: return [];
+  }
+}
+
+/**
+ * Run a step unless its inputs are unchanged, then record its hashes.
+ * Explains the decision either way.
+ */
+async function runStep(step, run) {
+  const inputs = stepInputs(step);
+  // A plan without --plan-name gets a fresh name, so only recorded outputs count
+  const expectedOutputs = step === 'plan' && !planName ? [] : stepOutputs(step);
+  const decision = forceSteps.includes(step)
+    ? { run: true, reasons: ['forced with --force'] }
+    : checkStep(state.steps[step], inputs, expectedOutputs, projectRoot);
+
+  if (!decision.run) {
+    console.log(`⏭  Skipped: inputs unchanged since ${state.steps[step].ranAt} (--force=${step} to re-run)`);
+    return;
+  }
+
+  console.log(`▶  Running: ${decision.reasons.join('; ')}`);
+  await run();
+
+  state.steps[step] = recordStep(inputs, stepOutputs(step), projectRoot);
+  saveState(statePath, state);
+}
+
 // Run a script and wait for completion
 function runScript(scriptName, args = []) {
   return new Promise((resolve, reject) => {
@@ -110,16 +307,11 @@ function checkFile(filePath, description) {
 // Main pipeline
 async function runPipeline() {
   try {
-    const assetsDir = path.join(projectRoot, 'public', 'assets', gameName);
-    
     // Step 1: Check/Generate assets.json
     if (stepIndex <= 0) {
       console.log('\n📦 STEP 1: Asset Index');
       console.log('─'.repeat(40));
       
-      const assetsJsonPath = path.join(assetsDir, 'assets.json');
-      const previewPath = path.join(assetsDir, 'Preview.jpg');
-      
       // Check for assets directory
       if (!fs.existsSync(assetsDir)) {
         console.error(`\nError: Assets directory not found: ${assetsDir}`);
@@ -146,12 +338,7 @@ async function runPipeline() {
         }
       }
       
-      // Generate assets.json if needed
-      if (!fs.existsSync(assetsJsonPath)) {
-        await runScript('generate-assets-json.js', [gameName]);
-      } else {
-        console.log(`✓ assets.json already exists`);
-      }
+      await runStep('assets', () => runScript('generate-assets-json.js', [gameName]));
     }
     
     // Step 2: Generate mockup
@@ -159,18 +346,7 @@ async function runPipeline() {
       console.log('\n🎨 STEP 2: Concept Mockup');
       console.log('─'.repeat(40));
       
-      // Check for existing concept image (jpg or png)
-      const conceptDir = path.join(projectRoot, 'public', gameName);
-      const existingConcept = ['concept.jpg', 'concept.png', 'concept.jpeg']
-        .map(f => path.join(conceptDir, f))
-        .find(p => fs.existsSync(p));
-      
-      if (existingConcept) {
-        console.log(`✓ ${path.basename(existingConcept)} already exists`);
-        console.log('  Use --skip-mockup to keep it, or delete to regenerate');
-      }
-      
-      await runScript('generate-mockup.js');
+      await runStep('mockup', () => runScript('generate-mockup.js', modeArgs));
     } else if (skipMockup) {
       console.log('\n🎨 STEP 2: Concept Mockup (SKIPPED)');
     }
@@ -180,7 +356,7 @@ async function runPipeline() {
       console.log('\n📋 STEP 3: Product Requirements Document');
       console.log('─'.repeat(40));
       
-      await runScript('generate-prd.js');
+      await runStep('prd', () => runScript('generate-prd.js', modeArgs));
     }
     
     // Step 4: Generate TDD
@@ -188,7 +364,7 @@ async function runPipeline() {
       console.log('\n🔧 STEP 4: Technical Design Document');
       console.log('─'.repeat(40));
       
-      await runScript('generate-tdd.js');
+      await runStep('tdd', () => runScript('generate-tdd.js', modeArgs));
     }
     
     // Step 5: Generate Plan
@@ -196,8 +372,8 @@ async function runPipeline() {
       console.log('\n📝 STEP 5: Execution Plan');
       console.log('─'.repeat(40));
       
-      const planArgs = planName ? [planName] : [];
-      await runScript('generate-plan.js', planArgs);
+      const planArgs = planName ? [planName, ...modeArgs] : modeArgs;
+      await runStep('plan', () => runScript('generate-plan.js', planArgs));
     }
     
     // Summary
@@ -206,30 +382,25 @@ async function runPipeline() {
     console.log('═'.repeat(60));
     console.log('');
     console.log('Generated files:');
-    checkFile(path.join(assetsDir, 'assets.json'), '  assets.json');
+    checkFile(assetsJsonPath, '  assets.json');
     // Check for concept image (jpg or png)
-    const conceptDir = path.join(projectRoot, 'public', gameName);
-    const conceptFile = ['concept.jpg', 'concept.png', 'concept.jpeg']
-      .find(f => fs.existsSync(path.join(conceptDir, f)));
-    if (conceptFile) {
-      checkFile(path.join(conceptDir, conceptFile), `  ${conceptFile}`);
+    const conceptPath = findConcept();
+    if (conceptPath) {
+      checkFile(conceptPath, `  ${path.basename(conceptPath)}`);
     } else {
       console.log('  concept.jpg/png ✗');
     }
-    checkFile(path.join(projectRoot, 'docs', 'prd.md'), '  prd.md');
-    checkFile(path.join(projectRoot, 'docs', 'tdd.md'), '  tdd.md');
+    checkFile(prdPath, '  prd.md');
+    checkFile(tddPath, '  tdd.md');
     
     // Find the plan file
-    const plansDir = path.join(projectRoot, 'plans');
-    if (fs.existsSync(plansDir)) {
-      const plans = fs.readdirSync(plansDir).filter(f => f.endsWith('.md'));
-      if (plans.length > 0) {
-        const latestPlan = plans[plans.length - 1];
-        console.log(`  plan: ${latestPlan}`);
-        console.log('');
-        console.log('Next step - run in Claude Code:');
-        console.log(`  Please proceed with implementing the game based on the plan in plans/${latestPlan}`);
-      }
+    const latestPlanPath = planName ? path.join(plansDir, `${planName}.md`) : findLatestPlan();
+    if (latestPlanPath && fs.existsSync(latestPlanPath)) {
+      const latestPlan = path.basename(latestPlanPath);
+      console.log(`  plan: ${latestPlan}`);
+      console.log('');
+      console.log('Next step - run in Claude Code:');
+      console.log(`  Please proceed with implementing the game based on the plan in plans/${latestPlan}`);
     }
     
   } catch (err) {
@@ -3,18 +3,28 @@
 /**
  * Manual gameplay runner (Playwright)
  *
- * Starts a local static server for `public/` and opens the game in a visible
- * Chromium window for manual play. Optionally records video.
+ * Starts the dev server (scripts/serve.js) for `public/` and opens the game in
+ * a visible Chromium window for manual play. Optionally records video.
+ *
+ * Keyboard, mouse and wheel input is saved to a session file
+ * (artifacts/game-testing/sessions/) that test-game.js can replay with
+ * --replay. Press F8 while playing to mark a moment to screenshot on replay.
+ *
+ * The page reloads when files in public/ change, unless an input session is
+ * being recorded: a reload restarts the game while the recorded timeline
+ * keeps going, so the replay would drift out of sync.
  *
  * Usage:
  *   node scripts/play-game.js
  *   node scripts/play-game.js --record
+ *   node scripts/play-game.js --no-session     # live reload while editing
  *   node scripts/play-game.js --url=http://127.0.0.1:8080/
  */
 
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { MARK_KEY, startCapture } = require('./input-session');
+const { startServer } = require('./serve');
 
 function parseArgs(argv) {
   const args = {
@@ -22,6 +32,9 @@ function parseArgs(argv) {
     outDir: null,
     record: false,
     trace: false,
+    session: true,
+    liveReload: null,
+    isolate: false,
     slowMoMs: 0
   };
 
@@ -30,6 +43,10 @@ function parseArgs(argv) {
     else if (arg.startsWith('--out-dir=')) args.outDir = arg.split('=').slice(1).join('=');
     else if (arg === '--record') args.record = true;
     else if (arg === '--trace') args.trace = true;
+    else if (arg === '--no-session') args.session = false;
+    else if (arg === '--reload') args.liveReload = true;
+    else if (arg === '--no-reload') args.liveReload = false;
+    else if (arg === '--isolate') args.isolate = true;
     else if (arg.startsWith('--slowmo=')) args.slowMoMs = Number(arg.split('=').slice(1).join('='));
     else if (arg === '--help' || arg === '-h') args.help = true;
   }
@@ -49,6 +66,11 @@ Options:
   --out-dir=DIR      Output directory (default: artifacts/game-testing)
   --record           Record gameplay video to artifacts (saved on close)
   --trace            Record a Playwright trace (saved on close)
+  --no-session       Don't save the input session for replay
+  --reload           Reload the page when public/ changes (default without
+                     an input session; a recorded session won't replay in sync)
+  --no-reload        Don't reload the page when public/ changes
+  --isolate          Serve with COOP/COEP headers (cross-origin isolation)
   --slowmo=MS        Slow down Playwright actions (useful for debugging)
 `);
 }
@@ -57,69 +79,6 @@ function ensureDir(dirPath) {
   fs.mkdirSync(dirPath, { recursive: true });
 }
 
-function contentTypeFor(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  switch (ext) {
-    case '.html': return 'text/html; charset=utf-8';
-    case '.js': return 'text/javascript; charset=utf-8';
-    case '.mjs': return 'text/javascript; charset=utf-8';
-    case '.css': return 'text/css; charset=utf-8';
-    case '.json': return 'application/json; charset=utf-8';
-    case '.png': return 'image/png';
-    case '.jpg':
-    case '.jpeg': return 'image/jpeg';
-    case '.gif': return 'image/gif';
-    case '.svg': return 'image/svg+xml; charset=utf-8';
-    case '.gltf': return 'model/gltf+json';
-    case '.glb': return 'model/gltf-binary';
-    case '.bin': return 'application/octet-stream';
-    case '.mp3': return 'audio/mpeg';
-    case '.wav': return 'audio/wav';
-    case '.ogg': return 'audio/ogg';
-    default: return 'application/octet-stream';
-  }
-}
-
-function createStaticServer(publicDirAbs) {
-  return http.createServer((req, res) => {
-    try {
-      const requestUrl = new URL(req.url || '/', 'http://127.0.0.1');
-      let relativePath = decodeURIComponent(requestUrl.pathname || '/');
-      relativePath = relativePath.replace(/^\/+/, '');
-      if (relativePath === '') relativePath = 'index.html';
-
-      // Prevent path traversal
-      const resolved = path.resolve(publicDirAbs, relativePath);
-      if (!resolved.startsWith(publicDirAbs + path.sep) && resolved !== path.join(publicDirAbs, 'index.html')) {
-        res.statusCode = 403;
-        res.end('Forbidden');
-        return;
-      }
-
-      if (!fs.existsSync(resolved) || fs.statSync(resolved).isDirectory()) {
-        res.statusCode = 404;
-        res.end('Not Found');
-        return;
-      }
-
-      const buf = fs.readFileSync(resolved);
-      res.statusCode = 200;
-      res.setHeader('Content-Type', contentTypeFor(resolved));
-      res.setHeader('Cache-Control', 'no-cache');
-      res.end(buf);
-    } catch (err) {
-      res.statusCode = 500;
-      res.end(err instanceof Error ? err.message : 'Internal Server Error');
-    }
-  });
-}
-
-function closeServer(server) {
-  return new Promise((resolve) => {
-    server.close(() => resolve());
-  });
-}
-
 async function main() {
   const args = parseArgs(process.argv.slice(2));
   if (args.help) {
@@ -146,12 +105,15 @@ async function main() {
   const outDir = args.outDir ? path.resolve(process.cwd(), args.outDir) : path.join(projectRoot, 'artifacts', 'game-testing');
   const videosDir = path.join(outDir, 'videos');
   const tracesDir = path.join(outDir, 'traces');
+  const sessionsDir = path.join(outDir, 'sessions');
   ensureDir(outDir);
   ensureDir(videosDir);
   ensureDir(tracesDir);
 
   let server = null;
   let serverUrl = args.url;
+  // A reload mid-recording restarts the game but not the session timeline
+  const liveReload = args.liveReload ?? !args.session;
 
   if (!serverUrl) {
     if (!fs.existsSync(indexHtmlPath)) {
@@ -160,24 +122,13 @@ async function main() {
       process.exit(1);
     }
 
-    server = createStaticServer(path.resolve(publicDir));
-    await new Promise((resolve, reject) => {
-      server.listen(0, '127.0.0.1', () => resolve());
-      server.on('error', reject);
-    });
-
-    const address = server.address();
-    const port = typeof address === 'object' && address ? address.port : null;
-    if (!port) {
-      console.error('Error: failed to start server on an available port.');
-      process.exit(1);
-    }
-
-    serverUrl = `http://127.0.0.1:${port}/`;
+    server = await startServer(publicDir, { liveReload, isolate: args.isolate });
+    serverUrl = server.url;
   }
 
   const runId = new Date().toISOString().replace(/[:.]/g, '-');
   const tracePath = path.join(tracesDir, `trace-${runId}.zip`);
+  const sessionPath = path.join(sessionsDir, `session-${runId}.json`);
 
   const { chromium } = playwright;
   const browser = await chromium.launch({
@@ -197,6 +148,8 @@ async function main() {
     await context.tracing.start({ screenshots: true, snapshots: true });
   }
 
+  const recorder = args.session ? await startCapture(context) : null;
+
   const page = await context.newPage();
 
   page.on('console', (msg) => {
@@ -212,6 +165,12 @@ async function main() {
   console.log('URL:', serverUrl);
   if (args.record) console.log('Recording video to:', videosDir);
   if (args.trace) console.log('Recording trace to:', tracePath);
+  if (recorder) console.log(`Recording input session (press ${MARK_KEY} to mark a moment)`);
+  if (server && recorder && liveReload) {
+    console.log('⚠ Live reload is on: a reload restarts the game and the session will not replay in sync');
+  } else if (server && recorder) {
+    console.log('Live reload is off while recording an input session (--no-session to edit and reload)');
+  }
   console.log('Close the browser window to stop.\n');
 
   await page.goto(serverUrl, { waitUntil: 'load', timeout: 30_000 });
@@ -224,6 +183,12 @@ async function main() {
     await context.tracing.stop({ path: tracePath }).catch(() => {});
   }
 
+  if (recorder) {
+    const session = recorder.save(sessionPath, { url: serverUrl });
+    console.log(`Session saved to: ${sessionPath} (${session.events.length} events)`);
+    console.log(`Replay it with: node scripts/test-game.js --replay=${path.relative(process.cwd(), sessionPath)}`);
+  }
+
   // Video is saved when the page/context closes (best-effort info message)
   if (args.record) {
     console.log('Video saved to:', videosDir);
@@ -231,7 +196,7 @@ async function main() {
 
   await context.close().catch(() => {});
   await browser.close().catch(() => {});
-  if (server) await closeServer(server).catch(() => {});
+  if (server) await server.close().catch(() => {});
 }
 
 main().catch((err) => {
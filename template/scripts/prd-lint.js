@@ -0,0 +1,256 @@
+/**
+ * PRD Linter
+ *
+ * Checks a generated PRD against the sections its prompt asks for (the
+ * "## N. Title" headings after the prompt's "---" separator):
+ *
+ *   missing         the section heading is not in the document
+ *   empty           the heading is there with nothing under it
+ *   truncated       the response hit the token limit (finishReason 'length')
+ *                   or stopped inside a code block, in this section
+ *   unknown-assets  the section names asset files that aren't in assets.json
+ *
+ * generate-prd.js drops a truncated section, re-requests only the sections
+ * that fail, merges the new text in with mergeSections() and writes the
+ * report next to the document (docs/prd-lint.json).
+ */
+
+const path = require('path');
+
+const ASSET_FILE_PATTERN = /[\w\-.]+\.(?:gltf|glb|fbx|obj|png|jpe?g|webp|ktx2|mp3|ogg|wav)(?![\w.])/gi;
+// Files the PRD may mention that assets.json doesn't index
+const KNOWN_FILES = ['concept.jpg', 'concept.png', 'concept.jpeg', 'preview.jpg'];
+const MIN_SECTION_LENGTH = 20;
+
+function normalizeTitle(title) {
+  return title.replace(/[*_`]/g, '').replace(/^\d+[.)]?\s*/, '').trim().toLowerCase();
+}
+
+/**
+ * Required sections of a prompt: the "## N. Title" headings after its last
+ * "---" line, each with the bullet points the prompt lists for it.
+ * Returns [{ number, title, heading, outline }].
+ */
+function outlineSections(prompt) {
+  const outline = prompt.includes('\n---\n') ? prompt.split('\n---\n').pop() : prompt;
+  const sections = [];
+  let current = null;
+
+  for (const line of outline.split('\n')) {
+    const match = /^## (\d+)\.\s+(.+)$/.exec(line);
+    if (match) {
+      current = { number: Number(match[1]), title: match[2].trim(), heading: line.trim(), outline: [] };
+      sections.push(current);
+    } else if (/^#{1,2} /.test(line)) {
+      current = null;
+    } else if (current) {
+      current.outline.push(line);
+    }
+  }
+
+  return sections.map(section => ({ ...section, outline: section.outline.join('\n').trim() }));
+}
+
+/**
+ * Split markdown at its "## " headings (ignoring fenced code).
+ * Returns { preamble, sections: [{ heading, number, title, body }], openFence }.
+ */
+function splitSections(markdown) {
+  const preamble = [];
+  const sections = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const match = !inFence && /^##\s+(.+?)\s*#*$/.exec(line);
+    if (match && !line.startsWith('###')) {
+      const number = /^(\d+)[.)]?\s/.exec(match[1]);
+      current = {
+        heading: line,
+        number: number ? Number(number[1]) : null,
+        title: normalizeTitle(match[1]),
+        body: []
+      };
+      sections.push(current);
+    } else if (current) {
+      current.body.push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+
+  return {
+    preamble: preamble.join('\n'),
+    sections: sections.map(section => ({ ...section, body: section.body.join('\n') })),
+    openFence: inFence
+  };
+}
+
+// The document section that answers a required section (by title, then number)
+function findSection(sections, required) {
+  const title = normalizeTitle(required.title);
+  return sections.find(section => section.title === title) ||
+    sections.find(section => section.number === required.number && section.title.startsWith(title.split(' ')[0])) ||
+    null;
+}
+
+// Lower-cased names and paths that count as existing assets
+function knownAssetNames(assetsJson) {
+  const names = new Set(KNOWN_FILES);
+  for (const asset of assetsJson?.assets || []) {
+    names.add(asset.name.toLowerCase());
+    if (asset.relativePath) names.add(path.posix.basename(asset.relativePath).toLowerCase());
+  }
+  return names;
+}
+
+function mentionedAssetFiles(text) {
+  return [...new Set((text.match(ASSET_FILE_PATTERN) || []).map(name => name.replace(/^\.+/, '')))];
+}
+
+/**
+ * Lint a PRD.
+ * options: sections (from outlineSections), assetsJson (parsed), finishReason
+ * Returns { ok, truncated, sections: [{ number, title, status, issues }],
+ * assets: { mentioned, unknown }, extraSections }.
+ */
+function lintPrd(markdown, { sections: required, assetsJson = null, finishReason = null }) {
+  const document = splitSections(markdown);
+  const known = knownAssetNames(assetsJson);
+  const checkAssets = Boolean(assetsJson);
+  const truncated = finishReason === 'length' || document.openFence;
+  const lastSection = document.sections[document.sections.length - 1];
+
+  const allMentioned = new Set();
+  const allUnknown = new Set();
+
+  const results = required.map((section) => {
+    const found = findSection(document.sections, section);
+    const result = { number: section.number, title: section.title, status: 'ok', issues: [] };
+
+    if (!found) {
+      result.status = 'missing';
+      result.issues.push('Section is missing');
+      return result;
+    }
+
+    if (truncated && found === lastSection) {
+      result.status = 'truncated';
+      result.issues.push(finishReason === 'length'
+        ? 'Response hit the token limit in this section'
+        : 'Response ends inside a code block');
+    } else if (found.body.replace(/\s+/g, ' ').trim().length < MIN_SECTION_LENGTH) {
+      result.status = 'empty';
+      result.issues.push('Section has no content');
+    }
+
+    const mentioned = mentionedAssetFiles(found.body);
+    mentioned.forEach(name => allMentioned.add(name));
+    const unknown = checkAssets ? mentioned.filter(name => !known.has(name.toLowerCase())) : [];
+    unknown.forEach(name => allUnknown.add(name));
+    if (unknown.length > 0) {
+      if (result.status === 'ok') result.status = 'unknown-assets';
+      result.issues.push(`Not in assets.json: ${unknown.join(', ')}`);
+    }
+
+    return result;
+  });
+
+  const extraSections = document.sections
+    .filter(section => !required.some(req => findSection([section], req)))
+    .map(section => section.heading.replace(/^#+\s*/, ''));
+
+  return {
+    ok: results.every(result => result.status === 'ok'),
+    truncated,
+    sections: results,
+    assets: { mentioned: [...allMentioned].sort(), unknown: [...allUnknown].sort() },
+    extraSections
+  };
+}
+
+/**
+ * Prompt that asks for the failed sections only.
+ * context is the original prompt's part before "---"; failed is the lint
+ * results to fix, matched with the required sections for their outline.
+ */
+function repairPrompt(context, markdown, failed, required) {
+  const requests = failed.map((result) => {
+    const section = required.find(req => req.number === result.number);
+    return [section.heading, section.outline, '', `Problem: ${result.issues.join('; ')}`].join('\n');
+  });
+
+  return `${context.trim()}
+
+## PRD written so far:
+\`\`\`\`markdown
+${markdown.trim()}
+\`\`\`\`
+
+Some sections of this PRD are missing, incomplete or name asset files that don't exist. Write ONLY the sections listed below, complete and in order, each starting with its heading exactly as written. Name only asset files listed in assets.json. Do not repeat the other sections.
+
+---
+
+${requests.join('\n\n')}`;
+}
+
+/**
+ * Put new section text into a document. Sections that were present are
+ * replaced; missing ones are inserted after the nearest earlier section.
+ * replacementMarkdown holds "## N. Title" sections (e.g. a repair response).
+ */
+function mergeSections(markdown, replacementMarkdown, required) {
+  const document = splitSections(markdown.replace(/\s+$/, ''));
+  const replacements = splitSections(replacementMarkdown).sections;
+  const sections = [...document.sections];
+
+  for (const req of required) {
+    const replacement = findSection(replacements, req);
+    if (!replacement) continue;
+    const merged = { ...replacement, heading: req.heading, body: replacement.body.replace(/\s+$/, '') };
+
+    const existing = findSection(sections, req);
+    if (existing) {
+      sections[sections.indexOf(existing)] = merged;
+      continue;
+    }
+
+    // After the last section whose number is lower
+    let insertAt = 0;
+    sections.forEach((section, index) => {
+      const number = required.find(r => findSection([section], r))?.number ?? section.number;
+      if (number !== null && number < req.number) insertAt = index + 1;
+    });
+    sections.splice(insertAt, 0, merged);
+  }
+
+  return joinSections(document.preamble, sections);
+}
+
+// Remove required sections (e.g. one cut off by the token limit)
+function dropSections(markdown, numbers, required) {
+  const document = splitSections(markdown);
+  const dropped = required
+    .filter(req => numbers.includes(req.number))
+    .map(req => findSection(document.sections, req));
+  return joinSections(document.preamble, document.sections.filter(section => !dropped.includes(section)));
+}
+
+function joinSections(preamble, sections) {
+  const body = sections.map((section) => {
+    const text = section.body.replace(/^\n+|\s+$/g, '');
+    return text ? `${section.heading}\n\n${text}` : section.heading;
+  });
+  return [preamble.replace(/\s+$/, ''), ...body].filter(Boolean).join('\n\n') + '\n';
+}
+
+module.exports = {
+  outlineSections,
+  splitSections,
+  lintPrd,
+  repairPrompt,
+  mergeSections,
+  dropSections,
+  mentionedAssetFiles
+};
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Templates
+ *
+ * generate-mockup/prd/tdd/plan.js send the "## Prompt Template" block of
+ * prompts/01-04, with {{placeholder}} substitution, so the prompts can be
+ * tuned without editing the scripts. For each prompt the first file found
+ * wins:
+ *
+ *   1. <config.prompts.dir>/02-prd-generation.md   project override, e.g. a
+ *                                                   genre folder
+ *   2. prompts/02-prd-generation.md                 the project's copy
+ *   3. data/prompt-defaults.json                    built from prompts/ with
+ *                                                   --build-defaults
+ *
+ * An override file without a "## Prompt Template" heading is used whole.
+ * Placeholders are {{name}} or {{object.field}} ({{game.description}}); a
+ * placeholder the script doesn't provide is an error rather than an empty
+ * string, so a typo can't silently drop the PRD or assets.json from a prompt.
+ *
+ * Usage:
+ *   node scripts/prompt-templates.js                   # where each prompt comes from
+ *   node scripts/prompt-templates.js --build-defaults  # rebuild data/prompt-defaults.json
+ *
+ *   const { loadPrompt } = require('./prompt-templates');
+ *   const { prompt, template } = loadPrompt('prd', { game, assetsJson }, { projectRoot, config });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPT_FILES = {
+  mockup: '01-mockup-generation.md',
+  prd: '02-prd-generation.md',
+  tdd: '03-tdd-generation.md',
+  plan: '04-execution-plan.md'
+};
+const PROMPT_NAMES = Object.keys(PROMPT_FILES);
+const DEFAULTS_PATH = path.join(__dirname, 'data', 'prompt-defaults.json');
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function parseArgs(argv) {
+  const args = { buildDefaults: false, help: false };
+
+  for (const arg of argv) {
+    if (arg === '--build-defaults') args.buildDefaults = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+Prompt Templates
+
+Usage:
+  node scripts/prompt-templates.js [options]
+
+Shows which file each generator's prompt comes from and its placeholders.
+
+Options:
+  --build-defaults   Rebuild data/prompt-defaults.json (the fallback used
+                     when a project has no prompts/ file) from prompts/
+`);
+}
+
+/**
+ * The fenced block under "## Prompt Template" in a prompts/ file, or null
+ * when there is no such heading. The fence may be longer than three
+ * backticks so the prompt can contain code blocks of its own.
+ */
+function extractTemplate(markdown, source = 'template') {
+  const lines = markdown.split(/\r?\n/);
+  const heading = lines.findIndex(line => /^##\s+Prompt Template\s*$/.test(line));
+  if (heading === -1) return null;
+
+  for (let i = heading + 1; i < lines.length && !/^#{1,2}\s/.test(lines[i]); i++) {
+    const open = /^(`{3,}|~{3,})\s*[\w-]*\s*$/.exec(lines[i]);
+    if (!open) continue;
+    const fence = open[1];
+    // Closed by a bare fence of the same character, at least as long
+    const close = lines.findIndex((line, index) => index > i && /^(`{3,}|~{3,})\s*$/.test(line) &&
+      line[0] === fence[0] && line.trim().length >= fence.length);
+    if (close === -1) throw new Error(`${source}: the Prompt Template block is not closed (${fence})`);
+    return lines.slice(i + 1, close).join('\n');
+  }
+  throw new Error(`${source}: no fenced block under "## Prompt Template"`);
+}
+
+// Template text of a prompts/ file (an override without the heading is used whole)
+function readTemplateFile(filePath, source, { whole = false } = {}) {
+  const markdown = fs.readFileSync(filePath, 'utf-8');
+  const template = extractTemplate(markdown, source);
+  if (template !== null) return template;
+  if (whole) return markdown.replace(/\r?\n$/, '');
+  throw new Error(`${source}: no "## Prompt Template" section`);
+}
+
+/**
+ * The template used for a prompt.
+ * Returns { name, text, path, origin }; path is null for the built-in
+ * fallback, origin is 'override', 'project' or 'built-in'.
+ */
+function resolvePromptTemplate(name, { projectRoot, config = {} } = {}) {
+  if (!PROMPT_NAMES.includes(name)) {
+    throw new Error(`Unknown prompt "${name}". Options: ${PROMPT_NAMES.join(', ')}`);
+  }
+
+  const candidates = [];
+  if (config.prompts?.dir) candidates.push({ dir: path.resolve(projectRoot, config.prompts.dir), origin: 'override' });
+  candidates.push({ dir: path.join(projectRoot, 'prompts'), origin: 'project' });
+
+  for (const { dir, origin } of candidates) {
+    const templatePath = path.join(dir, PROMPT_FILES[name]);
+    if (fs.existsSync(templatePath)) {
+      const source = path.relative(projectRoot, templatePath).replace(/\\/g, '/');
+      const text = readTemplateFile(templatePath, source, { whole: origin === 'override' });
+      return { name, text, path: templatePath, origin };
+    }
+  }
+
+  const defaults = fs.existsSync(DEFAULTS_PATH) ? JSON.parse(fs.readFileSync(DEFAULTS_PATH, 'utf-8')) : {};
+  if (!defaults[name]) {
+    throw new Error(`No prompt template for ${name}: prompts/${PROMPT_FILES[name]} is missing`);
+  }
+  return { name, text: defaults[name], path: null, origin: 'built-in' };
+}
+
+// {{game.*}} values: config.json game settings plus a display title
+function gameVars(game) {
+  return { ...game, title: game.name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) };
+}
+
+// Placeholder names a template uses, in order of first use
+function templatePlaceholders(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+function lookup(vars, key) {
+  return key.split('.').reduce((value, part) => (value !== null && value !== undefined ? value[part] : undefined), vars);
+}
+
+/**
+ * Substitute {{placeholders}}.
+ * Throws listing every placeholder that vars doesn't provide as text.
+ */
+function renderTemplate(text, vars, { source = 'template' } = {}) {
+  const unknown = templatePlaceholders(text).filter((key) => {
+    const value = lookup(vars, key);
+    return typeof value !== 'string' && typeof value !== 'number';
+  });
+  if (unknown.length > 0) {
+    throw new Error(`${source}: unknown placeholder(s) ${unknown.map(key => `{{${key}}}`).join(', ')}`);
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, (match, key) => String(lookup(vars, key)));
+}
+
+// Where a template came from, for console output and version metadata
+function describeTemplate(template, projectRoot) {
+  return template.path ? path.relative(projectRoot, template.path).replace(/\\/g, '/') : `built-in (${template.name})`;
+}
+
+/**
+ * Resolve and render a prompt.
+ * Returns { prompt, template } (template as from resolvePromptTemplate).
+ */
+function loadPrompt(name, vars, { projectRoot, config } = {}) {
+  const template = resolvePromptTemplate(name, { projectRoot, config });
+  const source = describeTemplate(template, projectRoot);
+  return { prompt: renderTemplate(template.text, vars, { source }), template };
+}
+
+/**
+ * Write data/prompt-defaults.json from the Prompt Template blocks in
+ * promptsDir. Returns the path written.
+ */
+function buildDefaults(promptsDir, outputPath = DEFAULTS_PATH) {
+  const defaults = {};
+  for (const name of PROMPT_NAMES) {
+    const filePath = path.join(promptsDir, PROMPT_FILES[name]);
+    defaults[name] = readTemplateFile(filePath, PROMPT_FILES[name]);
+  }
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(defaults, null, 2) + '\n');
+  return outputPath;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  const projectRoot = path.join(__dirname, '..');
+
+  if (args.buildDefaults) {
+    const outputPath = buildDefaults(path.join(projectRoot, 'prompts'));
+    console.log(`✓ Wrote ${path.relative(projectRoot, outputPath)}`);
+    return;
+  }
+
+  const configPath = path.join(__dirname, 'config.json');
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf-8')) : {};
+  if (config.prompts?.dir) console.log(`Override folder: ${config.prompts.dir}`);
+
+  for (const name of PROMPT_NAMES) {
+    try {
+      const template = resolvePromptTemplate(name, { projectRoot, config });
+      console.log(`\n✓ ${name.padEnd(7)} ${describeTemplate(template, projectRoot)}`);
+      console.log(`  ${templatePlaceholders(template.text).map(key => `{{${key}}}`).join(' ') || '(no placeholders)'}`);
+    } catch (err) {
+      console.log(`\n✗ ${name.padEnd(7)} ${err.message}`);
+    }
+  }
+}
+
+// Export for use as module
+module.exports = {
+  PROMPT_FILES,
+  PROMPT_NAMES,
+  extractTemplate,
+  resolvePromptTemplate,
+  gameVars,
+  templatePlaceholders,
+  renderTemplate,
+  loadPrompt,
+  describeTemplate,
+  buildDefaults
+};
+
+// Run if called directly
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+
+/**
+ * Document Revision
+ *
+ * Revises the PRD, TDD or a plan from written feedback instead of editing by
+ * hand or regenerating from scratch. The current document and the feedback
+ * go to the configured LLM provider; the proposed changes are shown as a
+ * unified diff and can be accepted, rejected, or accepted section by section
+ * ("## " headings). Accepted revisions are versioned in docs/history/ (see
+ * history-store.js), so --undo can roll them back.
+ *
+ * Usage:
+ *   node scripts/revise.js prd "make the map smaller, add a wave timer"
+ *   node scripts/revise.js tdd "use a fixed timestep for physics"
+ *   node scripts/revise.js plan "split phase 2 into two phases" [--plan=name]
+ *   node scripts/revise.js prd --undo
+ *
+ *   --yes         Accept the whole revision without asking
+ *   --sections    Go straight to section-by-section review
+ *   --plan=NAME   Plan to revise (default: the most recent in plans/)
+ *   --undo        Put back the version before the current one
+ *   --mock        Replay recorded/canned responses, no network (see fixtures.js)
+ *   --record      Save the live response to fixtures/ for later replay
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createProvider } = require('./llm-provider');
+const { resolveProviderMode, resolveFixturesDir } = require('./fixtures');
+const { unifiedDiff, diffStats, colorDiff } = require('./text-diff');
+const { documentPath, listVersions, writeVersioned, restoreVersion } = require('./history-store');
+const { hashText } = require('./pipeline-state');
+
+const DOCUMENTS = {
+  prd: { label: 'Product Requirements Document (PRD)', upstream: [] },
+  tdd: { label: 'Technical Design Document (TDD)', upstream: ['prd'] },
+  plan: { label: 'execution plan', upstream: ['prd', 'tdd'] }
+};
+const PREAMBLE = '(preamble)';
+
+function parseArgs(argv) {
+  const args = {
+    doc: null,
+    feedback: [],
+    yes: false,
+    sections: false,
+    undo: false,
+    plan: null
+  };
+
+  for (const arg of argv) {
+    if (arg === '--yes' || arg === '-y') args.yes = true;
+    else if (arg === '--sections') args.sections = true;
+    else if (arg === '--undo') args.undo = true;
+    else if (arg.startsWith('--plan=')) args.plan = arg.split('=').slice(1).join('=');
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (!arg.startsWith('--')) {
+      if (args.doc === null) args.doc = arg;
+      else args.feedback.push(arg);
+    }
+  }
+
+  args.feedback = args.feedback.join(' ').trim();
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+Document Revision
+
+Usage:
+  node scripts/revise.js <prd|tdd|plan> "feedback" [options]
+  node scripts/revise.js <prd|tdd|plan> --undo
+
+Options:
+  --yes          Accept the whole revision without asking
+  --sections     Review the revision section by section
+  --plan=NAME    Plan to revise (default: most recent in plans/)
+  --undo         Roll back to the version before the current one
+  --mock         Replay recorded/canned responses (no network)
+  --record       Record the response to fixtures/
+`);
+}
+
+/**
+ * Split markdown at its "## " headings (outside code fences) so that the
+ * parts joined back together give the exact input.
+ * Returns [{ key, text }]; keys are the heading lines (numbered on repeats).
+ */
+function splitParts(markdown) {
+  const parts = [{ key: PREAMBLE, text: '' }];
+  const seen = {};
+  let inFence = false;
+
+  for (const line of markdown.match(/[^\n]*\n|[^\n]+$/g) || []) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (!inFence && /^## /.test(line)) {
+      const heading = line.trim();
+      seen[heading] = (seen[heading] || 0) + 1;
+      parts.push({ key: seen[heading] > 1 ? `${heading} (${seen[heading]})` : heading, text: line });
+    } else {
+      parts[parts.length - 1].text += line;
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Section-level changes between two documents, in the revised order.
+ * Returns [{ key, type: 'modified' | 'added' | 'removed', before, after }].
+ */
+function sectionChanges(before, after) {
+  const oldParts = splitParts(before);
+  const newParts = splitParts(after);
+  const oldByKey = new Map(oldParts.map(part => [part.key, part.text]));
+  const newKeys = new Set(newParts.map(part => part.key));
+  const changes = [];
+
+  for (const part of newParts) {
+    if (!oldByKey.has(part.key)) changes.push({ key: part.key, type: 'added', before: '', after: part.text });
+    else if (oldByKey.get(part.key) !== part.text) changes.push({ key: part.key, type: 'modified', before: oldByKey.get(part.key), after: part.text });
+  }
+  for (const part of oldParts) {
+    if (!newKeys.has(part.key)) changes.push({ key: part.key, type: 'removed', before: part.text, after: '' });
+  }
+
+  return changes.filter(change => change.before !== '' || change.after !== '');
+}
+
+/**
+ * Apply some section changes to the original document. Added sections go
+ * after the section that precedes them in the revision.
+ */
+function applySectionChanges(before, after, accepted) {
+  const parts = splitParts(before);
+  const newParts = splitParts(after);
+
+  for (const change of accepted) {
+    const index = parts.findIndex(part => part.key === change.key);
+    if (change.type === 'modified') {
+      parts[index].text = change.after;
+    } else if (change.type === 'removed') {
+      parts.splice(index, 1);
+    } else {
+      const newIndex = newParts.findIndex(part => part.key === change.key);
+      let insertAt = parts.length;
+      for (let i = newIndex - 1; i >= 0; i--) {
+        const previous = parts.findIndex(part => part.key === newParts[i].key);
+        if (previous >= 0) {
+          insertAt = previous + 1;
+          break;
+        }
+      }
+      // The section before it may not end with a newline
+      if (insertAt > 0 && !parts[insertAt - 1].text.endsWith('\n')) parts[insertAt - 1].text += '\n';
+      parts.splice(insertAt, 0, { key: change.key, text: change.after });
+    }
+  }
+
+  return parts.map(part => part.text).join('');
+}
+
+// Models often wrap the whole document in a ```markdown fence
+function unwrapDocument(text) {
+  const match = /^\s*(`{3,}|~{3,})(?:markdown|md)?\s*\n([\s\S]*?)\n\1\s*$/.exec(text);
+  return match ? match[2] + '\n' : text;
+}
+
+function buildPrompt({ doc, content, feedback, game, upstream }) {
+  const { label } = DOCUMENTS[doc];
+  const context = upstream
+    .map(({ name, text }) => `## ${DOCUMENTS[name].label} (for reference, do not revise):\n${text}`)
+    .join('\n\n');
+
+  return `You are revising the ${label} for a Three.js browser game.
+
+## Game Description:
+${game.description}
+${context ? `\n${context}\n` : ''}
+## Current ${label}:
+\`\`\`\`markdown
+${content}
+\`\`\`\`
+
+## Requested Changes:
+${feedback}
+
+---
+
+Apply the requested changes and return the COMPLETE revised document in markdown, with no commentary before or after it. Change only what the requested changes need, including sections they affect indirectly; copy every other line exactly as it is.`;
+}
+
+function ask(rl, question) {
+  return new Promise(resolve => rl.question(question, answer => resolve(answer.trim().toLowerCase())));
+}
+
+// Ask about each changed section; returns the accepted changes
+async function reviewSections(rl, changes, fileName) {
+  const accepted = [];
+  for (const [index, change] of changes.entries()) {
+    const name = change.key === PREAMBLE ? 'text before the first section' : change.key.replace(/^##\s*/, '');
+    console.log(`\n[${index + 1}/${changes.length}] ${change.type}: ${name}`);
+    console.log(colorDiff(unifiedDiff(change.before, change.after, { fromFile: `a/${fileName}`, toFile: `b/${fileName}` })));
+
+    const answer = await ask(rl, 'Accept this section? [y]es / [n]o / [q]uit (reject the rest): ');
+    if (answer === 'q') break;
+    if (answer === 'y' || answer === 'yes') accepted.push(change);
+  }
+  return accepted;
+}
+
+// The version before the current one (following restores back to their source)
+function previousVersion(versions, currentText) {
+  const hash = hashText(currentText);
+  let index = versions.map(v => v.meta.hash).lastIndexOf(hash);
+  // Edited by hand since the last version: going back means the last version
+  if (index === -1) return versions[versions.length - 1] || null;
+
+  while (versions[index].meta.source === 'restore') {
+    const source = versions.findIndex(v => v.id === versions[index].meta.restoredFrom);
+    if (source === -1) break;
+    index = source;
+  }
+  return index > 0 ? versions[index - 1] : null;
+}
+
+function undo(projectRoot, docPath) {
+  const relativePath = path.relative(projectRoot, docPath);
+  const versions = listVersions(projectRoot, docPath);
+  const target = previousVersion(versions, fs.existsSync(docPath) ? fs.readFileSync(docPath, 'utf-8') : '');
+  if (!target) {
+    console.log(`No earlier version of ${relativePath} in docs/history/`);
+    process.exit(1);
+  }
+
+  const current = fs.existsSync(docPath) ? fs.readFileSync(docPath, 'utf-8') : '';
+  const stats = diffStats(current, fs.readFileSync(target.path, 'utf-8'));
+  restoreVersion(projectRoot, docPath, target.id);
+  console.log(`✓ Restored ${relativePath} to version ${target.id} (${target.meta.source || 'unknown'}; +${stats.added} -${stats.removed} lines)`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  if (!DOCUMENTS[args.doc] || (!args.undo && !args.feedback)) {
+    console.log('Usage: node revise.js <prd|tdd|plan> "feedback" [--yes] [--sections] [--plan=name]');
+    console.log('       node revise.js <prd|tdd|plan> --undo');
+    process.exit(1);
+  }
+
+  const projectRoot = path.join(__dirname, '..');
+  const configPath = path.join(__dirname, 'config.json');
+  if (!fs.existsSync(configPath)) {
+    console.error('Error: config.json not found');
+    process.exit(1);
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+  const docPath = documentPath(projectRoot, args.doc, args.plan);
+  if (args.undo) {
+    if (!docPath) {
+      console.error('Error: no plan found in plans/');
+      process.exit(1);
+    }
+    undo(projectRoot, docPath);
+    return;
+  }
+
+  if (!docPath || !fs.existsSync(docPath)) {
+    console.error(`Error: ${docPath ? path.relative(projectRoot, docPath) : 'plans/*.md'} not found (generate it first)`);
+    process.exit(1);
+  }
+
+  const llm = createProvider(config, {
+    mode: resolveProviderMode(config, process.argv.slice(2)),
+    fixturesDir: resolveFixturesDir(config, projectRoot)
+  });
+
+  const relativePath = path.relative(projectRoot, docPath).replace(/\\/g, '/');
+  const content = fs.readFileSync(docPath, 'utf-8');
+  const upstream = DOCUMENTS[args.doc].upstream
+    .map(name => ({ name, path: documentPath(projectRoot, name) }))
+    .filter(doc => doc.path && fs.existsSync(doc.path))
+    .map(doc => ({ name: doc.name, text: fs.readFileSync(doc.path, 'utf-8') }));
+
+  console.log(`Revising ${relativePath} with ${llm.label} (${llm.model})...`);
+  console.log('Feedback:', args.feedback);
+
+  const prompt = buildPrompt({ doc: args.doc, content, feedback: args.feedback, game: config.game, upstream });
+  const response = await llm.complete({
+    prompt,
+    onChunk: () => process.stdout.write('.'),
+    fixture: `revise-${args.doc}`,
+    // Offline with nothing recorded: propose no changes rather than a placeholder
+    canned: content
+  });
+  console.log('\n');
+
+  if (response.finishReason === 'length') {
+    console.error('The revision was cut off at the token limit; nothing was changed.');
+    console.error('Raise llm.max_tokens in config.json or ask for a smaller change.');
+    process.exit(1);
+  }
+
+  let revised = unwrapDocument(response.text || '');
+  if (content.endsWith('\n') && !revised.endsWith('\n')) revised += '\n';
+  if (!revised.trim()) {
+    console.error('No content in response');
+    process.exit(1);
+  }
+  if (revised === content) {
+    console.log('The model proposed no changes.');
+    return;
+  }
+
+  const stats = diffStats(content, revised);
+  const changes = sectionChanges(content, revised);
+  console.log(colorDiff(unifiedDiff(content, revised, { fromFile: `a/${relativePath}`, toFile: `b/${relativePath}` })));
+  console.log(`${changes.length} section(s) changed, +${stats.added} -${stats.removed} lines\n`);
+
+  let result = null;
+  if (args.yes) {
+    result = revised;
+  } else if (!process.stdin.isTTY) {
+    console.log('Not an interactive terminal; re-run with --yes to accept this revision.');
+    return;
+  } else {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+      const answer = args.sections ? 's' : await ask(rl, '[a]ccept all / [r]eject / [s]ection by section: ');
+      if (answer === 'a' || answer === 'accept') {
+        result = revised;
+      } else if (answer === 's') {
+        const accepted = await reviewSections(rl, changes, relativePath);
+        if (accepted.length > 0) result = applySectionChanges(content, revised, accepted);
+        console.log(`\n${accepted.length} of ${changes.length} section(s) accepted`);
+      }
+    } finally {
+      rl.close();
+    }
+  }
+
+  if (result === null || result === content) {
+    console.log(`Revision rejected; ${relativePath} is unchanged.`);
+    return;
+  }
+
+  const version = writeVersioned(projectRoot, docPath, result, {
+    source: 'revise',
+    feedback: args.feedback,
+    provider: llm.provider,
+    model: llm.model,
+    partial: result !== revised,
+    prompt
+  });
+  console.log(`✓ Saved ${relativePath} (version ${version.id})`);
+  console.log(`  Roll back with: node scripts/revise.js ${args.doc}${args.plan ? ` --plan=${args.plan}` : ''} --undo`);
+}
+
+// Export for use as module
+module.exports = { splitParts, sectionChanges, applySectionChanges, unwrapDocument };
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Error:', err.message);
+    if (err.raw) console.error('Raw response:', err.raw);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,460 @@
+/**
+ * Gameplay Scenarios
+ *
+ * Loads and runs scripted input sequences for test-game.js. A scenario is a
+ * JSON file with a name and a list of steps:
+ *
+ *   {
+ *     "name": "Build a tower",
+ *     "steps": [
+ *       { "action": "waitFor", "assert": "state == \"playing\"", "timeout": 5000 },
+ *       { "action": "press", "key": "Digit1" },
+ *       { "action": "click", "x": 420, "y": 300 },
+ *       { "action": "wait", "ms": 500 },
+ *       { "action": "assert", "that": "towers.length >= 1" },
+ *       { "action": "screenshot", "name": "tower-built" }
+ *     ]
+ *   }
+ *
+ * Actions:
+ *   press      { key }                 Press and release a key (Playwright key
+ *                                      names: "KeyW", "ArrowUp", "Space"...)
+ *   hold       { key, ms }             Hold a key down for ms
+ *   keydown    { key } / keyup { key }
+ *   click      { x, y, button?, count? }
+ *   mousedown  { x, y, button? } / mouseup { x, y, button? }
+ *   move       { x, y }
+ *   drag       { from: [x, y], to: [x, y], button? }
+ *   wheel      { deltaX?, deltaY }
+ *   tap        { x, y }                Touch tap (touch devices only)
+ *   swipe      { from: [x, y], to: [x, y], ms? }
+ *   wait       { ms }
+ *   waitFor    { assert, timeout? }    Poll an assertion until it holds
+ *   screenshot { name }
+ *   assert     { that }
+ *
+ * Mouse coordinates are CSS pixels relative to the canvas' top-left corner.
+ * With an optional "canvas": { "width", "height" } they are scaled from that
+ * size to the canvas' actual size (used by replayed play sessions).
+ *
+ * An optional "devices": ["phone", "tablet"] limits a scenario to those
+ * devices of test-game.js --devices (e.g. for tap/swipe scenarios).
+ *
+ * Assertions are evaluated against the game's test state
+ * (window.__GAME__.getTestState(), falling back to the __GAME__ object):
+ *
+ *   score > 0                   ==, !=, >, >=, <, <= with a JSON value
+ *   state == "playing"
+ *   enemies[0].health < 100
+ *   gameOver                    truthy / !gameOver falsy
+ *   playerPosition changed      differs from its value when the scenario
+ *                               started (also: unchanged)
+ *
+ * Steps run in order; the first failing step fails the scenario and the
+ * remaining steps are reported as skipped. Waits go through the `wait`
+ * option, which advances virtual frames in deterministic mode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ACTIONS = {
+  press: ['key'],
+  hold: ['key', 'ms'],
+  keydown: ['key'],
+  keyup: ['key'],
+  click: ['x', 'y'],
+  mousedown: ['x', 'y'],
+  mouseup: ['x', 'y'],
+  move: ['x', 'y'],
+  drag: ['from', 'to'],
+  wheel: [],
+  tap: ['x', 'y'],
+  swipe: ['from', 'to'],
+  wait: ['ms'],
+  waitFor: ['assert'],
+  screenshot: ['name'],
+  assert: ['that']
+};
+
+// Parse a literal from an assertion: JSON when possible, else a bare string
+function parseValue(text) {
+  const trimmed = text.trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (err) {
+    const quoted = trimmed.match(/^'(.*)'$/);
+    return quoted ? quoted[1] : trimmed;
+  }
+}
+
+/**
+ * Parse "path op value" into { path, op, value, source }.
+ * op is ==, !=, >, >=, <, <=, 'changed', 'unchanged', 'truthy' or 'falsy'.
+ */
+function parseAssertion(source) {
+  const text = String(source).trim();
+
+  const unary = text.match(/^(\S+)\s+(changed|unchanged)$/);
+  if (unary) return { path: unary[1], op: unary[2], value: null, source: text };
+
+  const comparison = text.match(/^(\S+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/);
+  if (comparison) {
+    return { path: comparison[1], op: comparison[2], value: parseValue(comparison[3]), source: text };
+  }
+
+  const truthiness = text.match(/^(!?)(\S+)$/);
+  if (truthiness) {
+    return { path: truthiness[2], op: truthiness[1] ? 'falsy' : 'truthy', value: null, source: text };
+  }
+
+  throw new Error(`Cannot parse assertion "${text}" (expected "path op value")`);
+}
+
+function stepAssertion(step) {
+  if (step.action === 'assert') return step.that;
+  if (step.action === 'waitFor') return step.assert;
+  return null;
+}
+
+/**
+ * Check a scenario's structure. Throws with the file name and step number
+ * of the first problem.
+ */
+function validateScenario(scenario, file) {
+  const where = file ? path.basename(file) : 'scenario';
+
+  if (!scenario || typeof scenario !== 'object') throw new Error(`${where}: not a JSON object`);
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    throw new Error(`${where}: "steps" must be a non-empty array`);
+  }
+
+  scenario.steps.forEach((step, index) => {
+    const label = `${where} step ${index + 1}`;
+    const required = ACTIONS[step?.action];
+    if (!required) {
+      throw new Error(`${label}: unknown action "${step?.action}". Options: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    for (const field of required) {
+      if (step[field] === undefined) throw new Error(`${label}: "${step.action}" needs "${field}"`);
+    }
+    const assertion = stepAssertion(step);
+    if (assertion !== null) {
+      try {
+        parseAssertion(assertion);
+      } catch (err) {
+        throw new Error(`${label}: ${err.message}`);
+      }
+    }
+  });
+
+  return scenario;
+}
+
+/**
+ * Load scenarios from a file or a directory of *.json files (not
+ * recursive, so scenarios/examples/ is not picked up by default).
+ */
+function loadScenarios(target) {
+  const stat = fs.statSync(target);
+  const files = stat.isDirectory()
+    ? fs.readdirSync(target)
+        .filter(name => name.toLowerCase().endsWith('.json'))
+        .sort()
+        .map(name => path.join(target, name))
+    : [target];
+
+  return files.map((file) => {
+    let scenario;
+    try {
+      scenario = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw new Error(`${path.basename(file)}: invalid JSON (${err.message})`);
+    }
+    validateScenario(scenario, file);
+    return {
+      ...scenario,
+      name: scenario.name || path.basename(file, '.json'),
+      file
+    };
+  });
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scenario';
+}
+
+/**
+ * Swipe with a single finger from one page point to another. Playwright
+ * only has touchscreen.tap(), so the touch sequence goes through CDP.
+ */
+async function touchSwipe(page, from, to, { steps = 10, ms = 200, wait = (delay) => page.waitForTimeout(delay) } = {}) {
+  const client = await page.context().newCDPSession(page);
+  try {
+    await client.send('Input.dispatchTouchEvent', { type: 'touchStart', touchPoints: [{ x: from.x, y: from.y }] });
+    for (let i = 1; i <= steps; i++) {
+      const x = from.x + (to.x - from.x) * (i / steps);
+      const y = from.y + (to.y - from.y) * (i / steps);
+      await wait(ms / steps);
+      await client.send('Input.dispatchTouchEvent', { type: 'touchMove', touchPoints: [{ x, y }] });
+    }
+    await client.send('Input.dispatchTouchEvent', { type: 'touchEnd', touchPoints: [] });
+  } finally {
+    await client.detach().catch(() => {});
+  }
+}
+
+// Read values at the given paths from the game's test state, in the page
+async function readStateValues(page, paths) {
+  return page.evaluate((paths) => {
+    const game = globalThis.__GAME__ || globalThis.game || globalThis.GAME || globalThis.__game || null;
+    if (!game) return { ok: false, reason: 'Missing global debug handle (expected window.__GAME__)' };
+
+    const state =
+      (typeof game.getTestState === 'function' && game.getTestState()) ||
+      (typeof game.getState === 'function' && game.getState()) ||
+      game.state ||
+      null;
+
+    // Plain, depth-limited copy (three.js objects have cycles)
+    const toPlain = (value, depth) => {
+      if (value === null || typeof value !== 'object') return value === undefined ? null : value;
+      if (depth > 4) return '[object]';
+      if (Array.isArray(value)) return value.slice(0, 100).map(v => toPlain(v, depth + 1));
+      const out = {};
+      for (const key of Object.keys(value)) {
+        if (typeof value[key] === 'function' || key === 'parent') continue;
+        out[key] = toPlain(value[key], depth + 1);
+      }
+      return out;
+    };
+
+    const lookup = (root, p) => {
+      let current = root;
+      for (const segment of p.replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean)) {
+        if (current === null || current === undefined) return { found: false };
+        if (!(segment in Object(current))) return { found: false };
+        current = current[segment];
+      }
+      return { found: true, value: current };
+    };
+
+    const values = {};
+    for (const p of paths) {
+      let result = state && typeof state === 'object' ? lookup(state, p) : { found: false };
+      if (!result.found) result = lookup(game, p);
+      values[p] = result.found ? { found: true, value: toPlain(result.value, 0) } : { found: false };
+    }
+    return { ok: true, values };
+  }, paths);
+}
+
+// Evaluate a parsed assertion against a value read from the page
+function evaluateAssertion(assertion, read, initial) {
+  if (!read.found) return { ok: false, actual: undefined, reason: `${assertion.path} is not defined` };
+  const actual = read.value;
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  switch (assertion.op) {
+    case 'truthy': return { ok: !!actual, actual };
+    case 'falsy': return { ok: !actual, actual };
+    case 'changed': return { ok: !same(actual, initial), actual, initial };
+    case 'unchanged': return { ok: same(actual, initial), actual, initial };
+    case '==': return { ok: same(actual, assertion.value), actual };
+    case '!=': return { ok: !same(actual, assertion.value), actual };
+  }
+
+  if (typeof actual !== 'number' || typeof assertion.value !== 'number') {
+    return { ok: false, actual, reason: `${assertion.op} needs numbers` };
+  }
+  if (assertion.op === '>') return { ok: actual > assertion.value, actual };
+  if (assertion.op === '>=') return { ok: actual >= assertion.value, actual };
+  if (assertion.op === '<') return { ok: actual < assertion.value, actual };
+  return { ok: actual <= assertion.value, actual };
+}
+
+async function checkAssertion(page, assertion, initialValues) {
+  const state = await readStateValues(page, [assertion.path]);
+  if (!state.ok) return { ok: false, reason: state.reason };
+  return evaluateAssertion(assertion, state.values[assertion.path], initialValues[assertion.path]?.value);
+}
+
+function describeStep(step) {
+  switch (step.action) {
+    case 'press':
+    case 'keydown':
+    case 'keyup': return `${step.action} ${step.key}`;
+    case 'hold': return `hold ${step.key} for ${step.ms}ms`;
+    case 'click':
+    case 'mousedown':
+    case 'mouseup':
+    case 'move': return `${step.action} at ${step.x},${step.y}`;
+    case 'drag': return `drag ${step.from.join(',')} -> ${step.to.join(',')}`;
+    case 'wheel': return `wheel ${step.deltaX || 0},${step.deltaY || 0}`;
+    case 'tap': return `tap at ${step.x},${step.y}`;
+    case 'swipe': return `swipe ${step.from.join(',')} -> ${step.to.join(',')}`;
+    case 'wait': return `wait ${step.ms}ms`;
+    case 'waitFor': return `wait for ${step.assert}`;
+    case 'screenshot': return `screenshot ${step.name}`;
+    case 'assert': return `assert ${step.that}`;
+    default: return step.action;
+  }
+}
+
+/**
+ * Run one scenario against an open page.
+ *
+ * Returns { name, file, status, durationMs, steps } where each step is
+ * { index, action, description, status, durationMs, details }.
+ */
+async function runScenario(page, scenario, { screenshotsDir, wait = (ms) => page.waitForTimeout(ms) }) {
+  const startedAt = Date.now();
+  const canvas = page.locator('canvas').first();
+  const shotsDir = path.join(screenshotsDir, 'scenarios', slugify(scenario.name));
+
+  // Values for "changed"/"unchanged" are captured before the first step
+  const assertions = scenario.steps.map(step => {
+    const source = stepAssertion(step);
+    return source === null ? null : parseAssertion(source);
+  });
+  const baselinePaths = [...new Set(assertions
+    .filter(a => a && (a.op === 'changed' || a.op === 'unchanged'))
+    .map(a => a.path))];
+  let initialValues = {};
+  if (baselinePaths.length > 0) {
+    const initial = await readStateValues(page, baselinePaths);
+    if (initial.ok) initialValues = initial.values;
+  }
+
+  const canvasPoint = async (x, y) => {
+    const box = await canvas.boundingBox();
+    if (!box) throw new Error('Canvas is not visible');
+    const scaleX = scenario.canvas?.width ? box.width / scenario.canvas.width : 1;
+    const scaleY = scenario.canvas?.height ? box.height / scenario.canvas.height : 1;
+    return { x: box.x + x * scaleX, y: box.y + y * scaleY };
+  };
+
+  const steps = [];
+  let failed = false;
+
+  for (const [index, step] of scenario.steps.entries()) {
+    const result = { index: index + 1, action: step.action, description: describeStep(step), status: 'pass', durationMs: 0, details: null };
+    steps.push(result);
+
+    if (failed) {
+      result.status = 'skip';
+      continue;
+    }
+
+    const stepStart = Date.now();
+    try {
+      switch (step.action) {
+        case 'press':
+          await page.keyboard.press(step.key);
+          break;
+        case 'hold':
+          await page.keyboard.down(step.key);
+          await wait(step.ms);
+          await page.keyboard.up(step.key);
+          break;
+        case 'keydown':
+          await page.keyboard.down(step.key);
+          break;
+        case 'keyup':
+          await page.keyboard.up(step.key);
+          break;
+        case 'click': {
+          const p = await canvasPoint(step.x, step.y);
+          await page.mouse.click(p.x, p.y, { button: step.button || 'left', clickCount: step.count || 1 });
+          break;
+        }
+        case 'mousedown':
+        case 'mouseup': {
+          const p = await canvasPoint(step.x, step.y);
+          await page.mouse.move(p.x, p.y);
+          await page.mouse[step.action === 'mousedown' ? 'down' : 'up']({ button: step.button || 'left' });
+          break;
+        }
+        case 'move': {
+          const p = await canvasPoint(step.x, step.y);
+          await page.mouse.move(p.x, p.y);
+          break;
+        }
+        case 'drag': {
+          const from = await canvasPoint(step.from[0], step.from[1]);
+          const to = await canvasPoint(step.to[0], step.to[1]);
+          await page.mouse.move(from.x, from.y);
+          await page.mouse.down({ button: step.button || 'left' });
+          await page.mouse.move(to.x, to.y, { steps: step.steps || 10 });
+          await page.mouse.up({ button: step.button || 'left' });
+          break;
+        }
+        case 'wheel':
+          await page.mouse.wheel(step.deltaX || 0, step.deltaY || 0);
+          break;
+        case 'tap': {
+          const p = await canvasPoint(step.x, step.y);
+          await page.touchscreen.tap(p.x, p.y);
+          break;
+        }
+        case 'swipe': {
+          const from = await canvasPoint(step.from[0], step.from[1]);
+          const to = await canvasPoint(step.to[0], step.to[1]);
+          await touchSwipe(page, from, to, { ms: step.ms ?? 200, wait });
+          break;
+        }
+        case 'wait':
+          await wait(step.ms);
+          break;
+        case 'waitFor': {
+          const timeout = step.timeout ?? 5000;
+          let waited = 0;
+          let check = await checkAssertion(page, assertions[index], initialValues);
+          while (!check.ok && waited < timeout) {
+            await wait(100);
+            waited += 100;
+            check = await checkAssertion(page, assertions[index], initialValues);
+          }
+          result.details = check;
+          if (!check.ok) throw new Error(`Timed out after ${timeout}ms waiting for ${step.assert}`);
+          break;
+        }
+        case 'screenshot': {
+          fs.mkdirSync(shotsDir, { recursive: true });
+          const screenshotPath = path.join(shotsDir, `${slugify(step.name)}.png`);
+          await page.screenshot({ path: screenshotPath, fullPage: true });
+          result.details = { path: screenshotPath };
+          break;
+        }
+        case 'assert': {
+          const check = await checkAssertion(page, assertions[index], initialValues);
+          result.details = check;
+          if (!check.ok) throw new Error(check.reason || `Assertion failed: ${step.that}`);
+          break;
+        }
+      }
+    } catch (err) {
+      result.status = 'fail';
+      result.details = { ...(result.details || {}), error: err instanceof Error ? err.message : String(err) };
+      failed = true;
+    }
+    result.durationMs = Date.now() - stepStart;
+  }
+
+  return {
+    name: scenario.name,
+    file: scenario.file || null,
+    status: failed ? 'fail' : 'pass',
+    durationMs: Date.now() - startedAt,
+    steps
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  parseAssertion,
+  validateScenario,
+  loadScenarios,
+  runScenario,
+  touchSwipe
+};
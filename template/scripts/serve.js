@@ -0,0 +1,416 @@
+#!/usr/bin/env node
+
+/**
+ * Development Server
+ *
+ * Static server for `public/` with live reload. Shared by test-game.js and
+ * play-game.js, and runnable on its own while developing the game.
+ *
+ * Usage:
+ *   node scripts/serve.js
+ *   node scripts/serve.js --port=8080 --host=0.0.0.0
+ *   node scripts/serve.js --isolate      # COOP/COEP (SharedArrayBuffer)
+ *   node scripts/serve.js --no-reload
+ *
+ * Features:
+ *   - Streams files, with Range requests (audio/video seeking) and ETags
+ *   - Directory index (index.html, else a file listing)
+ *   - MIME types for three.js assets (.glb, .ktx2, .hdr, .wasm, .webp...)
+ *   - Live reload: HTML pages get a small script that listens on a
+ *     Server-Sent Events stream and reloads when anything in public/ changes
+ *   - --isolate sends Cross-Origin-Opener-Policy / Cross-Origin-Embedder-Policy
+ *     so the page is cross-origin isolated (CDN imports must then allow CORS)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const LIVE_RELOAD_PATH = '/__livereload';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.ktx2': 'image/ktx2',
+  '.basis': 'application/octet-stream',
+  '.hdr': 'image/vnd.radiance',
+  '.exr': 'image/x-exr',
+  '.gltf': 'model/gltf+json',
+  '.glb': 'model/gltf-binary',
+  '.bin': 'application/octet-stream',
+  '.obj': 'text/plain; charset=utf-8',
+  '.fbx': 'application/octet-stream',
+  '.wasm': 'application/wasm',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf'
+};
+
+const LIVE_RELOAD_CLIENT = `<script>
+(() => {
+  const source = new EventSource('${LIVE_RELOAD_PATH}');
+  source.addEventListener('reload', () => location.reload());
+})();
+</script>`;
+
+function contentTypeFor(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+function etagFor(stat) {
+  return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse a single "bytes=start-end" range. Returns { start, end }, null when
+ * there is no usable Range header, or 'invalid' when it can't be satisfied.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match) return null;
+  const [, startText, endText] = match;
+
+  let start;
+  let end;
+  if (startText === '') {
+    // Suffix range: the last N bytes
+    if (endText === '') return 'invalid';
+    start = Math.max(0, size - Number(endText));
+    end = size - 1;
+  } else {
+    start = Number(startText);
+    end = endText === '' ? size - 1 : Math.min(Number(endText), size - 1);
+  }
+
+  if (start > end || start >= size) return 'invalid';
+  return { start, end };
+}
+
+function injectLiveReload(html) {
+  return html.includes('</body>')
+    ? html.replace('</body>', `${LIVE_RELOAD_CLIENT}\n</body>`)
+    : html + LIVE_RELOAD_CLIENT;
+}
+
+function sendListing(res, dirPath, urlPath) {
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(item => !item.name.startsWith('.'))
+    .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+  const links = entries.map((item) => {
+    const name = item.isDirectory() ? `${item.name}/` : item.name;
+    return `<li><a href="${encodeURI(path.posix.join(urlPath, name))}">${escapeHtml(name)}</a></li>`;
+  });
+  if (urlPath !== '/') links.unshift('<li><a href="../">../</a></li>');
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.end(`<!DOCTYPE html><title>${escapeHtml(urlPath)}</title><h1>${escapeHtml(urlPath)}</h1><ul>${links.join('')}</ul>`);
+}
+
+// Watch a directory tree; falls back to one watcher per folder where
+// recursive fs.watch is unavailable (Linux before Node 20)
+function watchTree(root, onChange) {
+  try {
+    const watcher = fs.watch(root, { recursive: true }, (event, file) => onChange(file));
+    return () => watcher.close();
+  } catch (err) {
+    const watchers = [];
+    const walk = (dir) => {
+      watchers.push(fs.watch(dir, (event, file) => onChange(path.relative(root, path.join(dir, file || '')))));
+      for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules') walk(path.join(dir, item.name));
+      }
+    };
+    walk(root);
+    return () => watchers.forEach(watcher => watcher.close());
+  }
+}
+
+/**
+ * Create the request handler and live-reload state for a root directory.
+ */
+function createHandler(rootDir, { liveReload, isolate, onRequest }) {
+  const clients = new Set();
+
+  const handler = (req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url || '/', 'http://localhost').pathname);
+    } catch (err) {
+      res.statusCode = 400;
+      res.end('Bad Request');
+      return;
+    }
+
+    if (isolate) {
+      res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+      res.setHeader('Cross-Origin-Embedder-Policy', 'require-corp');
+      res.setHeader('Cross-Origin-Resource-Policy', 'same-origin');
+    }
+
+    res.on('finish', () => {
+      if (onRequest) onRequest(req, res);
+    });
+
+    if (liveReload && urlPath === LIVE_RELOAD_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.statusCode = 405;
+      res.setHeader('Allow', 'GET, HEAD');
+      res.end('Method Not Allowed');
+      return;
+    }
+
+    // Prevent path traversal
+    const resolved = path.resolve(rootDir, '.' + path.posix.normalize(urlPath));
+    if (resolved !== rootDir && !resolved.startsWith(rootDir + path.sep)) {
+      res.statusCode = 403;
+      res.end('Forbidden');
+      return;
+    }
+
+    let filePath = resolved;
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (err) {
+      res.statusCode = 404;
+      res.end('Not Found');
+      return;
+    }
+
+    if (stat.isDirectory()) {
+      if (!urlPath.endsWith('/')) {
+        res.statusCode = 301;
+        res.setHeader('Location', urlPath + '/');
+        res.end();
+        return;
+      }
+      const indexPath = path.join(filePath, 'index.html');
+      if (!fs.existsSync(indexPath)) {
+        sendListing(res, filePath, urlPath);
+        return;
+      }
+      filePath = indexPath;
+      stat = fs.statSync(filePath);
+    }
+
+    const contentType = contentTypeFor(filePath);
+    const etag = etagFor(stat);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('ETag', etag);
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (req.headers['if-none-match'] === etag) {
+      res.statusCode = 304;
+      res.end();
+      return;
+    }
+
+    // HTML gets the live-reload client, so it is sent whole
+    if (liveReload && contentType.startsWith('text/html')) {
+      const body = Buffer.from(injectLiveReload(fs.readFileSync(filePath, 'utf-8')));
+      res.statusCode = 200;
+      res.setHeader('Content-Length', body.length);
+      res.end(req.method === 'HEAD' ? undefined : body);
+      return;
+    }
+
+    let start = 0;
+    let end = stat.size - 1;
+    const range = parseRange(req.headers.range, stat.size);
+    if (range === 'invalid') {
+      res.statusCode = 416;
+      res.setHeader('Content-Range', `bytes */${stat.size}`);
+      res.end();
+      return;
+    }
+    if (range) {
+      ({ start, end } = range);
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    } else {
+      res.statusCode = 200;
+    }
+    res.setHeader('Content-Length', stat.size === 0 ? 0 : end - start + 1);
+
+    if (req.method === 'HEAD' || stat.size === 0) {
+      res.end();
+      return;
+    }
+
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (err) => {
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  };
+
+  const reload = (file) => {
+    for (const client of clients) client.write(`event: reload\ndata: ${JSON.stringify(file || '')}\n\n`);
+  };
+
+  return { handler, clients, reload };
+}
+
+/**
+ * Start a server for rootDir.
+ *
+ * options: port (0 = any free port), host, liveReload, isolate (COOP/COEP),
+ * onRequest(req, res) called after each response.
+ * Resolves with { url, port, server, close() }.
+ */
+async function startServer(rootDir, { port = 0, host = '127.0.0.1', liveReload = false, isolate = false, onRequest = null } = {}) {
+  const root = path.resolve(rootDir);
+  const { handler, clients, reload } = createHandler(root, { liveReload, isolate, onRequest });
+  const server = http.createServer(handler);
+
+  let stopWatching = null;
+  if (liveReload) {
+    let timer = null;
+    stopWatching = watchTree(root, (file) => {
+      // Editors write in bursts; reload once per burst
+      clearTimeout(timer);
+      timer = setTimeout(() => reload(file), 100);
+    });
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve());
+  });
+
+  const address = server.address();
+  const displayHost = host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+
+  return {
+    url: `http://${displayHost}:${address.port}/`,
+    port: address.port,
+    server,
+    close() {
+      if (stopWatching) stopWatching();
+      for (const client of clients) client.end();
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        // Keep-alive connections would otherwise hold close() open
+        if (server.closeAllConnections) server.closeAllConnections();
+      });
+    }
+  };
+}
+
+function parseArgs(argv) {
+  const args = {
+    port: 8080,
+    host: '127.0.0.1',
+    liveReload: true,
+    isolate: false,
+    verbose: false
+  };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--port=')) args.port = Number(arg.split('=').slice(1).join('='));
+    else if (arg.startsWith('--host=')) args.host = arg.split('=').slice(1).join('=');
+    else if (arg === '--no-reload') args.liveReload = false;
+    else if (arg === '--isolate') args.isolate = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+  }
+
+  return args;
+}
+
+function printHelp() {
+  console.log(`
+Development Server
+
+Usage:
+  node scripts/serve.js [options]
+
+Options:
+  --port=N           Port (default: 8080, 0 = any free port)
+  --host=HOST        Interface to bind (default: 127.0.0.1; 0.0.0.0 for LAN/phones)
+  --no-reload        Disable live reload
+  --isolate          Send COOP/COEP headers (cross-origin isolation)
+  --verbose          Log every request
+`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  const publicDir = path.join(__dirname, '..', 'public');
+  if (!fs.existsSync(publicDir)) {
+    console.error(`Error: ${publicDir} not found`);
+    process.exit(1);
+  }
+
+  const dev = await startServer(publicDir, {
+    port: args.port,
+    host: args.host,
+    liveReload: args.liveReload,
+    isolate: args.isolate,
+    onRequest: args.verbose ? (req, res) => console.log(`${res.statusCode} ${req.method} ${req.url}`) : null
+  });
+
+  console.log(`🌐 Serving ${publicDir}`);
+  console.log(`   ${dev.url}`);
+  if (args.liveReload) console.log('   Live reload on (pages reload when public/ changes)');
+  if (args.isolate) console.log('   Cross-origin isolation on (COOP/COEP)');
+  console.log('Press Ctrl+C to stop.');
+
+  process.on('SIGINT', () => {
+    dev.close().then(() => process.exit(0));
+  });
+}
+
+// Export for use as module
+module.exports = { MIME_TYPES, contentTypeFor, parseRange, startServer };
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
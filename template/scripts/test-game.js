@@ -3,22 +3,97 @@
 /**
  * Game smoke test runner (Playwright)
  *
- * Starts a local static server for `public/`, opens `public/index.html`,
+ * Starts the dev server (scripts/serve.js) for `public/`, opens `public/index.html`,
  * takes screenshots, and runs basic checks suitable for AI-driven iteration.
  *
  * Usage:
  *   node scripts/test-game.js
  *   node scripts/test-game.js --headed
  *   node scripts/test-game.js --url=http://127.0.0.1:8080/
+ *   node scripts/test-game.js --min-fps=30 --max-draw-calls=200
+ *   node scripts/test-game.js --update-baselines
+ *   node scripts/test-game.js --scenario=scenarios/build-tower.json
+ *   node scripts/test-game.js --deterministic --seed=42
+ *   node scripts/test-game.js --devices
+ *   node scripts/test-game.js --devices=phone,tablet
+ *   node scripts/test-game.js --reporter=json,junit,html
+ *   node scripts/test-game.js --replay=artifacts/game-testing/sessions/session-<time>.json
+ *
+ * Games are expected to install the debug API from public/debug-api.js
+ * (window.__GAME__); older games exposing `game`/`GAME` globals are probed
+ * on a best-effort basis.
  *
  * Output:
  *   - Screenshots: artifacts/game-testing/screenshots/
+ *   - Visual diffs: artifacts/game-testing/diffs/
  *   - Results JSON: artifacts/game-testing/results.json
+ *   - Other reports (--reporter): junit.xml, results.tap, report.html
+ *
+ * Visual regression: screenshots are compared pixel by pixel with the
+ * baselines in tests/baselines/ (see visual-diff.js; needs sharp).
+ *
+ * Scenarios: scripted key/mouse sequences with assertions on game state
+ * (see scenarios.js). Every *.json in scenarios/ runs by default; each
+ * scenario starts from a fresh page load. --replay turns a session recorded
+ * by play-game.js into a scenario (see input-session.js).
+ *
+ * --deterministic virtualizes time, requestAnimationFrame and Math.random
+ * (see deterministic.js) so screenshots and state are reproducible.
+ *
+ * Responses are cross-referenced with public/assets/<game>/assets.json to
+ * report which indexed models the game loaded (see asset-usage.js).
+ *
+ * --devices runs the suite once per device (desktop, ultrawide, phone,
+ * tablet), checking canvas letterboxing and, on touch devices, taps and
+ * swipes. results.json then groups checks under `devices`. A device that
+ * can't be tested gets a failed check and the rest of the matrix still runs.
  */
 
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const visualDiff = require('./visual-diff');
+const { loadScenarios, runScenario, touchSwipe } = require('./scenarios');
+const { loadSession, sessionToScenario } = require('./input-session');
+const { DEFAULT_SEED, DEFAULT_FRAME_MS, installDeterministic, createWaiter } = require('./deterministic');
+const { REPORTERS, parseReporters, writeReports } = require('./test-reporters');
+const { loadAssetIndex, trackResponses, analyzeAssetUsage } = require('./asset-usage');
+const { startServer } = require('./serve');
+
+// Device matrix for --devices
+const DEVICES = {
+  desktop: {
+    name: 'desktop',
+    label: 'Desktop 16:9',
+    viewport: { width: 1280, height: 720 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false
+  },
+  ultrawide: {
+    name: 'ultrawide',
+    label: 'Ultrawide 21:9',
+    viewport: { width: 2560, height: 1080 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false
+  },
+  phone: {
+    name: 'phone',
+    label: 'Phone (portrait)',
+    viewport: { width: 390, height: 844 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true
+  },
+  tablet: {
+    name: 'tablet',
+    label: 'Tablet (landscape)',
+    viewport: { width: 1180, height: 820 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true
+  }
+};
 
 function parseArgs(argv) {
   const args = {
@@ -26,7 +101,23 @@ function parseArgs(argv) {
     url: null,
     timeoutMs: 30_000,
     expectDebugApi: false,
-    outDir: null
+    outDir: null,
+    perfWindowMs: 3000,
+    minFps: null,
+    maxDrawCalls: null,
+    baselineDir: null,
+    updateBaselines: false,
+    diffTolerance: 0.01,
+    pixelTolerance: 16,
+    scenarios: [],
+    replays: [],
+    noScenarios: false,
+    deterministic: false,
+    seed: DEFAULT_SEED,
+    frameMs: DEFAULT_FRAME_MS,
+    devices: null,
+    reporters: [],
+    isolate: false
   };
 
   for (const arg of argv) {
@@ -35,12 +126,42 @@ function parseArgs(argv) {
     else if (arg.startsWith('--timeout=')) args.timeoutMs = Number(arg.split('=').slice(1).join('='));
     else if (arg === '--expect-debug') args.expectDebugApi = true;
     else if (arg.startsWith('--out-dir=')) args.outDir = arg.split('=').slice(1).join('=');
+    else if (arg.startsWith('--perf-window=')) args.perfWindowMs = Number(arg.split('=').slice(1).join('='));
+    else if (arg.startsWith('--min-fps=')) args.minFps = Number(arg.split('=').slice(1).join('='));
+    else if (arg.startsWith('--max-draw-calls=')) args.maxDrawCalls = Number(arg.split('=').slice(1).join('='));
+    else if (arg.startsWith('--baseline-dir=')) args.baselineDir = arg.split('=').slice(1).join('=');
+    else if (arg === '--update-baselines') args.updateBaselines = true;
+    else if (arg.startsWith('--diff-tolerance=')) args.diffTolerance = Number(arg.split('=').slice(1).join('='));
+    else if (arg.startsWith('--pixel-tolerance=')) args.pixelTolerance = Number(arg.split('=').slice(1).join('='));
+    else if (arg.startsWith('--scenario=')) args.scenarios.push(arg.split('=').slice(1).join('='));
+    else if (arg === '--no-scenarios') args.noScenarios = true;
+    else if (arg.startsWith('--replay=')) args.replays.push(arg.split('=').slice(1).join('='));
+    else if (arg === '--deterministic') args.deterministic = true;
+    else if (arg.startsWith('--seed=')) args.seed = Number(arg.split('=').slice(1).join('='));
+    else if (arg.startsWith('--frame-ms=')) args.frameMs = Number(arg.split('=').slice(1).join('='));
+    else if (arg === '--devices') args.devices = 'all';
+    else if (arg.startsWith('--devices=')) args.devices = arg.split('=').slice(1).join('=');
+    else if (arg.startsWith('--reporter=')) args.reporters.push(arg.split('=').slice(1).join('='));
+    else if (arg === '--isolate') args.isolate = true;
     else if (arg === '--help' || arg === '-h') args.help = true;
   }
 
   return args;
 }
 
+// --devices value -> list of DEVICES entries (desktop only when not given)
+function resolveDevices(value) {
+  if (!value) return [DEVICES.desktop];
+  if (value === 'all') return Object.values(DEVICES);
+
+  return value.split(',').map(name => name.trim()).filter(Boolean).map((name) => {
+    if (!DEVICES[name]) {
+      throw new Error(`Unknown device "${name}". Options: ${Object.keys(DEVICES).join(', ')}`);
+    }
+    return DEVICES[name];
+  });
+}
+
 function printHelp() {
   console.log(`
 Game Testing (Playwright)
@@ -54,6 +175,29 @@ Options:
   --timeout=MS       Navigation timeout in milliseconds (default: 30000)
   --out-dir=DIR      Output directory (default: artifacts/game-testing)
   --expect-debug     Fail if window.__GAME__ debug API is missing
+  --perf-window=MS   How long to sample frame times (default: 3000)
+  --min-fps=N        Fail if the average FPS over the window is below N
+  --max-draw-calls=N Fail if renderer.info reports more than N draw calls
+                     (requires window.__GAME__.renderer)
+  --baseline-dir=DIR Visual baselines directory (default: tests/baselines)
+  --update-baselines Save this run's screenshots as the new baselines
+  --diff-tolerance=R Max fraction of changed pixels per screenshot (default: 0.01)
+  --pixel-tolerance=N Per-channel difference (0-255) ignored as noise (default: 16)
+  --scenario=PATH    Run a scenario file or directory (repeatable;
+                     default: every *.json in scenarios/)
+  --no-scenarios     Skip scenarios
+  --replay=FILE      Replay a play-game.js session (repeatable); screenshots
+                     are taken at F8 marks and at the end. Runs instead of
+                     scenarios/ unless --scenario is also given
+  --deterministic    Virtual clock, test-driven requestAnimationFrame and
+                     seeded Math.random for reproducible runs
+  --seed=N           Math.random seed in deterministic mode (default: 1)
+  --frame-ms=MS      Virtual frame length (default: 16.67)
+  --devices[=LIST]   Run on several devices (default: all of
+                     ${Object.keys(DEVICES).join(', ')})
+  --reporter=LIST    Report formats, comma-separated (default: json):
+                     ${Object.keys(REPORTERS).join(', ')}
+  --isolate          Serve with COOP/COEP headers (cross-origin isolation)
 `);
 }
 
@@ -61,163 +205,272 @@ function ensureDir(dirPath) {
   fs.mkdirSync(dirPath, { recursive: true });
 }
 
-function contentTypeFor(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  switch (ext) {
-    case '.html': return 'text/html; charset=utf-8';
-    case '.js': return 'text/javascript; charset=utf-8';
-    case '.mjs': return 'text/javascript; charset=utf-8';
-    case '.css': return 'text/css; charset=utf-8';
-    case '.json': return 'application/json; charset=utf-8';
-    case '.png': return 'image/png';
-    case '.jpg':
-    case '.jpeg': return 'image/jpeg';
-    case '.gif': return 'image/gif';
-    case '.svg': return 'image/svg+xml; charset=utf-8';
-    case '.gltf': return 'model/gltf+json';
-    case '.glb': return 'model/gltf-binary';
-    case '.bin': return 'application/octet-stream';
-    case '.mp3': return 'audio/mpeg';
-    case '.wav': return 'audio/wav';
-    case '.ogg': return 'audio/ogg';
-    default: return 'application/octet-stream';
-  }
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
 }
 
-function createStaticServer(publicDirAbs) {
-  return http.createServer((req, res) => {
-    try {
-      const requestUrl = new URL(req.url || '/', 'http://127.0.0.1');
-      let relativePath = decodeURIComponent(requestUrl.pathname || '/');
-      relativePath = relativePath.replace(/^\/+/, '');
-      if (relativePath === '') relativePath = 'index.html';
-
-      // Prevent path traversal
-      const resolved = path.resolve(publicDirAbs, relativePath);
-      if (!resolved.startsWith(publicDirAbs + path.sep) && resolved !== path.join(publicDirAbs, 'index.html')) {
-        res.statusCode = 403;
-        res.end('Forbidden');
-        return;
-      }
+function formatBytes(bytes) {
+  if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
 
-      if (!fs.existsSync(resolved) || fs.statSync(resolved).isDirectory()) {
-        res.statusCode = 404;
-        res.end('Not Found');
-        return;
-      }
+function round2(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
 
-      const buf = fs.readFileSync(resolved);
-      res.statusCode = 200;
-      res.setHeader('Content-Type', contentTypeFor(resolved));
-      res.setHeader('Cache-Control', 'no-cache');
-      res.end(buf);
+/**
+ * Sample frame times for windowMs and read long tasks, JS heap and (when
+ * window.__GAME__.renderer exists) three.js renderer.info.
+ */
+async function collectPerformance(page, windowMs) {
+  const sample = await page.evaluate((windowMs) => new Promise((resolve) => {
+    const frameTimes = [];
+    let longTasks = 0;
+    let longTaskMs = 0;
+    let observer = null;
+
+    try {
+      observer = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          longTasks += 1;
+          longTaskMs += entry.duration;
+        }
+      });
+      observer.observe({ type: 'longtask' });
     } catch (err) {
-      res.statusCode = 500;
-      res.end(err instanceof Error ? err.message : 'Internal Server Error');
+      observer = null;
     }
-  });
-}
 
-function closeServer(server) {
-  return new Promise((resolve) => {
-    server.close(() => resolve());
-  });
-}
+    const start = performance.now();
+    let last = null;
 
-async function main() {
-  const args = parseArgs(process.argv.slice(2));
-  if (args.help) {
-    printHelp();
-    process.exit(0);
-  }
+    const tick = (now) => {
+      if (last !== null) frameTimes.push(now - last);
+      last = now;
+      if (now - start < windowMs) {
+        window.requestAnimationFrame(tick);
+        return;
+      }
 
-  let playwright;
-  try {
-    playwright = require('playwright');
-  } catch (err) {
-    console.error('Error: Playwright is not installed.');
-    console.error('Run: npm install');
-    console.error('');
-    console.error('Details:', err instanceof Error ? err.message : String(err));
-    process.exit(1);
-  }
+      if (observer) observer.disconnect();
+
+      const memory = performance.memory
+        ? { usedJSHeapSize: performance.memory.usedJSHeapSize, totalJSHeapSize: performance.memory.totalJSHeapSize }
+        : null;
+
+      const renderer = globalThis.__GAME__?.renderer;
+      const info = renderer?.info
+        ? {
+            drawCalls: renderer.info.render?.calls ?? null,
+            triangles: renderer.info.render?.triangles ?? null,
+            geometries: renderer.info.memory?.geometries ?? null,
+            textures: renderer.info.memory?.textures ?? null
+          }
+        : null;
+
+      resolve({
+        elapsedMs: now - start,
+        frameTimes,
+        longTasks: observer ? longTasks : null,
+        longTaskMs: observer ? longTaskMs : null,
+        memory,
+        renderer: info
+      });
+    };
+
+    window.requestAnimationFrame(tick);
+  }), windowMs);
+
+  const sorted = [...sample.frameTimes].sort((a, b) => a - b);
+  const totalMs = sample.frameTimes.reduce((sum, t) => sum + t, 0);
+
+  return {
+    windowMs,
+    frames: sample.frameTimes.length,
+    avgFps: totalMs > 0 ? round2((sample.frameTimes.length / totalMs) * 1000) : 0,
+    frameTimeMs: {
+      avg: sorted.length ? round2(totalMs / sorted.length) : null,
+      p95: round2(percentile(sorted, 95)),
+      p99: round2(percentile(sorted, 99)),
+      max: round2(sorted[sorted.length - 1] ?? null)
+    },
+    longTasks: sample.longTasks,
+    longTaskMs: round2(sample.longTaskMs),
+    jsHeap: sample.memory
+      ? {
+          usedMB: round2(sample.memory.usedJSHeapSize / 1048576),
+          totalMB: round2(sample.memory.totalJSHeapSize / 1048576)
+        }
+      : null,
+    renderer: sample.renderer
+  };
+}
 
-  const scriptDir = __dirname;
-  const projectRoot = path.join(scriptDir, '..');
-  const publicDir = path.join(projectRoot, 'public');
-  const indexHtmlPath = path.join(publicDir, 'index.html');
+/**
+ * Compare each screenshot with its baseline, or overwrite the baselines
+ * with --update-baselines. Returns one result entry per screenshot.
+ */
+async function compareWithBaselines(screenshots, baselineDir, diffsDir, args) {
+  const results = [];
 
-  const outDir = args.outDir ? path.resolve(process.cwd(), args.outDir) : path.join(projectRoot, 'artifacts', 'game-testing');
-  const screenshotsDir = path.join(outDir, 'screenshots');
-  ensureDir(screenshotsDir);
+  for (const [name, screenshotPath] of Object.entries(screenshots)) {
+    const baselinePath = path.join(baselineDir, `${name}.png`);
+    const diffPath = path.join(diffsDir, `${name}.diff.png`);
 
-  const resultsPath = path.join(outDir, 'results.json');
-  const screenshotSmokePath = path.join(screenshotsDir, 'smoke.png');
-  const screenshotAfterInputPath = path.join(screenshotsDir, 'after-input.png');
+    if (!fs.existsSync(screenshotPath)) {
+      results.push({ name, status: 'skip', reason: 'Screenshot was not taken', baselinePath });
+      continue;
+    }
 
-  let server = null;
-  let serverUrl = args.url;
+    if (args.updateBaselines) {
+      ensureDir(baselineDir);
+      fs.copyFileSync(screenshotPath, baselinePath);
+      results.push({ name, status: 'updated', baselinePath });
+      continue;
+    }
 
-  if (!serverUrl) {
-    if (!fs.existsSync(indexHtmlPath)) {
-      console.error('Error: public/index.html not found.');
-      console.error('This template expects the game to live at public/index.html (single HTML file).');
-      console.error('Create it first, then re-run: node scripts/test-game.js');
-      process.exit(1);
+    if (!fs.existsSync(baselinePath)) {
+      results.push({ name, status: 'skip', reason: 'No baseline (run with --update-baselines)', baselinePath });
+      continue;
     }
 
-    server = createStaticServer(path.resolve(publicDir));
-    await new Promise((resolve, reject) => {
-      server.listen(0, '127.0.0.1', () => resolve());
-      server.on('error', reject);
+    const comparison = await visualDiff.compareImages(screenshotPath, baselinePath, diffPath, {
+      pixelTolerance: args.pixelTolerance,
+      maxDiffRatio: args.diffTolerance
     });
+    results.push({ name, status: comparison.match ? 'pass' : 'fail', baselinePath, ...comparison });
+  }
 
-    const address = server.address();
-    const port = typeof address === 'object' && address ? address.port : null;
-    if (!port) {
-      console.error('Error: failed to start server on an available port.');
-      process.exit(1);
+  return results;
+}
+
+function summarize(checks) {
+  return {
+    pass: checks.filter(c => c.status === 'pass').length,
+    fail: checks.filter(c => c.status === 'fail').length,
+    skip: checks.filter(c => c.status === 'skip').length
+  };
+}
+
+/**
+ * Check that the canvas either fills the viewport or is letterboxed /
+ * pillarboxed inside it: fully visible, centred, touching two opposite
+ * edges, no page scrolling, and a drawing buffer with the same aspect
+ * ratio as its CSS box (no stretching).
+ */
+async function checkCanvasLayout(page) {
+  return page.evaluate(() => {
+    const tolerance = 2;
+    const canvas = document.querySelector('canvas');
+    if (!canvas) return { ok: false, problems: ['No canvas element found'] };
+
+    const rect = canvas.getBoundingClientRect();
+    const viewport = { width: window.innerWidth, height: window.innerHeight };
+    const near = (a, b) => Math.abs(a - b) <= tolerance;
+    const problems = [];
+
+    const fillsWidth = near(rect.width, viewport.width);
+    const fillsHeight = near(rect.height, viewport.height);
+    const mode = fillsWidth && fillsHeight ? 'fill' : fillsWidth ? 'letterbox' : fillsHeight ? 'pillarbox' : 'none';
+
+    if (mode === 'none') problems.push('Canvas spans neither the full width nor the full height');
+    if (rect.left < -tolerance || rect.top < -tolerance || rect.right > viewport.width + tolerance || rect.bottom > viewport.height + tolerance) {
+      problems.push('Canvas extends outside the viewport');
+    }
+    if (!near(rect.left, viewport.width - rect.right) || !near(rect.top, viewport.height - rect.bottom)) {
+      problems.push('Canvas is not centred');
     }
 
-    serverUrl = `http://127.0.0.1:${port}/`;
-  }
+    const scroll = document.scrollingElement || document.documentElement;
+    if (scroll.scrollWidth > viewport.width + tolerance || scroll.scrollHeight > viewport.height + tolerance) {
+      problems.push('Page scrolls (content larger than the viewport)');
+    }
 
-  const { chromium } = playwright;
-  const browser = await chromium.launch({
-    headless: !args.headed,
-    args: [
-      // Improve WebGL reliability in headless environments
-      '--enable-webgl',
-      '--use-gl=swiftshader'
-    ]
+    const cssAspect = rect.width / Math.max(1, rect.height);
+    const bufferAspect = canvas.width / Math.max(1, canvas.height);
+    if (Math.abs(cssAspect - bufferAspect) / cssAspect > 0.02) {
+      problems.push('Drawing buffer aspect ratio differs from the canvas size (stretched)');
+    }
+
+    return {
+      ok: problems.length === 0,
+      mode,
+      problems,
+      viewport,
+      devicePixelRatio: window.devicePixelRatio,
+      canvas: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) },
+      buffer: { width: canvas.width, height: canvas.height }
+    };
   });
+}
 
-  const context = await browser.newContext({
-    viewport: { width: 1280, height: 720 }
+/**
+ * Tap the centre of the canvas, then swipe across it, counting the touch
+ * events that reach the page.
+ */
+async function runTouchChecks(page, wait) {
+  await page.evaluate(() => {
+    const counts = { start: 0, move: 0, end: 0 };
+    window.__PLAYWRIGHT_GAME_TEST__ = window.__PLAYWRIGHT_GAME_TEST__ || {};
+    window.__PLAYWRIGHT_GAME_TEST__.touch = counts;
+    window.addEventListener('touchstart', () => { counts.start += 1; }, { capture: true, passive: true });
+    window.addEventListener('touchmove', () => { counts.move += 1; }, { capture: true, passive: true });
+    window.addEventListener('touchend', () => { counts.end += 1; }, { capture: true, passive: true });
   });
+  const readCounts = async () => {
+    const counts = await page.evaluate(() => ({ ...window.__PLAYWRIGHT_GAME_TEST__.touch }));
+    await page.evaluate(() => {
+      const counts = window.__PLAYWRIGHT_GAME_TEST__.touch;
+      counts.start = 0;
+      counts.move = 0;
+      counts.end = 0;
+    });
+    return counts;
+  };
+
+  const box = await page.locator('canvas').first().boundingBox();
+  const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+
+  await page.touchscreen.tap(center.x, center.y);
+  await wait(200);
+  const tap = await readCounts();
 
-  const page = await context.newPage();
+  const from = { x: box.x + box.width * 0.3, y: center.y };
+  const to = { x: box.x + box.width * 0.7, y: center.y };
+  await touchSwipe(page, from, to, { wait });
+  await wait(200);
+  const swipe = await readCounts();
+
+  return { tap: { at: center, ...tap }, swipe: { from, to, ...swipe } };
+}
+
+/**
+ * Run the smoke suite for one device in a fresh browser context.
+ * Returns the device's results (checks, screenshots, visual, scenarios,
+ * performance); main() writes them to results.json.
+ */
+async function runSuite(browser, device, { args, serverUrl, scenarios, assetIndex, screenshotsDir, diffsDir, baselineDir }) {
+  ensureDir(screenshotsDir);
+  const screenshotSmokePath = path.join(screenshotsDir, 'smoke.png');
+  const screenshotCanvasPath = path.join(screenshotsDir, 'canvas.png');
+  const screenshotAfterInputPath = path.join(screenshotsDir, 'after-input.png');
+  const screenshotAfterTouchPath = path.join(screenshotsDir, 'after-touch.png');
 
   const consoleErrors = [];
   const pageErrors = [];
   const requestFailures = [];
 
-  page.on('console', (msg) => {
-    if (msg.type() === 'error') consoleErrors.push(msg.text());
-  });
-  page.on('pageerror', (err) => {
-    pageErrors.push(err instanceof Error ? err.message : String(err));
-  });
-  page.on('requestfailed', (req) => {
-    requestFailures.push({
-      url: req.url(),
-      method: req.method(),
-      failure: req.failure() ? req.failure().errorText : 'unknown'
-    });
-  });
-
   const checks = [];
-  const startedAt = new Date().toISOString();
+  let performanceMetrics = null;
+  let visualResults = [];
+  let assetUsage = null;
+  const scenarioResults = [];
+  let deterministic = null;
+  let context = null;
 
   function pass(name, details) {
     checks.push({ name, status: 'pass', details: details || null });
@@ -230,9 +483,37 @@ async function main() {
   }
 
   try {
-    console.log('🧪 Game smoke test');
-    console.log('URL:', serverUrl);
-    console.log('Output:', outDir);
+    console.log('');
+    console.log(`📐 ${device.label} (${device.viewport.width}x${device.viewport.height}${device.hasTouch ? ', touch' : ''})`);
+
+    context = await browser.newContext({
+      viewport: device.viewport,
+      deviceScaleFactor: device.deviceScaleFactor,
+      isMobile: device.isMobile,
+      hasTouch: device.hasTouch
+    });
+
+    deterministic = args.deterministic
+      ? await installDeterministic(context, { seed: args.seed, frameMs: args.frameMs })
+      : null;
+
+    const page = await context.newPage();
+    const wait = createWaiter(page, deterministic);
+    const responses = trackResponses(page);
+
+    page.on('console', (msg) => {
+      if (msg.type() === 'error') consoleErrors.push(msg.text());
+    });
+    page.on('pageerror', (err) => {
+      pageErrors.push(err instanceof Error ? err.message : String(err));
+    });
+    page.on('requestfailed', (req) => {
+      requestFailures.push({
+        url: req.url(),
+        method: req.method(),
+        failure: req.failure() ? req.failure().errorText : 'unknown'
+      });
+    });
 
     await page.goto(serverUrl, { waitUntil: 'load', timeout: args.timeoutMs });
     pass('Page loads');
@@ -241,11 +522,27 @@ async function main() {
     pass('Canvas exists');
 
     // Give the game a moment to render its first frame(s)
-    await page.waitForTimeout(750);
+    await wait(750);
 
     await page.screenshot({ path: screenshotSmokePath, fullPage: true });
     pass('Screenshot (smoke)', screenshotSmokePath);
 
+    await page.locator('canvas').first().screenshot({ path: screenshotCanvasPath });
+
+    // A canvas that is one solid colour usually means nothing rendered
+    if (visualDiff.isAvailable()) {
+      const solid = await visualDiff.analyzeSolidColor(screenshotCanvasPath);
+      if (!solid.solid) pass('Canvas is not blank', { coverage: solid.coverage });
+      else fail('Canvas is not blank', { reason: 'Canvas is a single solid colour', color: solid.color, coverage: solid.coverage });
+    } else {
+      skip('Canvas is not blank', 'Requires sharp (npm install)');
+    }
+
+    // The canvas should fill the viewport or letterbox it, without stretching
+    const layout = await checkCanvasLayout(page);
+    if (layout.ok) pass('Canvas fits viewport', layout);
+    else fail('Canvas fits viewport', layout);
+
     // Check WebGL availability (best-effort)
     const webglInfo = await page.evaluate(() => {
       const canvas = document.querySelector('canvas');
@@ -268,11 +565,39 @@ async function main() {
       };
       window.requestAnimationFrame(tick);
     });
-    await page.waitForTimeout(500);
+    await wait(500);
     const rafCount = await page.evaluate(() => window.__PLAYWRIGHT_GAME_TEST__?.rafCount ?? 0);
     if (rafCount > 0) pass('Animation frames ticking', rafCount);
     else fail('Animation frames ticking', rafCount);
 
+    // Performance sampling (frame times, long tasks, heap, renderer.info)
+    // Frame times are meaningless on a virtual clock
+    const perf = deterministic ? null : await collectPerformance(page, args.perfWindowMs);
+    performanceMetrics = perf;
+    if (perf) {
+      console.log(
+        `Performance: ${perf.avgFps} FPS avg, p95 ${perf.frameTimeMs.p95}ms, p99 ${perf.frameTimeMs.p99}ms` +
+        (perf.renderer ? `, ${perf.renderer.drawCalls} draw calls, ${perf.renderer.triangles} triangles` : '')
+      );
+      pass('Performance sampled', perf);
+    } else {
+      skip('Performance sampled', 'Not measured in --deterministic mode');
+    }
+
+    if (perf && args.minFps !== null) {
+      const name = `Average FPS >= ${args.minFps}`;
+      if (perf.avgFps >= args.minFps) pass(name, perf.avgFps);
+      else fail(name, perf.avgFps);
+    }
+
+    if (perf && args.maxDrawCalls !== null) {
+      const name = `Draw calls <= ${args.maxDrawCalls}`;
+      const drawCalls = perf.renderer?.drawCalls;
+      if (drawCalls === null || drawCalls === undefined) skip(name, 'Requires window.__GAME__.renderer (three.js WebGLRenderer)');
+      else if (drawCalls <= args.maxDrawCalls) pass(name, drawCalls);
+      else fail(name, drawCalls);
+    }
+
     // Gather debug state (optional but recommended)
     const debugState = await page.evaluate(() => {
       function serializeVector3(v) {
@@ -311,8 +636,12 @@ async function main() {
       const score = state?.score ?? game.score ?? null;
       const health = state?.health ?? game.health ?? null;
 
+      const contractMembers = ['getTestState', 'pause', 'resume', 'step', 'setTimeScale', 'scene', 'camera', 'renderer'];
+
       return {
         ok: true,
+        apiVersion: game.apiVersion ?? null,
+        missingMembers: contractMembers.filter(member => !game[member]),
         hasScene: !!game.scene,
         hasCamera: !!game.camera,
         hasRenderer: !!game.renderer,
@@ -329,17 +658,70 @@ async function main() {
       else skip('Debug API available (window.__GAME__)', debugState.reason);
     }
 
+    // Contract from public/debug-api.js
+    if (debugState.ok && debugState.apiVersion) {
+      if (debugState.missingMembers.length === 0) pass('Debug API contract', { apiVersion: debugState.apiVersion });
+      else fail('Debug API contract', { apiVersion: debugState.apiVersion, missing: debugState.missingMembers });
+    } else {
+      const reason = 'Game does not use public/debug-api.js (no __GAME__.apiVersion)';
+      if (args.expectDebugApi) fail('Debug API contract', reason);
+      else skip('Debug API contract', reason);
+    }
+
+    // pause() + step(3) must advance exactly three frames
+    if (debugState.ok && debugState.apiVersion && debugState.missingMembers.length === 0) {
+      const stepResult = await page.evaluate(async () => {
+        const game = globalThis.__GAME__;
+        game.pause();
+        const before = game.getTestState().frame;
+        const stepped = game.step(3).then(() => false);
+        // In deterministic mode frames only run when advanced
+        globalThis.__DETERMINISTIC__?.advance(3);
+        const timedOut = await Promise.race([
+          stepped,
+          new Promise(resolve => setTimeout(() => resolve(true), 2000))
+        ]);
+        const after = game.getTestState().frame;
+        game.resume();
+        return { before, after, timedOut };
+      });
+
+      if (!stepResult.timedOut && stepResult.after - stepResult.before === 3) pass('Debug API pause/step', stepResult);
+      else fail('Debug API pause/step', { ...stepResult, reason: 'step(3) did not advance 3 frames (is debug.frameDelta() called every frame?)' });
+    }
+
+    // Scripted scenarios, each from a fresh page load
+    const deviceScenarios = scenarios.filter(scenario => !scenario.devices || scenario.devices.includes(device.name));
+    for (const scenario of deviceScenarios) {
+      await page.goto(serverUrl, { waitUntil: 'load', timeout: args.timeoutMs });
+      await page.waitForSelector('canvas', { timeout: 10_000 });
+      await wait(750);
+
+      const result = await runScenario(page, scenario, { screenshotsDir, wait });
+      scenarioResults.push(result);
+
+      const failedStep = result.steps.find(step => step.status === 'fail');
+      console.log(`${result.status === 'pass' ? '✓' : '✗'} Scenario: ${result.name}` +
+        (failedStep ? ` (step ${failedStep.index}: ${failedStep.description})` : ''));
+
+      const name = `Scenario: ${result.name}`;
+      if (result.status === 'pass') pass(name, { steps: result.steps.length });
+      else fail(name, { step: failedStep.index, description: failedStep.description, details: failedStep.details });
+    }
+
     // Basic movement test (requires debug API + playerPosition)
-    if (debugState.ok && debugState.playerPosition) {
+    if (deviceScenarios.length > 0) {
+      skip('Player moves with input', 'Covered by scenarios');
+    } else if (debugState.ok && debugState.playerPosition) {
       const before = debugState.playerPosition;
 
       // Try both WASD and Arrow keys (common defaults)
       await page.keyboard.down('KeyW');
-      await page.waitForTimeout(400);
+      await wait(400);
       await page.keyboard.up('KeyW');
-      await page.waitForTimeout(200);
+      await wait(200);
       await page.keyboard.press('ArrowUp');
-      await page.waitForTimeout(200);
+      await wait(200);
 
       const after = await page.evaluate(() => {
         function serializeVector3(v) {
@@ -372,6 +754,63 @@ async function main() {
     await page.screenshot({ path: screenshotAfterInputPath, fullPage: true });
     pass('Screenshot (after input)', screenshotAfterInputPath);
 
+    // Touch taps and swipes on touch devices
+    if (device.hasTouch) {
+      const touch = await runTouchChecks(page, wait);
+
+      if (touch.tap.start > 0 && touch.tap.end > 0) pass('Touch tap delivered', touch.tap);
+      else fail('Touch tap delivered', { ...touch.tap, reason: 'No touchstart/touchend reached the page' });
+
+      if (touch.swipe.move > 0 && touch.swipe.end > 0) pass('Touch swipe delivered', touch.swipe);
+      else fail('Touch swipe delivered', { ...touch.swipe, reason: 'No touchmove/touchend reached the page' });
+
+      await page.screenshot({ path: screenshotAfterTouchPath, fullPage: true });
+      pass('Screenshot (after touch)', screenshotAfterTouchPath);
+    }
+
+    // Visual regression against baselines
+    if (visualDiff.isAvailable()) {
+      const screenshots = {
+        smoke: screenshotSmokePath,
+        canvas: screenshotCanvasPath,
+        'after-input': screenshotAfterInputPath
+      };
+      if (device.hasTouch) screenshots['after-touch'] = screenshotAfterTouchPath;
+      visualResults = await compareWithBaselines(screenshots, baselineDir, diffsDir, args);
+
+      for (const result of visualResults) {
+        const name = `Matches baseline (${result.name})`;
+        if (result.status === 'updated') pass(name, `Baseline updated: ${result.baselinePath}`);
+        else if (result.status === 'skip') skip(name, result.reason);
+        else if (result.status === 'pass') pass(name, { diffRatio: result.diffRatio });
+        else fail(name, { reason: result.reason, diffRatio: result.diffRatio, diff: result.diffPath });
+      }
+    } else {
+      skip('Matches baselines', 'Requires sharp (npm install)');
+    }
+
+    // Which indexed assets the game actually loaded
+    if (assetIndex) {
+      assetUsage = analyzeAssetUsage(assetIndex, await responses.entries(), serverUrl);
+      console.log(
+        `Assets: ${assetUsage.loaded.length}/${assetUsage.indexedModels} indexed models loaded, ` +
+        `${assetUsage.failed.length} failed, ${assetUsage.unindexed.length} not in assets.json, ` +
+        `${formatBytes(assetUsage.totalBytes)} downloaded`
+      );
+
+      if (assetUsage.indexedModels === 0) skip('Indexed models loaded', 'assets.json lists no models');
+      else if (assetUsage.loaded.length > 0) pass('Indexed models loaded', { loaded: assetUsage.loaded.length, of: assetUsage.indexedModels });
+      else fail('Indexed models loaded', { reason: 'The game loaded none of the models in assets.json', notLoaded: assetUsage.notLoaded.slice(0, 20) });
+
+      if (assetUsage.failed.length === 0) pass('No failed asset requests');
+      else fail('No failed asset requests', assetUsage.failed.slice(0, 20));
+
+      if (assetUsage.unindexed.length === 0) pass('Loaded assets are in assets.json');
+      else fail('Loaded assets are in assets.json', { reason: 'Re-run generate-assets-json.js', files: assetUsage.unindexed.slice(0, 20) });
+    } else {
+      skip('Indexed models loaded', 'No public/assets/<game>/assets.json (run generate-assets-json.js)');
+    }
+
     // Console/page errors (collected throughout)
     if (consoleErrors.length === 0) pass('No console.error');
     else fail('No console.error', consoleErrors);
@@ -381,36 +820,178 @@ async function main() {
 
     if (requestFailures.length === 0) pass('No failed network requests');
     else fail('No failed network requests', requestFailures.slice(0, 20));
+  } catch (err) {
+    // Keep what this device got through and let the matrix carry on
+    const message = err instanceof Error ? err.message : String(err);
+    console.log(`  ✗ ${device.name}: ${message}`);
+    if (checks.some(check => check.name === 'Page loads')) fail('Suite completes', message);
+    else fail('Page loads', message);
   } finally {
-    await context.close().catch(() => {});
-    await browser.close().catch(() => {});
-    if (server) await closeServer(server).catch(() => {});
+    if (context) await context.close().catch(() => {});
   }
 
-  const endedAt = new Date().toISOString();
-  const passCount = checks.filter(c => c.status === 'pass').length;
-  const failCount = checks.filter(c => c.status === 'fail').length;
-  const skipCount = checks.filter(c => c.status === 'skip').length;
-
-  const results = {
-    startedAt,
-    endedAt,
-    url: serverUrl,
-    screenshots: {
-      smoke: screenshotSmokePath,
-      afterInput: screenshotAfterInputPath
-    },
-    summary: { pass: passCount, fail: failCount, skip: skipCount },
+  const screenshots = {
+    smoke: screenshotSmokePath,
+    canvas: screenshotCanvasPath,
+    afterInput: screenshotAfterInputPath
+  };
+  if (device.hasTouch) screenshots.afterTouch = screenshotAfterTouchPath;
+
+  return {
+    device,
+    deterministic,
+    screenshots,
+    visual: visualResults,
+    scenarios: scenarioResults,
+    summary: summarize(checks),
+    performance: performanceMetrics,
+    assets: assetUsage,
+    errors: { console: consoleErrors, page: pageErrors, requests: requestFailures },
     checks
   };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
 
-  fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
+  let playwright;
+  try {
+    playwright = require('playwright');
+  } catch (err) {
+    console.error('Error: Playwright is not installed.');
+    console.error('Run: npm install');
+    console.error('');
+    console.error('Details:', err instanceof Error ? err.message : String(err));
+    process.exit(1);
+  }
+
+  const scriptDir = __dirname;
+  const projectRoot = path.join(scriptDir, '..');
+  const publicDir = path.join(projectRoot, 'public');
+  const indexHtmlPath = path.join(publicDir, 'index.html');
+
+  const outDir = args.outDir ? path.resolve(process.cwd(), args.outDir) : path.join(projectRoot, 'artifacts', 'game-testing');
+  ensureDir(outDir);
+
+  const baselineDir = args.baselineDir
+    ? path.resolve(process.cwd(), args.baselineDir)
+    : path.join(projectRoot, 'tests', 'baselines');
+
+  const assetIndex = loadAssetIndex(projectRoot);
+
+  let devices;
+  let reporters;
+  try {
+    devices = resolveDevices(args.devices);
+    reporters = args.reporters.length > 0 ? parseReporters(args.reporters.join(',')) : ['json'];
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  // Scenarios are loaded up front so a typo fails before the browser starts
+  let scenarios = [];
+  const scenarioTargets = args.scenarios.length > 0 || args.replays.length > 0
+    ? args.scenarios.map(target => path.resolve(process.cwd(), target))
+    : [path.join(projectRoot, 'scenarios')].filter(dir => fs.existsSync(dir));
+  if (!args.noScenarios) {
+    try {
+      scenarios = scenarioTargets.flatMap(target => loadScenarios(target));
+    } catch (err) {
+      console.error(`Error: invalid scenario: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  for (const replay of args.replays) {
+    try {
+      const sessionPath = path.resolve(process.cwd(), replay);
+      const scenario = sessionToScenario(loadSession(sessionPath), {
+        name: `Replay ${path.basename(sessionPath, '.json')}`
+      });
+      scenarios.push({ ...scenario, file: sessionPath });
+    } catch (err) {
+      console.error(`Error: cannot replay ${replay}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  let server = null;
+  let serverUrl = args.url;
+
+  if (!serverUrl) {
+    if (!fs.existsSync(indexHtmlPath)) {
+      console.error('Error: public/index.html not found.');
+      console.error('This template expects the game to live at public/index.html (single HTML file).');
+      console.error('Create it first, then re-run: node scripts/test-game.js');
+      process.exit(1);
+    }
+
+    server = await startServer(publicDir, { isolate: args.isolate });
+    serverUrl = server.url;
+  }
+
+  const { chromium } = playwright;
+  const browser = await chromium.launch({
+    headless: !args.headed,
+    args: [
+      // Improve WebGL reliability in headless environments
+      '--enable-webgl',
+      '--use-gl=swiftshader'
+    ]
+  });
+
+  const startedAt = new Date().toISOString();
+  const suites = [];
+
+  console.log('🧪 Game smoke test');
+  console.log('URL:', serverUrl);
+  console.log('Output:', outDir);
+  if (args.deterministic) console.log(`Deterministic: seed ${args.seed}, ${round2(args.frameMs)}ms frames`);
+
+  try {
+    for (const device of devices) {
+      // Matrix runs keep each device's screenshots and baselines apart
+      const subdir = args.devices ? device.name : '';
+      suites.push(await runSuite(browser, device, {
+        args,
+        serverUrl,
+        scenarios,
+        assetIndex,
+        screenshotsDir: path.join(outDir, 'screenshots', subdir),
+        diffsDir: path.join(outDir, 'diffs', subdir),
+        baselineDir: path.join(baselineDir, subdir)
+      }));
+    }
+  } finally {
+    await browser.close().catch(() => {});
+    if (server) await server.close().catch(() => {});
+  }
+
+  const endedAt = new Date().toISOString();
+  const summary = summarize(suites.flatMap(suite => suite.checks));
+
+  // Single-device runs keep the flat results.json layout
+  const results = args.devices
+    ? { startedAt, endedAt, url: serverUrl, summary, devices: suites }
+    : { startedAt, endedAt, url: serverUrl, ...suites[0], summary };
+
+  const reportPaths = writeReports(results, reporters, outDir);
 
   console.log('');
-  console.log('Results:', resultsPath);
-  console.log(`Summary: ${passCount} passed, ${failCount} failed, ${skipCount} skipped`);
+  for (const reportPath of reportPaths) console.log('Report:', reportPath);
+  if (args.devices) {
+    for (const suite of suites) {
+      const { pass: passed, fail: failed, skip: skipped } = suite.summary;
+      console.log(`  ${failed > 0 ? '✗' : '✓'} ${suite.device.name}: ${passed} passed, ${failed} failed, ${skipped} skipped`);
+    }
+  }
+  console.log(`Summary: ${summary.pass} passed, ${summary.fail} failed, ${summary.skip} skipped`);
 
-  if (failCount > 0) {
+  if (summary.fail > 0) {
     process.exitCode = 1;
   }
 }
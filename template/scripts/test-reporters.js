@@ -0,0 +1,280 @@
+/**
+ * Test Reporters
+ *
+ * Writes test-game.js results in formats that test dashboards understand.
+ * Each reporter takes the results object (single-device or --devices
+ * layout) and writes one file to the output directory:
+ *
+ *   json   results.json  The full results (default)
+ *   junit  junit.xml     JUnit XML: one <testsuite> per device
+ *   tap    results.tap   TAP version 13 with YAML diagnostics
+ *   html   report.html   Self-contained report with screenshots, diffs,
+ *                        console errors and request failures inline
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Results as a list of per-device suites
+function suitesOf(results) {
+  return results.devices || [results];
+}
+
+function suiteName(suite) {
+  return suite.device?.name || 'desktop';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const escapeHtml = escapeXml;
+
+function detailsText(details) {
+  if (details === null || details === undefined) return '';
+  return typeof details === 'string' ? details : JSON.stringify(details, null, 2);
+}
+
+// One-line summary of a failed check's details
+function failureMessage(check) {
+  const { details } = check;
+  let message;
+  if (typeof details === 'string') message = details.split('\n')[0];
+  else if (Array.isArray(details) && details.length > 0) {
+    const first = typeof details[0] === 'string' ? details[0] : JSON.stringify(details[0]);
+    message = details.length > 1 ? `${first} (+${details.length - 1} more)` : first;
+  } else if (details && (details.reason || details.error)) message = details.reason || details.error;
+  else message = `${check.name} failed`;
+  return message.substring(0, 200);
+}
+
+function durationSeconds(results) {
+  const ms = new Date(results.endedAt) - new Date(results.startedAt);
+  return Number.isFinite(ms) ? (ms / 1000).toFixed(3) : '0';
+}
+
+function writeJson(results, outDir) {
+  const outputPath = path.join(outDir, 'results.json');
+  fs.writeFileSync(outputPath, JSON.stringify(results, null, 2));
+  return outputPath;
+}
+
+function writeJunit(results, outDir) {
+  const suites = suitesOf(results);
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  const { pass, fail, skip } = results.summary;
+
+  lines.push(`<testsuites name="game-test" tests="${pass + fail + skip}" failures="${fail}" skipped="${skip}" time="${durationSeconds(results)}">`);
+
+  for (const suite of suites) {
+    const name = suiteName(suite);
+    const total = suite.summary.pass + suite.summary.fail + suite.summary.skip;
+    lines.push(`  <testsuite name="${escapeXml(name)}" tests="${total}" failures="${suite.summary.fail}" skipped="${suite.summary.skip}" timestamp="${escapeXml(results.startedAt)}">`);
+
+    for (const check of suite.checks) {
+      const open = `    <testcase classname="game-test.${escapeXml(name)}" name="${escapeXml(check.name)}" time="0"`;
+      const details = detailsText(check.details);
+      if (check.status === 'fail') {
+        lines.push(`${open}>`);
+        lines.push(`      <failure message="${escapeXml(failureMessage(check))}">${escapeXml(details)}</failure>`);
+        lines.push('    </testcase>');
+      } else if (check.status === 'skip') {
+        lines.push(`${open}>`);
+        lines.push(`      <skipped message="${escapeXml(details.substring(0, 200))}"/>`);
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`${open}/>`);
+      }
+    }
+
+    const errors = suite.errors || {};
+    const errorLines = [...(errors.console || []), ...(errors.page || [])];
+    if (errorLines.length > 0) {
+      lines.push(`    <system-err>${escapeXml(errorLines.join('\n'))}</system-err>`);
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+
+  const outputPath = path.join(outDir, 'junit.xml');
+  fs.writeFileSync(outputPath, lines.join('\n') + '\n');
+  return outputPath;
+}
+
+function writeTap(results, outDir) {
+  const suites = suitesOf(results);
+  const multiple = suites.length > 1;
+  const checks = suites.flatMap(suite => suite.checks.map(check => ({
+    ...check,
+    label: multiple ? `${suiteName(suite)}: ${check.name}` : check.name
+  })));
+
+  const lines = ['TAP version 13', `1..${checks.length}`];
+
+  checks.forEach((check, index) => {
+    const number = index + 1;
+    // '#' starts a directive in TAP
+    const label = check.label.replace(/#/g, '\\#');
+    const details = detailsText(check.details);
+
+    if (check.status === 'skip') {
+      lines.push(`ok ${number} - ${label} # SKIP ${details.split('\n')[0]}`);
+    } else if (check.status === 'pass') {
+      lines.push(`ok ${number} - ${label}`);
+    } else {
+      lines.push(`not ok ${number} - ${label}`);
+      lines.push('  ---');
+      lines.push('  details: |');
+      for (const line of details.split('\n')) lines.push(`    ${line}`);
+      lines.push('  ...');
+    }
+  });
+
+  const outputPath = path.join(outDir, 'results.tap');
+  fs.writeFileSync(outputPath, lines.join('\n') + '\n');
+  return outputPath;
+}
+
+// Inline an image as a data: URI so the report is one portable file
+function imageTag(imagePath, alt) {
+  if (!imagePath || !fs.existsSync(imagePath)) return '';
+  const ext = path.extname(imagePath).toLowerCase();
+  const mimeType = ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg' : 'image/png';
+  const data = fs.readFileSync(imagePath).toString('base64');
+  return `<figure><img src="data:${mimeType};base64,${data}" alt="${escapeHtml(alt)}"><figcaption>${escapeHtml(alt)}</figcaption></figure>`;
+}
+
+function htmlList(items) {
+  if (!items || items.length === 0) return '<p class="muted">None</p>';
+  return `<ul>${items.map(item => `<li><code>${escapeHtml(typeof item === 'string' ? item : JSON.stringify(item))}</code></li>`).join('')}</ul>`;
+}
+
+function htmlAssets(assets) {
+  const packs = Object.entries(assets.packs)
+    .map(([pack, usage]) => `<tr><td>${escapeHtml(pack)}</td><td>${usage.files}</td><td>${(usage.bytes / 1024).toFixed(1)} KB</td></tr>`)
+    .join('');
+  return `
+    <h3>Assets (${escapeHtml(assets.game)})</h3>
+    <p>${assets.loaded.length} of ${assets.indexedModels} indexed models loaded · ${(assets.totalBytes / 1048576).toFixed(2)} MB downloaded</p>
+    <table><thead><tr><th>Pack</th><th>Files</th><th>Downloaded</th></tr></thead><tbody>${packs}</tbody></table>
+    <h4>Failed asset requests</h4>
+    ${htmlList(assets.failed.map(file => `${file.path} (${file.status || file.error})`))}
+    <h4>Loaded but not in assets.json</h4>
+    ${htmlList(assets.unindexed.map(file => file.path))}
+    <h4>Indexed models not loaded</h4>
+    ${htmlList(assets.notLoaded)}`;
+}
+
+function htmlSuite(suite) {
+  const name = suiteName(suite);
+  const { pass, fail, skip } = suite.summary;
+  const errors = suite.errors || {};
+
+  const rows = suite.checks.map(check => `
+        <tr class="${check.status}">
+          <td>${check.status.toUpperCase()}</td>
+          <td>${escapeHtml(check.name)}</td>
+          <td>${check.details === null ? '' : `<pre>${escapeHtml(detailsText(check.details))}</pre>`}</td>
+        </tr>`).join('');
+
+  const screenshots = Object.entries(suite.screenshots || {})
+    .map(([key, imagePath]) => imageTag(imagePath, key))
+    .join('');
+
+  const diffs = (suite.visual || [])
+    .filter(result => result.status === 'fail' && result.diffPath)
+    .map(result => imageTag(result.diffPath, `${result.name} diff (${(result.diffRatio * 100).toFixed(2)}% changed)`))
+    .join('');
+
+  const scenarioShots = (suite.scenarios || [])
+    .flatMap(scenario => scenario.steps
+      .filter(step => step.action === 'screenshot' && step.details?.path)
+      .map(step => imageTag(step.details.path, `${scenario.name}: ${step.description}`)))
+    .join('');
+
+  return `
+  <section>
+    <h2>${escapeHtml(suite.device?.label || name)} <span class="summary">${pass} passed, ${fail} failed, ${skip} skipped</span></h2>
+    <table>
+      <thead><tr><th>Status</th><th>Check</th><th>Details</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    <h3>Console errors</h3>
+    ${htmlList([...(errors.console || []), ...(errors.page || [])])}
+    <h3>Failed requests</h3>
+    ${htmlList((errors.requests || []).map(r => `${r.method} ${r.url} (${r.failure})`))}
+    ${suite.assets ? htmlAssets(suite.assets) : ''}
+    <h3>Screenshots</h3>
+    <div class="gallery">${screenshots}</div>
+    ${diffs ? `<h3>Visual differences</h3><div class="gallery">${diffs}</div>` : ''}
+    ${scenarioShots ? `<h3>Scenario screenshots</h3><div class="gallery">${scenarioShots}</div>` : ''}
+  </section>`;
+}
+
+function writeHtml(results, outDir) {
+  const { pass, fail, skip } = results.summary;
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Game test report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    h1 .status { font-size: 0.6em; padding: 0.2em 0.6em; border-radius: 4px; color: #fff; background: ${fail > 0 ? '#c62828' : '#2e7d32'}; }
+    .summary, .muted { color: #666; font-weight: normal; font-size: 0.8em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 0.4em 0.6em; border-bottom: 1px solid #eee; vertical-align: top; }
+    tr.pass td:first-child { color: #2e7d32; }
+    tr.fail td:first-child { color: #c62828; font-weight: bold; }
+    tr.skip td:first-child { color: #999; }
+    pre { margin: 0; max-height: 12em; overflow: auto; font-size: 0.85em; white-space: pre-wrap; }
+    .gallery { display: flex; flex-wrap: wrap; gap: 1rem; }
+    figure { margin: 0; max-width: 420px; }
+    figure img { max-width: 100%; border: 1px solid #ddd; }
+    figcaption { font-size: 0.85em; color: #666; }
+  </style>
+</head>
+<body>
+  <h1>Game test report <span class="status">${fail > 0 ? 'FAILED' : 'PASSED'}</span></h1>
+  <p>${escapeHtml(results.url || '')} · ${escapeHtml(results.startedAt)} · ${pass} passed, ${fail} failed, ${skip} skipped</p>
+  ${suitesOf(results).map(htmlSuite).join('\n')}
+</body>
+</html>
+`;
+
+  const outputPath = path.join(outDir, 'report.html');
+  fs.writeFileSync(outputPath, html);
+  return outputPath;
+}
+
+const REPORTERS = {
+  json: writeJson,
+  junit: writeJunit,
+  tap: writeTap,
+  html: writeHtml
+};
+
+// "json,junit" -> ['json', 'junit']; throws on unknown names
+function parseReporters(value) {
+  const names = String(value).split(',').map(name => name.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!REPORTERS[name]) {
+      throw new Error(`Unknown reporter "${name}". Options: ${Object.keys(REPORTERS).join(', ')}`);
+    }
+  }
+  return names;
+}
+
+// Run the selected reporters; returns the written file paths
+function writeReports(results, names, outDir) {
+  return names.map(name => REPORTERS[name](results, outDir));
+}
+
+module.exports = { REPORTERS, parseReporters, writeReports };
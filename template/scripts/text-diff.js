@@ -0,0 +1,146 @@
+/**
+ * Text Diff
+ *
+ * Line diff (longest common subsequence) and unified diff output for
+ * revise.js and docs-history.js. Documents are a few thousand lines at most,
+ * so the quadratic table is fine once the common head and tail are cut off.
+ *
+ *   const { unifiedDiff, colorDiff } = require('./text-diff');
+ *   console.log(colorDiff(unifiedDiff(before, after, { fromFile: 'a/prd.md', toFile: 'b/prd.md' })));
+ */
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line-by-line edit script from a to b.
+ * Returns [{ type: ' ' | '-' | '+', line, oldLine, newLine }] with 1-based
+ * line numbers (oldLine for ' ' and '-', newLine for ' ' and '+').
+ */
+function diffLines(a, b) {
+  const oldLines = splitLines(a);
+  const newLines = splitLines(b);
+
+  let head = 0;
+  while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) head++;
+  let tail = 0;
+  while (tail < oldLines.length - head && tail < newLines.length - head &&
+    oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]) tail++;
+
+  const x = oldLines.slice(head, oldLines.length - tail);
+  const y = newLines.slice(head, newLines.length - tail);
+
+  // lengths[i][j] = LCS length of x[i..] and y[j..]
+  const width = y.length + 1;
+  const lengths = new Uint32Array((x.length + 1) * width);
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = x[i] === y[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < head; k++) ops.push({ type: ' ', line: oldLines[k], oldLine: k + 1, newLine: k + 1 });
+
+  let i = 0;
+  let j = 0;
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) {
+      ops.push({ type: ' ', line: x[i], oldLine: head + i + 1, newLine: head + j + 1 });
+      i++;
+      j++;
+    } else if (j < y.length && (i === x.length || lengths[i * width + j + 1] >= lengths[(i + 1) * width + j])) {
+      ops.push({ type: '+', line: y[j], newLine: head + j + 1 });
+      j++;
+    } else {
+      ops.push({ type: '-', line: x[i], oldLine: head + i + 1 });
+      i++;
+    }
+  }
+
+  for (let k = 0; k < tail; k++) {
+    ops.push({
+      type: ' ',
+      line: oldLines[oldLines.length - tail + k],
+      oldLine: oldLines.length - tail + k + 1,
+      newLine: newLines.length - tail + k + 1
+    });
+  }
+
+  // Removals before additions within each change, like diff -u
+  for (let start = 0; start < ops.length; start++) {
+    if (ops[start].type === ' ') continue;
+    let end = start;
+    while (end < ops.length && ops[end].type !== ' ') end++;
+    const change = ops.slice(start, end);
+    ops.splice(start, change.length, ...change.filter(op => op.type === '-'), ...change.filter(op => op.type === '+'));
+    start = end;
+  }
+
+  return ops;
+}
+
+/**
+ * Unified diff of two texts ('' when they are equal).
+ * options: fromFile, toFile, context (lines around each change, default 3)
+ */
+function unifiedDiff(a, b, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const ops = diffLines(a, b);
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) last.end = index;
+    else hunks.push({ start: index, end: index });
+  }
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const firstOld = slice.find(op => op.oldLine !== undefined);
+    const firstNew = slice.find(op => op.newLine !== undefined);
+    // An empty side starts at the line before the change
+    const oldStart = oldCount === 0 ? (ops.slice(0, hunk.start).filter(op => op.type !== '+').length) : firstOld.oldLine;
+    const newStart = newCount === 0 ? (ops.slice(0, hunk.start).filter(op => op.type !== '-').length) : firstNew.newLine;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(op => lines.push(`${op.type}${op.line}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Lines added and removed between two texts
+function diffStats(a, b) {
+  const ops = diffLines(a, b);
+  return {
+    added: ops.filter(op => op.type === '+').length,
+    removed: ops.filter(op => op.type === '-').length
+  };
+}
+
+// Diff text for console.log (no trailing newline), colored on a terminal
+function colorDiff(diff) {
+  const text = diff.replace(/\n$/, '');
+  if (!process.stdout.isTTY) return text;
+  return text.split('\n').map((line) => {
+    if (line.startsWith('+++') || line.startsWith('---')) return `\x1b[1m${line}\x1b[0m`;
+    if (line.startsWith('+')) return `\x1b[32m${line}\x1b[0m`;
+    if (line.startsWith('-')) return `\x1b[31m${line}\x1b[0m`;
+    if (line.startsWith('@@')) return `\x1b[36m${line}\x1b[0m`;
+    return line;
+  }).join('\n');
+}
+
+module.exports = { diffLines, unifiedDiff, diffStats, colorDiff };
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Asset Reference Validator
+ *
+ * Checks that every external `buffers[].uri` and `images[].uri` inside the
+ * glTF models of a game's asset folder resolves to a file on disk, so a
+ * half-copied pack fails here instead of as a 404 in the browser.
+ *
+ * Usage:
+ *   node validate-assets.js <game_name> [--strict]
+ *
+ * Reports, per reference:
+ *   missing        The file does not exist
+ *   case-mismatch  The file exists with different letter case (works on
+ *                  macOS/Windows, 404s on Linux servers)
+ *   absolute       Absolute path or file: URL (breaks once deployed)
+ *   outside-root   Resolves outside public/assets/<game_name>/
+ *   remote         http(s) URL (warning: needs network at runtime)
+ *   unreadable     The model itself could not be parsed
+ *
+ * The findings are written to assets.json `metadata.issues` when it exists.
+ * With --strict, exits with code 1 if any error-level issue was found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readGltf } = require('./gltf-utils');
+
+const SEVERITY = {
+  missing: 'error',
+  'case-mismatch': 'error',
+  absolute: 'error',
+  'outside-root': 'error',
+  unreadable: 'error',
+  remote: 'warning'
+};
+
+function toPosix(p) {
+  return p.replace(/\\/g, '/');
+}
+
+/**
+ * Look a path up segment by segment with exact letter case.
+ * Returns { exists, exactCase, actual } where actual is the on-disk
+ * spelling (relative to rootDir) when only the case differs.
+ */
+function lookupExactCase(rootDir, relativePath) {
+  const segments = toPosix(relativePath).split('/').filter(Boolean);
+  let current = rootDir;
+  let exactCase = true;
+  const actual = [];
+
+  for (const segment of segments) {
+    if (!fs.existsSync(current) || !fs.statSync(current).isDirectory()) {
+      return { exists: false, exactCase: false, actual: null };
+    }
+    const names = fs.readdirSync(current);
+    let match = names.find(name => name === segment);
+    if (!match) {
+      match = names.find(name => name.toLowerCase() === segment.toLowerCase());
+      if (!match) return { exists: false, exactCase: false, actual: null };
+      exactCase = false;
+    }
+    actual.push(match);
+    current = path.join(current, match);
+  }
+
+  return { exists: true, exactCase, actual: actual.join('/') };
+}
+
+// Check a single uri from a model; returns an issue or null
+function checkUri(uri, modelPath, rootDir) {
+  if (uri.startsWith('data:')) return null;
+
+  if (/^https?:\/\//i.test(uri)) {
+    return { type: 'remote', message: `Remote URL: ${uri}` };
+  }
+  if (/^file:/i.test(uri) || uri.startsWith('/') || uri.startsWith('\\') || /^[A-Za-z]:[\\/]/.test(uri)) {
+    return { type: 'absolute', message: `Absolute path: ${uri}` };
+  }
+  if (/^[A-Za-z][A-Za-z0-9+.-]*:/.test(uri)) {
+    return { type: 'absolute', message: `Unsupported URL scheme: ${uri}` };
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(uri);
+  } catch (err) {
+    decoded = uri;
+  }
+
+  const resolved = path.resolve(path.dirname(modelPath), decoded);
+  const relativeToRoot = path.relative(rootDir, resolved);
+  if (relativeToRoot.startsWith('..') || path.isAbsolute(relativeToRoot)) {
+    return { type: 'outside-root', message: `Resolves outside the asset folder: ${uri}` };
+  }
+
+  const lookup = lookupExactCase(rootDir, relativeToRoot);
+  if (!lookup.exists) {
+    return { type: 'missing', message: `File not found: ${toPosix(relativeToRoot)}` };
+  }
+  if (!lookup.exactCase) {
+    return {
+      type: 'case-mismatch',
+      message: `Case mismatch: references ${toPosix(relativeToRoot)}, file on disk is ${lookup.actual}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate the external references of one .gltf/.glb file.
+ * Returns a list of { model, kind, index, uri, type, severity, message }.
+ */
+function validateModel(modelPath, rootDir) {
+  const model = toPosix(path.relative(rootDir, modelPath));
+  const issues = [];
+
+  let json;
+  try {
+    json = readGltf(modelPath).json;
+  } catch (err) {
+    return [{ model, kind: 'model', index: null, uri: null, type: 'unreadable', severity: SEVERITY.unreadable, message: err.message }];
+  }
+
+  const references = [
+    ...(json.buffers || []).map((b, index) => ({ kind: 'buffer', index, uri: b.uri })),
+    ...(json.images || []).map((img, index) => ({ kind: 'image', index, uri: img.uri }))
+  ];
+
+  for (const ref of references) {
+    // GLB-embedded buffers and bufferView images have no uri
+    if (typeof ref.uri !== 'string') continue;
+    const issue = checkUri(ref.uri, modelPath, rootDir);
+    if (issue) {
+      issues.push({ model, ...ref, type: issue.type, severity: SEVERITY[issue.type], message: issue.message });
+    }
+  }
+
+  return issues;
+}
+
+// All .gltf/.glb files under a directory (hidden folders skipped)
+function findModels(dir) {
+  const models = [];
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (item.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) models.push(...findModels(fullPath));
+    else if (/\.(gltf|glb)$/i.test(item.name)) models.push(fullPath);
+  }
+  return models;
+}
+
+function validateAssetsDir(rootDir) {
+  return findModels(rootDir).flatMap(modelPath => validateModel(modelPath, rootDir));
+}
+
+// Print issues grouped by model
+function printIssues(issues) {
+  const byModel = new Map();
+  for (const issue of issues) {
+    if (!byModel.has(issue.model)) byModel.set(issue.model, []);
+    byModel.get(issue.model).push(issue);
+  }
+  for (const [model, modelIssues] of byModel) {
+    console.log(`  ${model}`);
+    for (const issue of modelIssues) {
+      const icon = issue.severity === 'error' ? '✗' : '⚠';
+      console.log(`    ${icon} [${issue.type}] ${issue.message}`);
+    }
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const gameName = args.find(a => !a.startsWith('--'));
+
+  if (!gameName) {
+    console.log('Usage: node validate-assets.js <game_name> [--strict]');
+    process.exit(1);
+  }
+
+  const projectRoot = path.join(__dirname, '..');
+  const assetsDir = path.join(projectRoot, 'public', 'assets', gameName);
+  if (!fs.existsSync(assetsDir)) {
+    console.error(`Error: Assets directory not found: ${assetsDir}`);
+    process.exit(1);
+  }
+
+  const issues = validateAssetsDir(assetsDir);
+  const errors = issues.filter(i => i.severity === 'error').length;
+  const warnings = issues.length - errors;
+
+  if (issues.length === 0) {
+    console.log('✓ All model references resolve');
+  } else {
+    console.log(`Found ${errors} error(s), ${warnings} warning(s):`);
+    printIssues(issues);
+  }
+
+  const assetsJsonPath = path.join(assetsDir, 'assets.json');
+  if (fs.existsSync(assetsJsonPath)) {
+    const assetsJson = JSON.parse(fs.readFileSync(assetsJsonPath, 'utf-8'));
+    assetsJson.metadata = { ...assetsJson.metadata, issues };
+    fs.writeFileSync(assetsJsonPath, JSON.stringify(assetsJson, null, 2));
+    console.log(`\nUpdated metadata.issues in ${assetsJsonPath}`);
+  }
+
+  if (strict && errors > 0) process.exit(1);
+}
+
+// Export for use as module
+module.exports = { validateModel, validateAssetsDir, lookupExactCase, printIssues };
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
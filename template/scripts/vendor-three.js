@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * Vendor Three.js
+ *
+ * Copies a pinned three.js build and the example addons the game needs into
+ * public/vendor/three/, so games load three from the project instead of a
+ * CDN (offline machines, test-game.js request checks).
+ *
+ * Usage:
+ *   node scripts/vendor-three.js
+ *   node scripts/vendor-three.js --version=0.160.0
+ *
+ * Version and addons come from config.json:
+ *   "three": {
+ *     "version": "0.160.0",          (or "r160")
+ *     "addons": ["loaders/FBXLoader.js"]   (extra examples/jsm files)
+ *   }
+ *
+ * GLTFLoader, DRACOLoader (with its decoder) and OrbitControls are always
+ * copied, along with the files they import. The package comes from a local
+ * node_modules/three when the version matches, else from `npm install` into
+ * a temp folder.
+ *
+ * Output:
+ *   public/vendor/three/build/three.module.js
+ *   public/vendor/three/examples/jsm/...
+ *   public/vendor/three/importmap.json
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const DEFAULT_THREE_VERSION = '0.160.0';
+const DEFAULT_ADDONS = ['loaders/GLTFLoader.js', 'loaders/DRACOLoader.js', 'controls/OrbitControls.js'];
+const DRACO_DECODER_DIR = 'libs/draco/gltf';
+
+// Paths as seen from public/index.html
+const VENDOR_URL = './vendor/three/';
+const DRACO_DECODER_URL = `${VENDOR_URL}examples/jsm/${DRACO_DECODER_DIR}/`;
+
+// "r160" / "160" -> "0.160.0"; anything else is used as given
+function normalizeVersion(version) {
+  const match = /^r?(\d+)$/.exec(String(version).trim());
+  return match ? `0.${match[1]}.0` : String(version).trim();
+}
+
+// "0.160.0" -> "r160"
+function threeRevision(version) {
+  const match = /^0\.(\d+)\./.exec(normalizeVersion(version));
+  return match ? `r${match[1]}` : normalizeVersion(version);
+}
+
+function resolveThreeConfig(config) {
+  const three = (config && config.three) || {};
+  return {
+    version: normalizeVersion(three.version || DEFAULT_THREE_VERSION),
+    addons: [...new Set([...DEFAULT_ADDONS, ...(three.addons || [])])]
+  };
+}
+
+function importMap() {
+  return {
+    imports: {
+      three: `${VENDOR_URL}build/three.module.js`,
+      'three/addons/': `${VENDOR_URL}examples/jsm/`
+    }
+  };
+}
+
+// The <script type="importmap"> block for index.html
+function importMapSnippet() {
+  return `<script type="importmap">\n${JSON.stringify(importMap(), null, 2)}\n</script>`;
+}
+
+// A three package directory with exactly this version, or null
+function findLocalPackage(version, searchRoots) {
+  for (const root of searchRoots) {
+    const packageDir = path.join(root, 'node_modules', 'three');
+    const packageJsonPath = path.join(packageDir, 'package.json');
+    if (!fs.existsSync(packageJsonPath)) continue;
+    try {
+      if (JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8')).version === version) return packageDir;
+    } catch (err) {
+      // Unreadable package.json - keep looking
+    }
+  }
+  return null;
+}
+
+// npm install three@version into a temp folder; returns its directory
+function installPackage(version) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vendor-three-'));
+  fs.writeFileSync(path.join(tempDir, 'package.json'), '{"private": true}');
+  try {
+    execSync(`npm install three@${version} --no-save --no-package-lock --no-audit --no-fund --ignore-scripts`, {
+      cwd: tempDir,
+      stdio: 'pipe'
+    });
+  } catch (err) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    const output = err.stderr ? err.stderr.toString().trim().split('\n').slice(-3).join('\n') : err.message;
+    throw new Error(`npm install three@${version} failed:\n${output}`);
+  }
+  return tempDir;
+}
+
+// Relative imports of an ES module ('./x.js', '../utils/y.js')
+function relativeImports(source) {
+  const specifiers = [];
+  const pattern = /(?:\bfrom\s*|\bimport\s*\(?\s*)['"](\.{1,2}\/[^'"]+)['"]/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) specifiers.push(match[1]);
+  return specifiers;
+}
+
+// Add a module and everything it imports relatively (paths relative to packageDir)
+function collectModule(packageDir, relativePath, files) {
+  if (files.has(relativePath)) return;
+  const sourcePath = path.join(packageDir, relativePath);
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`three does not contain ${relativePath}`);
+  }
+  files.add(relativePath);
+  for (const specifier of relativeImports(fs.readFileSync(sourcePath, 'utf-8'))) {
+    collectModule(packageDir, path.posix.join(path.posix.dirname(relativePath), specifier), files);
+  }
+}
+
+/**
+ * Copy three.module.js and the addons into public/vendor/three/ and write
+ * importmap.json. Replaces any previously vendored version.
+ *
+ * options: projectRoot, version, addons, searchRoots (folders whose
+ * node_modules/three may be reused)
+ * Returns { version, source, files, outDir }.
+ */
+function vendorThree({ projectRoot, version = DEFAULT_THREE_VERSION, addons = DEFAULT_ADDONS, searchRoots = [] }) {
+  version = normalizeVersion(version);
+  const outDir = path.join(projectRoot, 'public', 'vendor', 'three');
+
+  let packageDir = findLocalPackage(version, [projectRoot, ...searchRoots]);
+  let tempDir = null;
+  const source = packageDir ? 'node_modules' : 'npm';
+  if (!packageDir) {
+    tempDir = installPackage(version);
+    packageDir = path.join(tempDir, 'node_modules', 'three');
+  }
+
+  try {
+    const files = new Set(['LICENSE', 'package.json']);
+    collectModule(packageDir, 'build/three.module.js', files);
+    for (const addon of addons) {
+      collectModule(packageDir, path.posix.join('examples/jsm', addon.replace(/^\/+/, '')), files);
+    }
+
+    // DRACOLoader loads its decoder at runtime from setDecoderPath()
+    const dracoDir = path.posix.join('examples/jsm', DRACO_DECODER_DIR);
+    if (files.has('examples/jsm/loaders/DRACOLoader.js') && fs.existsSync(path.join(packageDir, dracoDir))) {
+      for (const name of fs.readdirSync(path.join(packageDir, dracoDir))) {
+        if (/^draco_(decoder|wasm_wrapper)\.(js|wasm)$/.test(name)) files.add(path.posix.join(dracoDir, name));
+      }
+    }
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    for (const file of files) {
+      const destPath = path.join(outDir, file);
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      fs.copyFileSync(path.join(packageDir, file), destPath);
+    }
+    fs.writeFileSync(path.join(outDir, 'importmap.json'), JSON.stringify(importMap(), null, 2) + '\n');
+
+    return { version, source, files: [...files].sort(), outDir };
+  } finally {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  if (argv.includes('--help') || argv.includes('-h')) {
+    console.log(`
+Vendor Three.js
+
+Usage:
+  node scripts/vendor-three.js [--version=VERSION]
+
+Copies three (config.three.version, default ${DEFAULT_THREE_VERSION}) and its
+addons into public/vendor/three/ and writes importmap.json.
+`);
+    process.exit(0);
+  }
+
+  const projectRoot = path.join(__dirname, '..');
+  const configPath = path.join(__dirname, 'config.json');
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf-8')) : {};
+  const settings = resolveThreeConfig(config);
+
+  const versionArg = argv.find(arg => arg.startsWith('--version='));
+  if (versionArg) settings.version = normalizeVersion(versionArg.split('=').slice(1).join('='));
+
+  console.log(`📦 Vendoring three@${settings.version} (${threeRevision(settings.version)})...`);
+
+  let result;
+  try {
+    result = vendorThree({ projectRoot, ...settings });
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+
+  console.log(`✓ ${result.files.length} files copied to ${path.relative(process.cwd(), result.outDir) || '.'} (from ${result.source})`);
+  console.log('\nAdd this import map to public/index.html, before the module script:\n');
+  console.log(importMapSnippet());
+  console.log(`\nThen: import * as THREE from 'three'; import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';`);
+  console.log(`DRACO decoder path: ${DRACO_DECODER_URL}`);
+}
+
+// Export for use as module
+module.exports = {
+  DEFAULT_THREE_VERSION,
+  DEFAULT_ADDONS,
+  DRACO_DECODER_URL,
+  normalizeVersion,
+  threeRevision,
+  resolveThreeConfig,
+  importMap,
+  importMapSnippet,
+  vendorThree
+};
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
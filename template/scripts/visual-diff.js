@@ -0,0 +1,156 @@
+/**
+ * Visual Diff Helpers
+ *
+ * Pixel comparison of screenshots against baselines, and a "blank canvas"
+ * detector, both built on sharp. Used by test-game.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// sharp is optional: visual checks are skipped without it
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (e) {
+  // Handled by callers through isAvailable()
+}
+
+function isAvailable() {
+  return sharp !== null;
+}
+
+async function readRaw(imagePath) {
+  const { data, info } = await sharp(imagePath)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Compare an image with its baseline.
+ *
+ * A pixel counts as changed when any RGBA channel differs by more than
+ * pixelTolerance (0-255). The comparison passes when the changed fraction is
+ * at most maxDiffRatio. Writes a diff image to diffPath: the baseline dimmed
+ * to grey with changed pixels in red.
+ *
+ * Resolves with { match, reason?, changedPixels, totalPixels, diffRatio, diffPath }.
+ */
+async function compareImages(actualPath, baselinePath, diffPath, { pixelTolerance = 16, maxDiffRatio = 0.01 } = {}) {
+  const actual = await readRaw(actualPath);
+  const baseline = await readRaw(baselinePath);
+
+  if (actual.width !== baseline.width || actual.height !== baseline.height) {
+    return {
+      match: false,
+      reason: `Size changed: baseline ${baseline.width}x${baseline.height}, actual ${actual.width}x${actual.height}`,
+      changedPixels: null,
+      totalPixels: actual.width * actual.height,
+      diffRatio: 1,
+      diffPath: null
+    };
+  }
+
+  const totalPixels = actual.width * actual.height;
+  const diff = Buffer.alloc(totalPixels * 4);
+  let changedPixels = 0;
+
+  for (let i = 0; i < totalPixels; i++) {
+    const o = i * 4;
+    let delta = 0;
+    for (let ch = 0; ch < 4; ch++) {
+      delta = Math.max(delta, Math.abs(actual.data[o + ch] - baseline.data[o + ch]));
+    }
+
+    if (delta > pixelTolerance) {
+      changedPixels += 1;
+      diff[o] = 255;
+      diff[o + 1] = 0;
+      diff[o + 2] = 0;
+    } else {
+      const grey = Math.round((baseline.data[o] + baseline.data[o + 1] + baseline.data[o + 2]) / 3 * 0.3);
+      diff[o] = grey;
+      diff[o + 1] = grey;
+      diff[o + 2] = grey;
+    }
+    diff[o + 3] = 255;
+  }
+
+  fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+  await sharp(diff, { raw: { width: actual.width, height: actual.height, channels: 4 } })
+    .png()
+    .toFile(diffPath);
+
+  const diffRatio = changedPixels / totalPixels;
+  return {
+    match: diffRatio <= maxDiffRatio,
+    changedPixels,
+    totalPixels,
+    diffRatio: Math.round(diffRatio * 100000) / 100000,
+    diffPath
+  };
+}
+
+/**
+ * Detect an image that is a single solid colour (typically a canvas that
+ * never rendered). Pixels within `tolerance` of the most common colour are
+ * counted; the image is "solid" when they cover at least `solidRatio`.
+ *
+ * Resolves with { solid, color: [r, g, b, a], coverage }.
+ */
+async function analyzeSolidColor(imagePath, { tolerance = 8, solidRatio = 0.995 } = {}) {
+  const { data, width, height } = await readRaw(imagePath);
+  const totalPixels = width * height;
+
+  // Most common colour, quantized to 4 bits per channel
+  const buckets = new Map();
+  for (let i = 0; i < totalPixels; i++) {
+    const o = i * 4;
+    const key = ((data[o] >> 4) << 12) | ((data[o + 1] >> 4) << 8) | ((data[o + 2] >> 4) << 4) | (data[o + 3] >> 4);
+    buckets.set(key, (buckets.get(key) || 0) + 1);
+  }
+  let dominantKey = 0;
+  let dominantCount = -1;
+  for (const [key, count] of buckets) {
+    if (count > dominantCount) {
+      dominantKey = key;
+      dominantCount = count;
+    }
+  }
+
+  // Average the exact colour of that bucket, then measure coverage
+  const sum = [0, 0, 0, 0];
+  let members = 0;
+  for (let i = 0; i < totalPixels; i++) {
+    const o = i * 4;
+    const key = ((data[o] >> 4) << 12) | ((data[o + 1] >> 4) << 8) | ((data[o + 2] >> 4) << 4) | (data[o + 3] >> 4);
+    if (key !== dominantKey) continue;
+    for (let ch = 0; ch < 4; ch++) sum[ch] += data[o + ch];
+    members += 1;
+  }
+  const color = sum.map(v => Math.round(v / Math.max(1, members)));
+
+  let close = 0;
+  for (let i = 0; i < totalPixels; i++) {
+    const o = i * 4;
+    let within = true;
+    for (let ch = 0; ch < 4; ch++) {
+      if (Math.abs(data[o + ch] - color[ch]) > tolerance) {
+        within = false;
+        break;
+      }
+    }
+    if (within) close += 1;
+  }
+
+  const coverage = close / Math.max(1, totalPixels);
+  return {
+    solid: coverage >= solidRatio,
+    color,
+    coverage: Math.round(coverage * 10000) / 10000
+  };
+}
+
+module.exports = { isAvailable, compareImages, analyzeSolidColor };